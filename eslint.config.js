@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Node scripts and the Vite config/plugins run outside the browser
+    files: ['scripts/**/*.js', 'vite.config.js', 'vite-plugin-*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -12,6 +12,7 @@
  */
 
 import * as sessionManager from '../src/utils/session-manager.js';
+import { loadMigratedFile, saveMigratedFile } from '../src/utils/schema-migrations.js';
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 const fs = require('fs');
@@ -50,7 +51,7 @@ async function main() {
     process.exit(1);
   }
   
-  const sessions = JSON.parse(fs.readFileSync(sessionsFile, 'utf8'));
+  const sessions = loadMigratedFile('sessions', sessionsFile, fs, []).data;
   const sessionIndex = sessions.findIndex(s => s.id === activeSessionId);
   
   if (sessionIndex === -1) {
@@ -78,7 +79,7 @@ async function main() {
   sessions[sessionIndex].tokenEntries.push(entryId);
   
   // Save updated sessions
-  fs.writeFileSync(sessionsFile, JSON.stringify(sessions, null, 2), 'utf8');
+  saveMigratedFile('sessions', sessionsFile, fs, sessions);
   
   console.log(`✅ Added ${estimatedTokens.toLocaleString()} tokens to session`);
   console.log(`   Previous: ${previousTokens.toLocaleString()}`);
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Upgrade the session and token usage files to the current schema.
+ *
+ * Runs the pending migrations from src/utils/schema-migrations.js on
+ * ~/.cursor/sessions.json and ~/.cursor/cursor-token-usage.json, and stamps
+ * their schema version beside them (sessions.schema.json, ...). The browser
+ * runs the same migrations on its localStorage copies at startup.
+ *
+ * The other scripts (and the Sync Sessions endpoint) upgrade the data in memory
+ * when they read it, and stamp it when they write it back, so this is only
+ * needed to upgrade the files up front or to see which migrations apply.
+ *
+ * Migrations only change the shape of the data. To move sessions to another
+ * project, use scripts/reassign-sessions.js.
+ *
+ * Usage:
+ *   node scripts/migrate-data.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { loadMigratedFile, saveMigratedFile, currentSchemaVersion } from '../src/utils/schema-migrations.js';
+
+const FILES = [
+  { kind: 'sessions', file: path.join(os.homedir(), '.cursor', 'sessions.json') },
+  { kind: 'tokenHistory', file: path.join(os.homedir(), '.cursor', 'cursor-token-usage.json') }
+];
+
+function main() {
+  let upgraded = 0;
+
+  for (const { kind, file } of FILES) {
+    if (!fs.existsSync(file)) {
+      console.log(`ℹ️ ${file} not found, skipping.`);
+      continue;
+    }
+
+    try {
+      const { data, applied, version } = loadMigratedFile(kind, file, fs);
+      if (applied.length === 0) {
+        console.log(`✅ ${file} is up to date (schema ${version}).`);
+        continue;
+      }
+      saveMigratedFile(kind, file, fs, data);
+      upgraded++;
+      console.log(`🔁 ${file} upgraded to schema ${version}:`);
+      applied.forEach(step => console.log(`   - ${step}`));
+    } catch (e) {
+      console.error(`❌ Failed to migrate ${file}:`, e.message);
+      process.exit(1);
+    }
+  }
+
+  console.log('\n📊 Summary');
+  console.log('-----------');
+  console.log(`Files upgraded: ${upgraded}`);
+  console.log(`Current schema: sessions ${currentSchemaVersion('sessions')}, token history ${currentSchemaVersion('tokenHistory')}`);
+  if (upgraded > 0) {
+    console.log('\nNext steps:');
+    console.log('- In Zhong UI, click “🔄 Sync Sessions” to pull the updated sessions.json into the browser.');
+  }
+}
+
+main();
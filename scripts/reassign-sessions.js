@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * Move sessions to another project.
+ *
+ * Picks sessions from ~/.cursor/sessions.json and gives them the target's
+ * project code, ID, name and tags (src/utils/session-reassign.js, the same
+ * code the dashboard uses when a project code is renamed or merged). The
+ * token history entries of the moved sessions are pointed at them
+ * (metadata.sessionId), so both files agree on which entries a session has.
+ *
+ * Filters can be combined; a session must match all of them:
+ *   --from <code>          current project code (repeat or comma-separate for several)
+ *   --session <id>         session ID
+ *   --conversation <id>    Cursor conversation with token entries in the session
+ *   --tag <tag>            session tag
+ *   --since <date>         started on or after the date
+ *   --until <date>         started before the end of the date
+ *
+ * Target:
+ *   --to <code>            project code to move to (required)
+ *   --board <file>         board archive or exported projects JSON to look the target up in
+ *   --project-id <n>       slot of the target
+ *   --project-name <name>  name of the target
+ *
+ * The target's slot and name come from the board project that has the code (or has it
+ * as an alias), else from sessions already on the code. The number in a code is not
+ * a slot, so if neither knows the code, --project-id is required.
+ *
+ * The files are only read, and older data is upgraded in memory. With --dry-run the
+ * changes are listed and nothing is written. Otherwise the original files (and their
+ * schema stamps) are backed up beside themselves (sessions.backup-<time>.json) before
+ * anything is written.
+ *
+ * Usage:
+ *   node scripts/reassign-sessions.js --from 26Q1W21,26Q1W22 --to 26Q1Z00 --project-id 0 --project-name Zhong --dry-run
+ *   node scripts/reassign-sessions.js --session session_1767312000000_ab12cd --to 26Q2W05 --board zhong-board-26Q1.json
+ *   node scripts/reassign-sessions.js --from 26Q1W05 --since 2026-02-01 --until 2026-02-15 --to 26Q1W07
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { loadMigratedFile, saveMigratedFile, schemaFilePath } from '../src/utils/schema-migrations.js';
+import { parseProjectId } from '../src/utils/project-id.js';
+import { reassignSession, reassignSessions, linkTokenEntries, tokenEntryId, lookupTarget } from '../src/utils/session-reassign.js';
+
+const SESSIONS_FILE = path.join(os.homedir(), '.cursor', 'sessions.json');
+const TOKEN_HISTORY_FILE = path.join(os.homedir(), '.cursor', 'cursor-token-usage.json');
+
+const LIST_OPTIONS = ['--from', '--session', '--conversation', '--tag'];
+const VALUE_OPTIONS = [...LIST_OPTIONS, '--since', '--until', '--to', '--board', '--project-id', '--project-name'];
+
+function usage() {
+  console.log('\nUsage: node scripts/reassign-sessions.js [filters] --to <code> [--board <file> | --project-id <n>] [--dry-run]');
+  console.log('Filters: --from <code> --session <id> --conversation <id> --tag <tag> --since <date> --until <date>');
+  console.log('Example: node scripts/reassign-sessions.js --from 26Q1W21 --to 26Q1Z00 --project-id 0 --project-name Zhong --dry-run');
+}
+
+function fail(message) {
+  console.error(`❌ Error: ${message}`);
+  usage();
+  process.exit(1);
+}
+
+function parseArgs(args) {
+  const options = { dryRun: false };
+  LIST_OPTIONS.forEach(name => { options[name] = []; });
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--help' || arg === '-h') {
+      usage();
+      process.exit(0);
+    } else if (VALUE_OPTIONS.includes(arg)) {
+      const value = args[++i];
+      if (value === undefined || value.startsWith('--')) fail(`${arg} needs a value`);
+      if (LIST_OPTIONS.includes(arg)) options[arg].push(...value.split(',').map(v => v.trim()).filter(Boolean));
+      else options[arg] = value;
+    } else {
+      fail(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+/** Parse --since/--until; a plain date (YYYY-MM-DD) for --until means the end of that day */
+function parseDate(value, name, endOfDay = false) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) fail(`Invalid date for ${name}: ${value} (use YYYY-MM-DD)`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(date.getTime() + 24 * 60 * 60 * 1000);
+  return date;
+}
+
+function targetCode(options) {
+  const projectCode = options['--to'];
+  if (!projectCode) fail('--to <code> is required');
+  if (!parseProjectId(projectCode)) fail(`Invalid project code format: ${projectCode} (expected e.g. 26Q1W21)`);
+  return projectCode;
+}
+
+/** Projects of a board archive, an exported { projects } payload or a plain projects array */
+function readBoardProjects(filePath) {
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const projects = raw?.data?.projects || raw?.projects || raw;
+    if (!Array.isArray(projects)) throw new Error('no projects in the file');
+    return projects;
+  } catch (e) {
+    fail(`Could not read the board ${filePath}: ${e.message}`);
+  }
+}
+
+function targetFrom(options, projectCode, sessions) {
+  const projects = options['--board'] ? readBoardProjects(options['--board']) : [];
+  const found = lookupTarget(projectCode, { projects, sessions });
+  if (options['--board'] && found?.source !== 'board') fail(`${projectCode} is not on the board in ${options['--board']}`);
+
+  let projectId = found?.projectId;
+  if (options['--project-id'] !== undefined) {
+    projectId = Number(options['--project-id']);
+    if (!Number.isInteger(projectId) || projectId < 0) fail(`Invalid --project-id: ${options['--project-id']}`);
+  }
+  if (projectId === undefined) {
+    fail(`No board or session knows the slot of ${projectCode}. Pass --board <file> or --project-id <n>.`);
+  }
+
+  const parsed = parseProjectId(projectCode);
+  return {
+    projectCode,
+    projectId,
+    projectName: options['--project-name'] || found?.projectName || `Project ${parsed.projectNumber} (${parsed.platformType})`
+  };
+}
+
+/** Session IDs with token entries from the given conversations */
+function sessionsOfConversations(sessions, history, conversationIds) {
+  const entries = (history?.entries || []).filter(e => conversationIds.includes(e.metadata?.conversationId));
+  const entryIds = new Set(entries.map(tokenEntryId).filter(Boolean));
+  const ids = new Set(entries.map(e => e.metadata?.sessionId).filter(Boolean));
+  sessions.forEach(session => {
+    const listed = (session.tokenEntries || []).some(id => entryIds.has(id));
+    // Prompt groups are keyed "<conversationId>_<requestId>"
+    const prompted = (session.promptGroups || []).some(key => conversationIds.some(c => key.startsWith(`${c}_`)));
+    if (listed || prompted) ids.add(session.id);
+  });
+  return ids;
+}
+
+function buildFilter(options, sessions, history) {
+  const since = parseDate(options['--since'], '--since');
+  const until = parseDate(options['--until'], '--until', true);
+  const filters = [];
+
+  if (options['--from'].length > 0) filters.push(s => options['--from'].includes(s.projectCode));
+  if (options['--session'].length > 0) filters.push(s => options['--session'].includes(s.id));
+  if (options['--tag'].length > 0) filters.push(s => (s.tags || []).some(tag => options['--tag'].includes(tag)));
+  if (options['--conversation'].length > 0) {
+    const ids = sessionsOfConversations(sessions, history, options['--conversation']);
+    filters.push(s => ids.has(s.id));
+  }
+  if (since) filters.push(s => new Date(s.startTime) >= since);
+  if (until) filters.push(s => new Date(s.startTime) < until);
+
+  if (filters.length === 0) fail('Pick the sessions with at least one filter (--from, --session, --conversation, --tag, --since, --until)');
+  return session => !!session && filters.every(filter => filter(session));
+}
+
+const SESSION_FIELDS = ['projectCode', 'projectId', 'projectName'];
+
+/** Whether moving the session to the target changes it (it may already be there) */
+function changesSession(session, target) {
+  const after = reassignSession(session, target);
+  return SESSION_FIELDS.some(field => session[field] !== after[field]) ||
+    (session.tags || []).join() !== after.tags.join();
+}
+
+function describeChange(before, after) {
+  console.log(`🔁 ${before.id} (started ${new Date(before.startTime).toLocaleString()})`);
+  SESSION_FIELDS.forEach(field => {
+    if (before[field] !== after[field]) console.log(`   ${field}: ${before[field] ?? '—'} → ${after[field]}`);
+  });
+  const beforeTags = (before.tags || []).join(', ');
+  const afterTags = (after.tags || []).join(', ');
+  if (beforeTags !== afterTags) console.log(`   tags: ${beforeTags || '—'} → ${afterTags}`);
+}
+
+/** Copy a file as it is on disk, with its schema stamp, so a restore gets both back */
+function backup(filePath, stamp) {
+  [filePath, schemaFilePath(filePath)].filter(file => fs.existsSync(file)).forEach(file => {
+    const backupPath = path.join(path.dirname(file), `${path.basename(file, '.json')}.backup-${stamp}.json`);
+    fs.copyFileSync(file, backupPath);
+    console.log(`💾 Backed up ${file} to ${backupPath}`);
+  });
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const projectCode = targetCode(options);
+
+  if (!fs.existsSync(SESSIONS_FILE)) {
+    console.error('❌ Sessions file not found at:', SESSIONS_FILE);
+    process.exit(1);
+  }
+
+  let sessions;
+  let history;
+  try {
+    sessions = loadMigratedFile('sessions', SESSIONS_FILE, fs, []).data;
+    history = loadMigratedFile('tokenHistory', TOKEN_HISTORY_FILE, fs, null).data;
+  } catch (e) {
+    console.error('❌ Failed to read or parse the session files:', e.message);
+    process.exit(1);
+  }
+
+  const target = targetFrom(options, projectCode, sessions);
+  const pick = buildFilter(options, sessions, history);
+  console.log(`📂 Using sessions file: ${SESSIONS_FILE}`);
+  console.log(`🎯 Target: ${target.projectCode} (id=${target.projectId}, ${target.projectName})${options.dryRun ? ' — dry run' : ''}\n`);
+
+  const { sessions: updated, moved } = reassignSessions(sessions, s => pick(s) && changesSession(s, target), target);
+  if (moved.length === 0) {
+    console.log('ℹ️ No sessions match (or they are already there), nothing to move.');
+    return;
+  }
+
+  const movedIds = new Set(moved);
+  sessions.forEach((session, index) => {
+    if (session && movedIds.has(session.id)) describeChange(session, updated[index]);
+  });
+
+  const movedSessions = updated.filter(s => s && movedIds.has(s.id));
+  const { history: linkedHistory, relinked } = history ? linkTokenEntries(history, movedSessions) : { history, relinked: [] };
+  relinked.forEach(({ entryId, from, to }) => console.log(`🔗 Token entry ${entryId}: sessionId ${from || '—'} → ${to}`));
+
+  console.log('\n📊 Summary');
+  console.log('-----------');
+  console.log(`Sessions ${options.dryRun ? 'to move' : 'moved'}: ${moved.length}`);
+  console.log(`Token entries ${options.dryRun ? 'to relink' : 'relinked'}: ${relinked.length}`);
+  console.log(`To: ${target.projectCode} (id=${target.projectId})`);
+
+  if (options.dryRun) {
+    console.log('\nDry run: nothing was written. Run again without --dry-run to apply.');
+    return;
+  }
+
+  try {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    backup(SESSIONS_FILE, stamp);
+    if (relinked.length > 0) backup(TOKEN_HISTORY_FILE, stamp);
+
+    saveMigratedFile('sessions', SESSIONS_FILE, fs, updated);
+    console.log('✅ Sessions file updated:', SESSIONS_FILE);
+    if (relinked.length > 0) {
+      saveMigratedFile('tokenHistory', TOKEN_HISTORY_FILE, fs, linkedHistory);
+      console.log('✅ Token history updated:', TOKEN_HISTORY_FILE);
+    }
+  } catch (e) {
+    console.error('❌ Failed to write the session files:', e.message);
+    process.exit(1);
+  }
+
+  console.log('\nNext steps:');
+  console.log('- In Zhong UI, click “🔄 Sync Sessions” to pull the updated sessions.json into the browser.');
+}
+
+main();
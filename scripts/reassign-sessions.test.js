@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'reassign-sessions.js');
+
+const session = (id, startTime, tags, tokenEntries = []) => ({
+  id,
+  startTime,
+  projectCode: '26Q1W21',
+  projectId: 21,
+  projectName: 'Project 21',
+  tags: ['Q1', 'WEB', 'Project-21', ...tags],
+  tokenEntries
+});
+
+describe('reassign-sessions', () => {
+  let home;
+  let cursorDir;
+  let sessionsFile;
+  let historyFile;
+
+  /** Run the script with ~ pointing at the test's home directory */
+  const run = (...args) => {
+    const result = spawnSync(process.execPath, [SCRIPT, ...args], {
+      env: { ...process.env, HOME: home, USERPROFILE: home },
+      encoding: 'utf8'
+    });
+    expect(result.status, result.stderr).toBe(0);
+    return result.stdout;
+  };
+  const listed = (stdout) => [...stdout.matchAll(/🔁 (\S+)/g)].map(m => m[1]);
+  const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const filters = ['--from', '26Q1W21', '--tag', 'bugfix', '--since', '2026-01-05', '--until', '2026-01-15'];
+  const target = ['--to', '26Q1Z00', '--project-id', '0', '--project-name', 'Zhong'];
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'zhong-reassign-'));
+    cursorDir = path.join(home, '.cursor');
+    fs.mkdirSync(cursorDir);
+    sessionsFile = path.join(cursorDir, 'sessions.json');
+    historyFile = path.join(cursorDir, 'cursor-token-usage.json');
+    fs.writeFileSync(sessionsFile, JSON.stringify([
+      session('early', '2026-01-04T10:00:00.000Z', ['bugfix']),
+      session('picked', '2026-01-10T10:00:00.000Z', ['bugfix'], ['entry_a']),
+      session('untagged', '2026-01-12T10:00:00.000Z', []),
+      // --until takes in the whole day it names
+      session('last-day', '2026-01-15T18:00:00.000Z', ['bugfix']),
+      session('late', '2026-01-16T10:00:00.000Z', ['bugfix'])
+    ], null, 2));
+    fs.writeFileSync(historyFile, JSON.stringify({
+      entries: [
+        { id: 'e1', timestamp: '2026-01-10T10:05:00.000Z', tokens: 10, metadata: { entryId: 'entry_a', sessionId: 'early' } },
+        { id: 'e2', timestamp: '2026-01-04T10:05:00.000Z', tokens: 20, metadata: { entryId: 'entry_b', sessionId: 'early' } }
+      ],
+      metadata: { version: '1.0' }
+    }, null, 2));
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  it('lists the sessions every filter picks and writes nothing on a dry run', () => {
+    const before = Object.fromEntries(fs.readdirSync(cursorDir).map(file => [file, fs.readFileSync(path.join(cursorDir, file), 'utf8')]));
+
+    const stdout = run(...filters, ...target, '--dry-run');
+
+    expect(listed(stdout)).toEqual(['picked', 'last-day']);
+    expect(stdout).toContain('Token entries to relink: 1');
+    expect(fs.readdirSync(cursorDir).sort()).toEqual(Object.keys(before).sort());
+    Object.entries(before).forEach(([file, text]) => {
+      expect(fs.readFileSync(path.join(cursorDir, file), 'utf8')).toBe(text);
+    });
+  });
+
+  it('moves the picked sessions, relinks their token entries and keeps backups', () => {
+    const original = fs.readFileSync(sessionsFile, 'utf8');
+
+    run(...filters, ...target);
+
+    const byId = Object.fromEntries(readJson(sessionsFile).map(s => [s.id, s]));
+    expect(byId.picked).toMatchObject({ projectCode: '26Q1Z00', projectId: 0, projectName: 'Zhong', tags: ['Q1', 'ZHONG', 'Project-0', 'bugfix'] });
+    expect(byId['last-day'].projectCode).toBe('26Q1Z00');
+    expect(['early', 'untagged', 'late'].map(id => byId[id].projectCode)).toEqual(['26Q1W21', '26Q1W21', '26Q1W21']);
+    expect(readJson(historyFile).entries.map(e => e.metadata.sessionId)).toEqual(['picked', 'early']);
+
+    const backups = fs.readdirSync(cursorDir).filter(file => file.startsWith('sessions.backup-'));
+    expect(backups).toHaveLength(1);
+    expect(fs.readFileSync(path.join(cursorDir, backups[0]), 'utf8')).toBe(original);
+  });
+});
@@ -12,6 +12,7 @@
  */
 
 import { createRequire } from 'module';
+import { loadMigratedFile, saveMigratedFile } from '../src/utils/schema-migrations.js';
 const require = createRequire(import.meta.url);
 const sqlite3 = require('sqlite3');
 const fs = require('fs');
@@ -28,7 +29,7 @@ async function main() {
     process.exit(1);
   }
   
-  const sessions = JSON.parse(fs.readFileSync(sessionsFile, 'utf8'));
+  const sessions = loadMigratedFile('sessions', sessionsFile, fs, []).data;
   
   if (sessions.length === 0) {
     console.log('💡 No sessions found');
@@ -131,7 +132,7 @@ async function main() {
       });
       
       // Save updated sessions
-      fs.writeFileSync(sessionsFile, JSON.stringify(sessions, null, 2), 'utf8');
+      saveMigratedFile('sessions', sessionsFile, fs, sessions);
       
       console.log(`\n✅ Updated ${updatedCount} session(s)`);
       console.log('💡 Refresh the Zhong app to see updated token counts.');
@@ -12,6 +12,7 @@
  */
 
 import * as sessionManager from '../src/utils/session-manager.js';
+import { loadMigratedFile } from '../src/utils/schema-migrations.js';
 import * as fs from 'fs';
 import * as path from 'path';
 import * as os from 'os';
@@ -23,7 +24,7 @@ if (!fs.existsSync(sessionsFile)) {
   process.exit(1);
 }
 
-const sessions = JSON.parse(fs.readFileSync(sessionsFile, 'utf8'));
+const sessions = loadMigratedFile('sessions', sessionsFile, fs, []).data;
 
 console.log('// Copy and paste this into your browser console to sync sessions:');
 console.log('// Then refresh the Zhong app');
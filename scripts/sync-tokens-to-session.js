@@ -19,6 +19,7 @@ const os = require('os');
 
 // Import session manager to check for timeouts
 import * as sessionManager from '../src/utils/session-manager.js';
+import { loadMigratedFile, saveMigratedFile } from '../src/utils/schema-migrations.js';
 
 async function main() {
   console.log('🔄 Syncing code-related tokens from Cursor database...\n');
@@ -47,7 +48,7 @@ async function main() {
     process.exit(1);
   }
   
-  const sessions = JSON.parse(fs.readFileSync(sessionsFile, 'utf8'));
+  const sessions = loadMigratedFile('sessions', sessionsFile, fs, []).data;
   const sessionIndex = sessions.findIndex(s => s.id === activeSessionId && !s.endTime);
   
   if (sessionIndex === -1) {
@@ -186,7 +187,7 @@ async function main() {
       sessions[sessionIndex].totalTokens = previousTokens + newTokens;
       
       // Save updated sessions
-      fs.writeFileSync(sessionsFile, JSON.stringify(sessions, null, 2), 'utf8');
+      saveMigratedFile('sessions', sessionsFile, fs, sessions);
       
       console.log('✅ Token sync completed:');
       console.log(`   Total entries in database: ${rows.length}`);
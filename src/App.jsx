@@ -1,18 +1,42 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useEffectEvent } from 'react';
 import HexGrid from './components/HexGrid';
 import { motion, AnimatePresence } from 'framer-motion';
-import { projects as initialProjects } from './data/projects';
+import { projects as initialProjects, slotCount, ringCountFor, resizeBoard, isPlaceholderProject, moveProject, projectNumberOf, projectCodesOf, MAX_RING_COUNT } from './data/projects';
 import { generateVersion } from './utils/versioning';
-import { nakamaService } from './services/nakama';
+import { nakamaService, REMOTE_CHANGED, SESSION_EXPIRED_EVENT, PROJECTS_CHANGED_EVENT } from './services/nakama';
+import { loadOutbox, OUTBOX_EVENT } from './utils/outbox';
+import { combineAnalytics } from './utils/session-analytics';
 import LoginModal from './components/LoginModal';
 import SessionStats from './components/SessionStats';
+import SyncConflictModal from './components/SyncConflictModal';
+import BoardArchiveModal from './components/BoardArchiveModal';
+import HeatmapLegend from './components/HeatmapLegend';
+import QuarterRolloverModal from './components/QuarterRolloverModal';
+import ProjectCodeModal from './components/ProjectCodeModal';
+import { applyResolutions } from './utils/project-merge';
+import { findCloudLimitIssues, describeCloudLimitIssues } from './utils/cloud-projects';
 import { generateProjectId, parseProjectId } from './utils/project-id';
+import { slotPositionType } from './utils/hex-layout';
+import { buildOverlay, sessionHours, OVERLAY_MODES } from './utils/heatmap';
+import { boardAt, sessionStatsAt, boardStartTime, quarterEnds, recordStatusChange } from './utils/time-travel';
+import { applyRollover, loadQuarterSnapshots, saveQuarterSnapshot } from './utils/quarter-rollover';
+import { renameProjectCode, mergeProjectInto, cascadeSessions } from './utils/project-rename';
 import { getSessions, getSessionStats } from './utils/session-manager';
+import { parseShareParam, shareUrl } from './utils/board-share';
 
-/** Push session analytics (tokens, prompts) to Nakama per projectCode. Only for email-authenticated users. */
+/** Set when the app is opened from a share link: a read-only snapshot with no login */
+const sharedBoard = parseShareParam(window.location.search);
+const isShareView = !!sharedBoard;
+
+/** Auth types with a real account (cloud sync, editing): email login or a sign-in provider ('custom') */
+function isAccountAuthType(authType) {
+  return authType === 'email' || authType === 'custom';
+}
+
+/** Push session analytics (tokens, prompts) to Nakama per projectCode. Only for account sessions. */
 async function pushSessionAnalyticsToNakama() {
   if (!nakamaService.isAuthenticated() || nakamaService.offlineMode) return;
-  if (localStorage.getItem('zhong_auth_type') !== 'email') return;
+  if (!isAccountAuthType(localStorage.getItem('zhong_auth_type'))) return;
   try {
     const raw = localStorage.getItem('cursor_sessions');
     const sessions = raw ? JSON.parse(raw) : [];
@@ -43,38 +67,78 @@ async function pushSessionAnalyticsToNakama() {
   }
 }
 
+/**
+ * Session analytics per projectCode, with each project's entry also counting the codes it had
+ * before (codeAliases), so its dot keeps its totals after a code change
+ */
+function withAliasStats(projects, statsByCode) {
+  const result = { ...statsByCode };
+  projects.forEach(p => {
+    if (!p.codeAliases?.length) return;
+    const found = projectCodesOf(p).map(code => statsByCode[code]).filter(Boolean);
+    if (found.length === 0) return;
+    result[p.projectCode] = found.reduce((sum, stats) => ({
+      totalTokens: sum.totalTokens + (stats.totalTokens || 0),
+      totalPrompts: sum.totalPrompts + (stats.totalPrompts || 0),
+      sessionCount: sum.sessionCount + (stats.sessionCount || 0),
+      totalHours: sum.totalHours + (stats.totalHours ?? sessionHours(stats.sessions)),
+      sessions: [...sum.sessions, ...(stats.sessions || [])]
+    }), { totalTokens: 0, totalPrompts: 0, sessionCount: 0, totalHours: 0, sessions: [] });
+  });
+  return result;
+}
+
+/** Read a JSON value this browser keeps in localStorage, or the fallback if it is missing or unreadable */
+function readStoredJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/** This browser's Cursor sessions (cursor_sessions) */
+function readLocalSessions() {
+  const sessions = readStoredJson('cursor_sessions', []);
+  return Array.isArray(sessions) ? sessions : [];
+}
+
 function App() {
   // Authentication state
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [isEmailAuthenticated, setIsEmailAuthenticated] = useState(false); // Only true for email login
+  const [isEmailAuthenticated, setIsEmailAuthenticated] = useState(false); // True for account sessions (email or a sign-in provider), not device sessions
   const [showLogin, setShowLogin] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
-  const [syncStatus, setSyncStatus] = useState('local'); // 'local' | 'synced' | 'syncing' | 'error'
+  const [syncStatus, setSyncStatus] = useState('local'); // 'local' | 'synced' | 'syncing' | 'error' | 'conflict' | 'remote-changed' | 'locked'
+  const [syncConflicts, setSyncConflicts] = useState([]); // Fields edited differently on this device and in the cloud
+  const [showConflicts, setShowConflicts] = useState(false);
+  const [pendingWrites, setPendingWrites] = useState(() => loadOutbox().length); // Failed cloud writes waiting for replay
+  const [remoteChangedIds, setRemoteChangedIds] = useState([]); // Projects just changed on another device (highlighted briefly)
+  const [sharedSnapshot, setSharedSnapshot] = useState(null); // { publishedAt } when viewing a share link
+  const [shareError, setShareError] = useState('');
+  const [shareLink, setShareLink] = useState(null); // Link to the last published snapshot
+  const [shareStatus, setShareStatus] = useState(null); // 'publishing' | 'published' | 'error' | null
+  const [showArchive, setShowArchive] = useState(false); // Backup & restore dialog
+  const [showRollover, setShowRollover] = useState(false); // Close quarter / open the next
+  const [showCodeModal, setShowCodeModal] = useState(false); // Rename / merge the selected project's code
+  const [timeTravelAt, setTimeTravelAt] = useState(null); // Past moment (ms) the board is replayed at, or null for now
+  const isPastView = timeTravelAt !== null;
+  // Nobody edits the past
+  const isReadOnlyBoard = isPastView;
   const [sessionSyncKey, setSessionSyncKey] = useState(0); // Force SessionStats to refresh
+  const [localSessions, setLocalSessions] = useState(readLocalSessions); // cursor_sessions, re-read whenever sessionSyncKey changes
   const [pushStatus, setPushStatus] = useState(null); // 'pushing' | 'pushed' | 'error' | null
   const [cloudSyncKey, setCloudSyncKey] = useState(0); // Increment to force refetch analytics after Cloud Sync
   const [initialCloudSyncDone, setInitialCloudSyncDone] = useState(false); // Avoid saving to Nakama before first sync (prevents 400 on deployed)
 
   // Initialize from LocalStorage or fall back to default
-  // Ensure all projects have projectCode
+  // (saved projects are already upgraded to the current schema by migrateLocalStorage in main.jsx)
   const [projectsData, setProjectsData] = useState(() => {
+    // A share link shows the published snapshot, never this browser's own board
+    if (isShareView) return initialProjects;
     const saved = localStorage.getItem('zhong_projects');
-    const projects = saved ? JSON.parse(saved) : initialProjects;
-    
-    // Ensure all projects have projectCode (for existing projects without it)
-    return projects.map(project => {
-      if (!project.projectCode) {
-        return {
-          ...project,
-          projectCode: generateProjectId({
-            date: new Date(),
-            type: project.type || 'WEB',
-            projectNumber: project.id
-          })
-        };
-      }
-      return project;
-    });
+    return saved ? JSON.parse(saved) : initialProjects;
   });
 
   // Sync sessions from file system (via API endpoint)
@@ -198,6 +262,7 @@ function App() {
               
               // Force SessionStats to refresh by updating key
               // This will cause the component to remount and reload data from localStorage
+              setLocalSessions(readLocalSessions());
               setSessionSyncKey(prev => {
                 const newKey = prev + 1;
                 console.log(`[App] 🔑 Updating sessionSyncKey: ${prev} → ${newKey}`);
@@ -238,93 +303,115 @@ function App() {
     syncSessionsFromFileSystem();
   }, []);
 
-  // Initialize Nakama and check authentication on mount
-  useEffect(() => {
-    const initAuth = async () => {
+  // Initialize Nakama and check authentication. An effect event, so it uses the current
+  // handlers (handleAuthenticated, syncFromNakama) while the effect still runs only on mount.
+  const initAuth = useEffectEvent(async () => {
+    if (isShareView) {
       try {
-        // Sync tokens from Cursor database first (if in dev mode)
-        if (import.meta.env.DEV) {
-          try {
-            console.log('[App] 🔄 Triggering token sync from Cursor database...');
-            const syncResponse = await fetch('/api/sync-tokens', { method: 'POST' });
-            if (syncResponse.ok) {
-              const syncData = await syncResponse.json();
-              console.log('[App] ✅ Token sync completed:', syncData.message);
-            } else {
-              console.log('[App] ⚠️ Token sync failed (this is OK if no active session)');
-            }
-          } catch (error) {
-            console.log('[App] Token sync unavailable:', error.message);
+        const snapshot = await nakamaService.loadSharedSnapshot(sharedBoard.ownerId, sharedBoard.shareId);
+        setProjectsData(snapshot.projects);
+        setSessionStatsByProjectCode(snapshot.analytics);
+        setSharedSnapshot({ publishedAt: snapshot.publishedAt });
+      } catch (error) {
+        console.error('[App] Failed to load shared board:', error);
+        setShareError(error.message || 'Could not load the shared board');
+      } finally {
+        setIsLoading(false);
+      }
+      return;
+    }
+
+    try {
+      // Sync tokens from Cursor database first (if in dev mode)
+      if (import.meta.env.DEV) {
+        try {
+          console.log('[App] 🔄 Triggering token sync from Cursor database...');
+          const syncResponse = await fetch('/api/sync-tokens', { method: 'POST' });
+          if (syncResponse.ok) {
+            const syncData = await syncResponse.json();
+            console.log('[App] ✅ Token sync completed:', syncData.message);
+          } else {
+            console.log('[App] ⚠️ Token sync failed (this is OK if no active session)');
           }
+        } catch (error) {
+          console.log('[App] Token sync unavailable:', error.message);
         }
-        
-        // Sync sessions from file system (if available)
-        await syncSessionsFromFileSystem();
-        
-        await nakamaService.init();
-        
-        // Check if we have a saved email session
-        const savedSession = localStorage.getItem('zhong_session');
-        const savedAuthType = localStorage.getItem('zhong_auth_type'); // 'device' or 'email'
-        
-        if (savedSession && savedAuthType === 'email') {
-          try {
-            const session = JSON.parse(savedSession);
-            nakamaService.session = session;
-            if (nakamaService.isAuthenticated()) {
-              console.log('[App] ✅ Found valid email session:', {
-                userId: session.user_id,
-                username: session.username
-              });
-              setIsAuthenticated(true);
-              setIsEmailAuthenticated(true);
-              // Sync from Nakama for email-authenticated users
-              await syncFromNakama();
-            } else {
-              console.log('[App] ⚠️ Email session expired, switching to device auth');
-              // Session expired, do automatic device auth
-              await handleDeviceAuth();
-            }
-          } catch (e) {
-            console.log('[App] ⚠️ Invalid email session, switching to device auth');
-            // Invalid session, do automatic device auth
+      }
+      
+      // Sync sessions from file system (if available)
+      await syncSessionsFromFileSystem();
+      
+      await nakamaService.init();
+      
+      // Check if we have a saved email session
+      const savedSession = localStorage.getItem('zhong_session');
+      const savedAuthType = localStorage.getItem('zhong_auth_type'); // 'device', 'email' or 'custom'
+
+      // Coming back from a provider's sign-in page (e.g. GitHub)
+      const providerSession = await nakamaService.completeProviderRedirect().catch(error => {
+        console.error('[App] Provider sign-in failed:', error);
+        return null;
+      });
+      
+      if (providerSession) {
+        await handleAuthenticated(providerSession, 'custom');
+      } else if (savedSession && isAccountAuthType(savedAuthType)) {
+        try {
+          const session = JSON.parse(savedSession);
+          if (await nakamaService.restoreSession(session)) {
+            console.log('[App] ✅ Found valid email session:', {
+              userId: session.user_id,
+              username: session.username
+            });
+            setIsAuthenticated(true);
+            setIsEmailAuthenticated(true);
+            // Sync from Nakama for email-authenticated users
+            await syncFromNakama();
+          } else {
+            console.log('[App] ⚠️ Email session expired, switching to device auth');
+            // Session expired, do automatic device auth
             await handleDeviceAuth();
           }
-        } else if (savedSession && savedAuthType === 'device') {
-          // Check if existing device session is still valid
-          try {
-            const session = JSON.parse(savedSession);
-            nakamaService.session = session;
-            if (nakamaService.isAuthenticated()) {
-              console.log('[App] ✅ Found valid device session:', {
-                userId: session.user_id,
-                username: session.username || 'Anonymous Device'
-              });
-              setIsAuthenticated(true);
-              setIsEmailAuthenticated(false);
-            } else {
-              console.log('[App] ⚠️ Device session expired, re-authenticating...');
-              await handleDeviceAuth();
-            }
-          } catch (e) {
-            console.log('[App] ⚠️ Invalid device session, re-authenticating...');
+        } catch (e) {
+          console.log('[App] ⚠️ Invalid email session, switching to device auth');
+          // Invalid session, do automatic device auth
+          await handleDeviceAuth();
+        }
+      } else if (savedSession && savedAuthType === 'device') {
+        // Check if existing device session is still valid
+        try {
+          const session = JSON.parse(savedSession);
+          if (await nakamaService.restoreSession(session)) {
+            console.log('[App] ✅ Found valid device session:', {
+              userId: session.user_id,
+              username: session.username || 'Anonymous Device'
+            });
+            setIsAuthenticated(true);
+            setIsEmailAuthenticated(false);
+          } else {
+            console.log('[App] ⚠️ Device session expired, re-authenticating...');
             await handleDeviceAuth();
           }
-        } else {
-          // No session, do automatic device auth (silent, local only)
-          console.log('[App] 📱 No existing session, starting device authentication...');
+        } catch (e) {
+          console.log('[App] ⚠️ Invalid device session, re-authenticating...');
           await handleDeviceAuth();
         }
-      } catch (error) {
-        console.error('[App] Auth initialization failed:', error);
-        // Continue in offline mode
-        setIsAuthenticated(false);
-        setIsEmailAuthenticated(false);
-      } finally {
-        setIsLoading(false);
+      } else {
+        // No session, do automatic device auth (silent, local only)
+        console.log('[App] 📱 No existing session, starting device authentication...');
+        await handleDeviceAuth();
       }
-    };
+    } catch (error) {
+      console.error('[App] Auth initialization failed:', error);
+      // Continue in offline mode
+      setIsAuthenticated(false);
+      setIsEmailAuthenticated(false);
+    } finally {
+      setIsLoading(false);
+    }
+  });
 
+  useEffect(() => {
     initAuth();
   }, []);
 
@@ -333,7 +420,6 @@ function App() {
     try {
       console.log('[App] 🔐 Starting automatic device authentication...');
       const session = await nakamaService.authenticateDevice();
-      localStorage.setItem('zhong_session', JSON.stringify(session));
       localStorage.setItem('zhong_auth_type', 'device');
       setIsAuthenticated(true);
       setIsEmailAuthenticated(false); // Device auth doesn't enable cloud sync
@@ -350,34 +436,243 @@ function App() {
     }
   };
 
-  // Handle successful authentication
-  const handleAuthenticated = async (session, authType = 'email') => {
-    localStorage.setItem('zhong_session', JSON.stringify(session));
+  // Handle successful authentication. linkSummary comes from linking the device session to the account.
+  const handleAuthenticated = async (session, authType = 'email', linkSummary = null) => {
     localStorage.setItem('zhong_auth_type', authType);
     setIsAuthenticated(true);
-    setIsEmailAuthenticated(authType === 'email');
+    setIsEmailAuthenticated(isAccountAuthType(authType));
     setShowLogin(false);
-    // Only sync from Nakama if email authenticated
-    if (authType === 'email') {
-      await syncFromNakama();
+    // Device projects were merged into the account's board and saved; show that board instead of syncing the old one
+    const movedProjects = linkSummary?.projects || null;
+    if (movedProjects) setProjectsData(movedProjects);
+    // Only sync from Nakama for account sessions
+    if (isAccountAuthType(authType)) {
+      if (movedProjects) {
+        setSyncStatus('synced');
+        setInitialCloudSyncDone(true);
+      } else {
+        await syncFromNakama();
+      }
     }
   };
 
+  // Signed out from the account panel (the service already revoked the session): continue with a local device session
+  const handleSignedOut = async () => {
+    setShowLogin(false);
+    setIsEmailAuthenticated(false);
+    setInitialCloudSyncDone(false);
+    setSyncConflicts([]);
+    setSyncStatus('local');
+    await handleDeviceAuth();
+  };
+
+  // Encryption was turned on/off, unlocked or locked in the account panel
+  const handleEncryptionChanged = ({ enabled, unlocked }) => {
+    if (enabled && !unlocked) {
+      // No cloud saves until the passphrase is entered again
+      setInitialCloudSyncDone(false);
+      setSyncStatus('locked');
+      return;
+    }
+    if (syncStatus === 'locked') {
+      setShowLogin(false);
+      syncFromNakama();
+    }
+  };
+
+  // The refresh token was rejected: the service has logged out, so ask for credentials again
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      console.log('[App] ⚠️ Session could not be refreshed, login required');
+      const wasEmail = isAccountAuthType(localStorage.getItem('zhong_auth_type'));
+      setIsAuthenticated(false);
+      setIsEmailAuthenticated(false);
+      setInitialCloudSyncDone(false);
+      setSyncStatus('local');
+      if (wasEmail) setShowLogin(true);
+    };
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+  }, []);
+
   // Sync from Nakama
-  const syncFromNakama = async () => {
+  const syncFromNakama = React.useCallback(async () => {
     if (!nakamaService.isAuthenticated()) return;
 
     setSyncStatus('syncing');
     try {
-      const syncedProjects = await nakamaService.syncProjects(projectsData);
+      const { projects: syncedProjects, conflicts, remoteChanged, locked } = await nakamaService.syncProjects(projectsData);
+      if (locked) {
+        // Encrypted cloud data: hold off cloud saves until the passphrase is entered (Account panel)
+        setSyncStatus('locked');
+        return;
+      }
       setProjectsData(syncedProjects);
-      setSyncStatus('synced');
+      setSyncConflicts(conflicts);
+      setShowConflicts(conflicts.length > 0);
+      setSyncStatus(conflicts.length > 0 ? 'conflict' : remoteChanged ? 'remote-changed' : 'synced');
       setInitialCloudSyncDone(true);
+      // Connection and session are good again: flush anything queued while offline
+      nakamaService.replayOutbox({ force: true });
     } catch (error) {
       console.error('[App] Sync failed:', error);
       setSyncStatus('error');
       setInitialCloudSyncDone(true); // Allow saves even after error so edits can retry
     }
+  }, [projectsData]);
+
+  // Track queued cloud writes; a queued save rejected because the cloud changed needs a fresh merge
+  useEffect(() => {
+    const handleOutbox = (e) => {
+      setPendingWrites(e.detail.pending);
+      if (e.detail.needsSync) syncFromNakama();
+    };
+    window.addEventListener(OUTBOX_EVENT, handleOutbox);
+    return () => window.removeEventListener(OUTBOX_EVENT, handleOutbox);
+  }, [syncFromNakama]);
+
+  // Live updates: keep a realtime connection open while cloud sync is active
+  useEffect(() => {
+    if (!isEmailAuthenticated || !initialCloudSyncDone) return;
+    nakamaService.connectRealtime();
+    return () => nakamaService.disconnectRealtime();
+  }, [isEmailAuthenticated, initialCloudSyncDone]);
+
+  // Another device saved: pull and merge, then highlight the projects it touched
+  useEffect(() => {
+    const handleProjectsChanged = async (e) => {
+      await syncFromNakama();
+      setRemoteChangedIds(e.detail.projectIds);
+    };
+    window.addEventListener(PROJECTS_CHANGED_EVENT, handleProjectsChanged);
+    return () => window.removeEventListener(PROJECTS_CHANGED_EVENT, handleProjectsChanged);
+  }, [syncFromNakama]);
+
+  useEffect(() => {
+    if (remoteChangedIds.length === 0) return;
+    const timer = setTimeout(() => setRemoteChangedIds([]), 3000);
+    return () => clearTimeout(timer);
+  }, [remoteChangedIds]);
+
+  // Publish a read-only snapshot of the board and copy its link
+  const handlePublishShare = async () => {
+    setShareStatus('publishing');
+    try {
+      const { ownerId, shareId } = await nakamaService.publishBoardSnapshot(projectsData, statsForGrid);
+      const url = shareUrl(ownerId, shareId);
+      setShareLink(url);
+      setShareStatus('published');
+      navigator.clipboard?.writeText(url).catch(() => {});
+    } catch (error) {
+      console.error('[App] Failed to publish board snapshot:', error);
+      setShareStatus('error');
+    }
+    setTimeout(() => setShareStatus(null), 3000);
+  };
+
+  // Everything a board archive holds, as it is on this device now
+  const getArchiveBoard = () => ({
+    projects: projectsData,
+    sessions: readStoredJson('cursor_sessions', []),
+    tokenUsage: readStoredJson('cursor_token_usage', null) || { entries: [], metadata: { version: '1.0', created: new Date().toISOString() } },
+    theme: { name: theme, swapBackgrounds, swapDots },
+    cloudAnalytics: sessionStatsByProjectCode
+  });
+
+  // Apply an imported archive (already replaced or merged into the board by the dialog)
+  const handleImportArchive = async (board) => {
+    localStorage.setItem('cursor_sessions', JSON.stringify(board.sessions));
+    localStorage.setItem('cursor_token_usage', JSON.stringify(board.tokenUsage, null, 2));
+    localStorage.setItem('zhong_projects', JSON.stringify(board.projects));
+    localStorage.setItem('zhong_projects_version', Date.now().toString());
+    setProjectsData(board.projects);
+    if (!board.projects.some(p => p.id === selectedProjectId)) setSelectedProjectId(null);
+    if (board.theme && themes[board.theme.name]) {
+      setTheme(board.theme.name);
+      setSwapBackgrounds(!!board.theme.swapBackgrounds);
+      setSwapDots(!!board.theme.swapDots);
+    }
+    setSessionStatsByProjectCode(board.cloudAnalytics);
+    setLocalSessions(readLocalSessions());
+    setSessionSyncKey(k => k + 1);
+
+    // Projects are saved to the cloud by the save effect; the analytics are written here
+    if (isEmailAuthenticated && !nakamaService.offlineMode) {
+      for (const [projectCode, payload] of Object.entries(board.cloudAnalytics)) {
+        await nakamaService.saveSessionAnalytics(projectCode, payload);
+      }
+    }
+    console.log('[App] 📦 Board archive imported', { projects: board.projects.length, sessions: board.sessions.length });
+  };
+
+  // Close the board's quarter: keep a snapshot of it, then re-code, retire or reset each project
+  const handleRollover = async (actions, from, to) => {
+    if (!isEmailAuthenticated) {
+      setShowLogin(true);
+      throw new Error('Sign in to close the quarter.');
+    }
+    if (isReadOnlyBoard) throw new Error('You can only view this board.');
+    saveQuarterSnapshot({
+      quarter: from.label,
+      closedAt: new Date().toISOString(),
+      projects: projectsData,
+      cloudAnalytics: sessionStatsByProjectCode
+    });
+    setProjectsData(prev => applyRollover(prev, actions, to));
+    console.log(`[App] 📅 Closed ${from.label}, opened ${to.label}`);
+  };
+
+  // Apply a code rename or merge: cloud analytics first, so a failed write leaves everything as it was
+  const applyCodeChange = async ({ projects, fromCodes, target }) => {
+    if (fromCodes.length > 0 && isEmailAuthenticated && !nakamaService.offlineMode) {
+      await nakamaService.rekeySessionAnalytics(fromCodes, target.projectCode);
+    }
+    const { sessions, moved } = cascadeSessions(readStoredJson('cursor_sessions', []), fromCodes, target);
+    if (moved.length > 0) localStorage.setItem('cursor_sessions', JSON.stringify(sessions));
+    setProjectsData(projects);
+    setSessionStatsByProjectCode(prev => {
+      const moving = fromCodes.filter(code => prev[code]);
+      if (moving.length === 0) return prev;
+      const next = { ...prev };
+      const combined = combineAnalytics([prev[target.projectCode], ...moving.map(code => prev[code])]);
+      next[target.projectCode] = { ...combined, projectCode: target.projectCode };
+      moving.forEach(code => delete next[code]);
+      return next;
+    });
+    setLocalSessions(readLocalSessions());
+    setSessionSyncKey(k => k + 1);
+    console.log(`[App] ✎ ${fromCodes.join(', ')} → ${target.projectCode}`, { sessions: moved.length });
+  };
+
+  const handleRenameCode = async (newCode) => {
+    if (!isEmailAuthenticated) {
+      setShowLogin(true);
+      throw new Error('Sign in to rename the project code.');
+    }
+    if (isReadOnlyBoard) throw new Error('You can only view this board.');
+    await applyCodeChange(renameProjectCode(projectsData, selectedProjectId, newCode));
+  };
+
+  const handleMergeProject = async (targetId) => {
+    if (!isEmailAuthenticated) {
+      setShowLogin(true);
+      throw new Error('Sign in to merge projects.');
+    }
+    if (isReadOnlyBoard) throw new Error('You can only view this board.');
+    await applyCodeChange(mergeProjectInto(projectsData, selectedProjectId, targetId));
+    setSelectedProjectId(targetId);
+  };
+
+  // Write the user's picks for conflicting fields back to the cloud
+  const handleResolveConflicts = async (resolutions) => {
+    const resolved = applyResolutions(projectsData, resolutions);
+    await nakamaService.saveProjects(resolved);
+    localStorage.setItem('zhong_projects', JSON.stringify(resolved));
+    localStorage.setItem('zhong_projects_version', Date.now().toString());
+    setSyncConflicts([]);
+    setShowConflicts(false);
+    setProjectsData(resolved);
+    setSyncStatus('synced');
   };
 
   // Persist changes to Nakama (only when email-authenticated and after first sync)
@@ -385,15 +680,26 @@ function App() {
     if (!isEmailAuthenticated || !nakamaService.isAuthenticated()) return;
     // Wait for initial cloud sync so we don't overwrite cloud with default/local data on first load (prevents 400 on deployed)
     if (!initialCloudSyncDone) return;
+    // Don't overwrite the cloud side of unresolved conflicts
+    if (syncConflicts.length > 0) {
+      localStorage.setItem('zhong_projects', JSON.stringify(projectsData));
+      return;
+    }
 
     nakamaService.saveProjects(projectsData).catch(error => {
+      if (error.code === REMOTE_CHANGED) {
+        // Another device saved first: pull its changes and merge before writing again
+        setSyncStatus('remote-changed');
+        syncFromNakama();
+        return;
+      }
       console.error('[App] Failed to save to Nakama:', error);
       setSyncStatus('error');
     });
 
     localStorage.setItem('zhong_projects', JSON.stringify(projectsData));
     localStorage.setItem('zhong_projects_version', Date.now().toString());
-  }, [projectsData, isEmailAuthenticated, initialCloudSyncDone]);
+  }, [projectsData, isEmailAuthenticated, initialCloudSyncDone, syncConflicts, syncFromNakama]);
 
   const [selectedProjectId, setSelectedProjectId] = useState(null);
   const [theme, setTheme] = useState('burgundy_royal');
@@ -414,12 +720,15 @@ function App() {
     systemType: 'WEB'
   });
 
-  const selectedProject = projectsData.find(p => p.id === selectedProjectId);
+  // The board as shown: replayed from history while time traveling
+  const boardProjects = isPastView ? boardAt(projectsData, timeTravelAt) : projectsData;
+  const selectedProject = boardProjects.find(p => p.id === selectedProjectId);
 
   // Load session analytics from Nakama for all projects so we can show token/prompt counts on dots
   useEffect(() => {
-    if (!nakamaService.isAuthenticated() || nakamaService.offlineMode) return;
-    const codes = [...new Set(projectsData.map(p => p.projectCode).filter(Boolean))];
+    // Share links come with the snapshot's analytics
+    if (isShareView || !nakamaService.isAuthenticated() || nakamaService.offlineMode) return;
+    const codes = [...new Set(projectsData.flatMap(projectCodesOf))];
     if (codes.length === 0) return;
     let cancelled = false;
     (async () => {
@@ -436,83 +745,89 @@ function App() {
 
   // In dev, merge in session stats from localStorage (cursor_sessions) so dots update right after Sync Sessions
   const localStatsForDots = React.useMemo(() => {
-    if (!import.meta.env.DEV) return {};
-    try {
-      const raw = localStorage.getItem('cursor_sessions');
-      if (!raw) return {};
-      const sessions = JSON.parse(raw);
-      const byCode = {};
-      sessions.forEach(s => {
-        const code = s.projectCode;
-        if (!code || code === 'unknown') return;
-        if (!byCode[code]) byCode[code] = { totalTokens: 0, totalPrompts: 0, sessionCount: 0 };
-        byCode[code].sessionCount += 1;
-        byCode[code].totalTokens += Number(s.totalTokens) || 0;
-        if (s.promptGroups && Array.isArray(s.promptGroups)) byCode[code].totalPrompts += s.promptGroups.length;
-        else if (s.tokenEntries?.length) byCode[code].totalPrompts += 1;
-      });
-      return byCode;
-    } catch {
-      return {};
-    }
-  }, [sessionSyncKey]);
+    if (!import.meta.env.DEV || isShareView) return {};
+    const byCode = {};
+    localSessions.forEach(s => {
+      const code = s.projectCode;
+      if (!code || code === 'unknown') return;
+      if (!byCode[code]) byCode[code] = { totalTokens: 0, totalPrompts: 0, sessionCount: 0, totalHours: 0 };
+      byCode[code].sessionCount += 1;
+      byCode[code].totalTokens += Number(s.totalTokens) || 0;
+      byCode[code].totalHours += sessionHours([s]);
+      if (s.promptGroups && Array.isArray(s.promptGroups)) byCode[code].totalPrompts += s.promptGroups.length;
+      else if (s.tokenEntries?.length) byCode[code].totalPrompts += 1;
+    });
+    return byCode;
+  }, [localSessions]);
 
-  const statsForGrid = { ...sessionStatsByProjectCode, ...localStatsForDots };
+  const currentStats = { ...sessionStatsByProjectCode, ...localStatsForDots };
 
-  // Calculate YANG/YIN type based on position (matching HexGrid logic)
-  const getPositionType = (projectId) => {
-    if (projectId === 0) return 'ZHONG';
-    
-    // Generate the same spiral coordinates as HexGrid
-    function generateSpiral(n) {
-      let results = [{ q: 0, r: 0 }];
-      if (n === 0) return results;
-      for (let k = 1; k <= n; k++) {
-        let q = 0, r = -k, s = k;
-        for (let i = 0; i < k; i++) { q++; s--; results.push({ q, r }); }
-        for (let i = 0; i < k; i++) { r++; s--; results.push({ q, r }); }
-        for (let i = 0; i < k; i++) { q--; r++; results.push({ q, r }); }
-        for (let i = 0; i < k; i++) { q--; s++; results.push({ q, r }); }
-        for (let i = 0; i < k; i++) { r--; s++; results.push({ q, r }); }
-        for (let i = 0; i < k; i++) { q++; r--; results.push({ q, r }); }
-      }
-      return results;
+  // Sessions per projectCode for replaying session totals: this browser's, else the cloud analytics' session lists
+  const sessionsByCode = React.useMemo(() => {
+    const byCode = {};
+    Object.entries(sessionStatsByProjectCode).forEach(([code, data]) => {
+      if (Array.isArray(data.sessions)) byCode[code] = data.sessions;
+    });
+    const local = {};
+    (isShareView ? [] : localSessions).forEach(s => {
+      if (!s.projectCode || s.projectCode === 'unknown') return;
+      (local[s.projectCode] = local[s.projectCode] || []).push(s);
+    });
+    return { ...byCode, ...local };
+  }, [sessionStatsByProjectCode, localSessions]);
+
+  const statsForGrid = withAliasStats(boardProjects, isPastView ? sessionStatsAt(sessionsByCode, timeTravelAt) : currentStats);
+  const timelineStart = boardStartTime(projectsData, sessionsByCode);
+
+  // Heatmap overlay on the grid ('none' shows the plain yin/yang board)
+  const [overlayMode, setOverlayMode] = useState('none');
+  const [showOverlayDropdown, setShowOverlayDropdown] = useState(false);
+  const overlay = buildOverlay(overlayMode, boardProjects, statsForGrid, timeTravelAt ?? Date.now());
+
+  // Rings on the board: enough for the highest project ID (adding rings adds slots, it never renumbers)
+  const ringCount = Math.max(1, ringCountFor(projectsData));
+  // Rings can't be removed past the outermost project that holds real data
+  const minRingCount = Math.max(1, ringCountFor(projectsData.filter(p => !isPlaceholderProject(p))));
+
+  const handleRingCountChange = (nextRingCount) => {
+    if (!isEmailAuthenticated) {
+      setShowLogin(true);
+      return;
     }
-    
-    const hexSize = 60;
-    function hexToPixel(q, r, size) {
-      const x = size * (Math.sqrt(3) * q + Math.sqrt(3) / 2 * r);
-      const y = size * (3 / 2 * r);
-      return { x, y };
+    if (isReadOnlyBoard) return;
+    if (nextRingCount < minRingCount || nextRingCount > MAX_RING_COUNT) return;
+    setProjectsData(prev => resizeBoard(prev, nextRingCount));
+    if (selectedProjectId !== null && selectedProjectId >= slotCount(nextRingCount)) setSelectedProjectId(null);
+  };
+
+  // Drag-and-drop on the grid: the project moves (or swaps) slots, keeping its code and Worldline
+  const handleMoveProject = (fromId, toId) => {
+    if (!isEmailAuthenticated) {
+      setShowLogin(true);
+      return;
     }
-    
-    const coords = generateSpiral(3);
-    const coord = coords[projectId];
-    if (!coord) return 'YANG'; // Default fallback
-    
-    const { x, y } = hexToPixel(coord.q, coord.r, hexSize);
-    const { q, r } = coord;
-    
-    const isTopEye = (q === 1 && r === -2);
-    const isBottomEye = (q === -1 && r === 2);
-    const topEyeNeighbors = [
-      { q: 2, r: -2 }, { q: 2, r: -3 }, { q: 1, r: -3 }, { q: 0, r: -2 }, { q: 0, r: -1 }, { q: 1, r: -1 }
-    ];
-    const bottomEyeNeighbors = [
-      { q: 0, r: 2 }, { q: 0, r: 1 }, { q: -1, r: 1 }, { q: -2, r: 2 }, { q: -2, r: 3 }, { q: -1, r: 3 }
-    ];
-    const isTopNeighbor = topEyeNeighbors.some(n => n.q === q && n.r === r);
-    const isBottomNeighbor = bottomEyeNeighbors.some(n => n.q === q && n.r === r);
-    
-    if (isTopEye) return 'YIN';
-    if (isBottomEye) return 'YANG';
-    if (isTopNeighbor) return 'YANG';
-    if (isBottomNeighbor) return 'YIN';
-    if (x < 0) return 'YANG';
-    if (x > 0) return 'YIN';
-    return y < 0 ? 'YANG' : 'YIN';
+    if (isReadOnlyBoard) return;
+    setProjectsData(prev => moveProject(prev, fromId, toId));
+    // The detail panel follows the project it shows
+    if (selectedProjectId === fromId) setSelectedProjectId(toId);
+    else if (selectedProjectId === toId) setSelectedProjectId(fromId);
   };
+
+  // YANG/YIN side of a slot, from the same layout the grid draws
+  const getPositionType = (projectId) => slotPositionType(projectId, ringCount) || 'YANG';
   
+  // Warn before a knot or project edit is too large to sync (the cloud keeps everything, untruncated)
+  const draftKnotLimitWarning = selectedProject && newUpdate.description
+    ? describeCloudLimitIssues(findCloudLimitIssues({
+        ...selectedProject,
+        history: [{ version: 'new knot', date: new Date().toLocaleDateString(), ...newUpdate }]
+      }).filter(i => i.kind === 'knot'))
+    : null;
+  const canAddKnot = !!newUpdate.description && !draftKnotLimitWarning;
+  const editFormLimitWarning = isEditing
+    ? describeCloudLimitIssues(findCloudLimitIssues({ ...editForm, history: [] }))
+    : null;
+
   // Get position-based type for display
   const positionType = selectedProject ? getPositionType(selectedProject.id) : null;
   
@@ -562,6 +877,7 @@ function App() {
       setShowLogin(true);
       return;
     }
+    if (isReadOnlyBoard) return;
     
     // Generate projectCode from selected parameters
     const fullYear = parseInt('20' + projectIdConfig.year);
@@ -569,7 +885,7 @@ function App() {
     const projectCode = generateProjectId({
       date: dateForQuarter,
       type: projectIdConfig.systemType,
-      projectNumber: selectedProject.id
+      projectNumber: projectNumberOf(selectedProject)
     });
     
     // Update project with generated code and mark as initialized
@@ -589,6 +905,7 @@ function App() {
       setShowLogin(true);
       return;
     }
+    if (isReadOnlyBoard) return;
     setEditForm(selectedProject);
     setIsEditing(true);
   };
@@ -598,7 +915,9 @@ function App() {
       setShowLogin(true);
       return;
     }
-    setProjectsData(prev => prev.map(p => p.id === editForm.id ? editForm : p));
+    if (isReadOnlyBoard) return;
+    if (editFormLimitWarning) return;
+    setProjectsData(prev => prev.map(p => p.id === editForm.id ? recordStatusChange(p, editForm) : p));
     setIsEditing(false);
   };
 
@@ -612,7 +931,8 @@ function App() {
       setShowLogin(true);
       return;
     }
-    if (!newUpdate.description) return;
+    if (isReadOnlyBoard) return;
+    if (!canAddKnot) return;
 
     const today = new Date();
     const updateIndex = (selectedProject.history?.length || 0) + 1;
@@ -629,7 +949,8 @@ function App() {
     
     const knot = {
       version,
-      date: today.toLocaleDateString(),
+      date: today.toLocaleDateString(), // Display date, in the locale of the device that made the knot
+      createdAt: today.toISOString(), // When the knot was made (time travel reads this, not the display date)
       commit: newUpdate.commit || 'No Commit ID',
       repo: newUpdate.repo || '', // Store repo path if provided
       timestamp: commitTimestamp, // Store manual timestamp if provided
@@ -688,159 +1009,267 @@ function App() {
           opacity: 0.6,
           lineHeight: '1.4'
         }}>
-          <div>
-            <span>Status: {isEmailAuthenticated 
-              ? (syncStatus === 'synced' ? '✓ Synced' : syncStatus === 'syncing' ? '⟳ Syncing...' : syncStatus === 'error' ? '⚠ Offline' : '✓ Verified – you can edit cards')
-              : isAuthenticated 
-                ? '🔐 Device Session'
-                : '📱 Offline'}
-            </span>
-          </div>
-          {isEmailAuthenticated && (
-            <div style={{ marginTop: '2px' }}>
-              <span style={{ opacity: 0.8 }}>Verified account – card edits sync to your account</span>
-            </div>
-          )}
-          {isAuthenticated && !isEmailAuthenticated && (
-            <div style={{ marginTop: '2px' }}>
-              <span>(Local only – log in to edit and sync)</span>
-            </div>
-          )}
-          {!isEmailAuthenticated && (isAuthenticated || nakamaService.offlineMode) && (
-            <div style={{ marginTop: '2px' }}>
-              <span style={{ opacity: 0.85 }}>Log in with your account to see session stats (tokens, prompts) from other devices.</span>
-            </div>
-          )}
-          {nakamaService.offlineMode && (
-            <div style={{ marginTop: '2px' }}>
-              <span style={{ opacity: 0.7 }}>Cloud not configured for this build – set VITE_NAKAMA_HOST and VITE_NAKAMA_SERVER_KEY when building to see stats on the public site.</span>
-            </div>
-          )}
-          {isAuthenticated && !isEmailAuthenticated && (
-            <div style={{ marginTop: '2px' }}>
-              <span style={{ opacity: 0.7 }}>
-                Device: {nakamaService.getUserId()?.substring(0, 8)}...
+          {isShareView ? (
+            <>
+              <div>
+                <span>🔗 Shared snapshot – read-only</span>
+              </div>
+              {sharedSnapshot?.publishedAt && (
+                <div style={{ marginTop: '2px' }}>
+                  <span style={{ opacity: 0.8 }}>Published {new Date(sharedSnapshot.publishedAt).toLocaleString()}</span>
+                </div>
+              )}
+              {shareError && (
+                <div style={{ marginTop: '2px', color: '#ff6b6b' }}>
+                  <span>{shareError}</span>
+                </div>
+              )}
+            </>
+          ) : (
+            <>
+            <div>
+              <span>Status: {isEmailAuthenticated 
+                ? (syncStatus === 'synced' ? '✓ Synced' : syncStatus === 'syncing' ? '⟳ Syncing...' : syncStatus === 'error' ? '⚠ Offline' : syncStatus === 'conflict' ? `⚠ ${syncConflicts.length} sync conflict${syncConflicts.length === 1 ? '' : 's'}` : syncStatus === 'remote-changed' ? '↻ Remote changed – merged latest' : syncStatus === 'locked' ? '🔒 Cloud data encrypted – unlock under Account' : '✓ Verified – you can edit cards')
+                : isAuthenticated 
+                  ? '🔐 Device Session'
+                  : '📱 Offline'}
               </span>
+              {pendingWrites > 0 && (
+                <span style={{ marginLeft: '6px', color: '#ff9800' }}>
+                  · ⏳ {pendingWrites} pending write{pendingWrites === 1 ? '' : 's'}
+                </span>
+              )}
             </div>
-          )}
-          <div style={{ marginTop: '5px', display: 'flex', gap: '5px', flexWrap: 'wrap' }}>
             {isEmailAuthenticated && (
-              <button
-                onClick={() => setShowLogin(true)}
-                style={{
-                  background: 'transparent',
-                  border: '1px solid rgba(255,255,255,0.2)',
-                  color: '#fff',
-                  padding: '2px 8px',
-                  borderRadius: '4px',
-                  cursor: 'pointer',
-                  fontSize: '0.7rem'
-                }}
-              >
-                Account
-              </button>
+              <div style={{ marginTop: '2px' }}>
+                <span style={{ opacity: 0.8 }}>Verified account – card edits sync to your account</span>
+              </div>
             )}
-            {!isEmailAuthenticated && (
-              <button
-                onClick={() => setShowLogin(true)}
-                style={{
-                  background: 'var(--accent-gold)',
-                  border: 'none',
-                  color: '#000',
-                  padding: '2px 8px',
-                  borderRadius: '4px',
-                  cursor: 'pointer',
-                  fontSize: '0.7rem',
-                  fontWeight: 'bold'
-                }}
-              >
-                Log in to edit cards
-              </button>
+            {isAuthenticated && !isEmailAuthenticated && (
+              <div style={{ marginTop: '2px' }}>
+                <span>(Local only – log in to edit and sync)</span>
+              </div>
             )}
-            {import.meta.env.DEV && (
-              <button
-                onClick={syncSessionsFromFileSystem}
-                style={{
-                  background: 'transparent',
-                  border: '1px solid rgba(255,255,255,0.2)',
-                  color: '#fff',
-                  padding: '2px 8px',
-                  borderRadius: '4px',
-                  cursor: 'pointer',
-                  fontSize: '0.7rem',
-                  marginLeft: '5px'
-                }}
-                title="Sync sessions from file system (local dev only)"
-              >
-                🔄 Sync Sessions
-              </button>
+            {!isEmailAuthenticated && (isAuthenticated || nakamaService.offlineMode) && (
+              <div style={{ marginTop: '2px' }}>
+                <span style={{ opacity: 0.85 }}>Log in with your account to see session stats (tokens, prompts) from other devices.</span>
+              </div>
             )}
-            {isEmailAuthenticated && (
-              <button
-                onClick={async () => {
-                  if (nakamaService.offlineMode) return;
-                  setSyncStatus('syncing');
-                  try {
-                    const synced = await nakamaService.syncProjects(projectsData);
-                    setProjectsData(synced);
-                    setCloudSyncKey(k => k + 1);
-                    setSyncStatus('synced');
-                  } catch (e) {
-                    console.error('[App] Cloud sync failed:', e);
-                    setSyncStatus('error');
-                  }
-                }}
-                style={{
-                  background: syncStatus === 'syncing' ? 'rgba(255,255,255,0.1)' : 'transparent',
-                  border: '1px solid rgba(255,255,255,0.2)',
-                  color: '#fff',
-                  padding: '2px 8px',
-                  borderRadius: '4px',
-                  cursor: syncStatus === 'syncing' ? 'wait' : 'pointer',
-                  fontSize: '0.7rem',
-                  marginLeft: '5px'
-                }}
-                title="Pull latest projects and session stats from the cloud"
-                disabled={syncStatus === 'syncing' || nakamaService.offlineMode}
-              >
-                {syncStatus === 'syncing' ? '⟳ Syncing...' : '↓ Cloud Sync'}
-              </button>
+            {nakamaService.offlineMode && (
+              <div style={{ marginTop: '2px' }}>
+                <span style={{ opacity: 0.7 }}>Cloud not configured for this build – set VITE_NAKAMA_HOST and VITE_NAKAMA_SERVER_KEY when building to see stats on the public site.</span>
+              </div>
             )}
-            {isEmailAuthenticated && (
+            {isAuthenticated && !isEmailAuthenticated && (
+              <div style={{ marginTop: '2px' }}>
+                <span style={{ opacity: 0.7 }}>
+                  Device: {nakamaService.getUserId()?.substring(0, 8)}...
+                </span>
+              </div>
+            )}
+            <div style={{ marginTop: '5px', display: 'flex', gap: '5px', flexWrap: 'wrap' }}>
+              {isEmailAuthenticated && (
+                <button
+                  onClick={() => setShowLogin(true)}
+                  style={{
+                    background: 'transparent',
+                    border: '1px solid rgba(255,255,255,0.2)',
+                    color: '#fff',
+                    padding: '2px 8px',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '0.7rem'
+                  }}
+                >
+                  Account
+                </button>
+              )}
+              {!isEmailAuthenticated && (
+                <button
+                  onClick={() => setShowLogin(true)}
+                  style={{
+                    background: 'var(--accent-gold)',
+                    border: 'none',
+                    color: '#000',
+                    padding: '2px 8px',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '0.7rem',
+                    fontWeight: 'bold'
+                  }}
+                >
+                  Log in to edit cards
+                </button>
+              )}
+              {import.meta.env.DEV && (
+                <button
+                  onClick={syncSessionsFromFileSystem}
+                  style={{
+                    background: 'transparent',
+                    border: '1px solid rgba(255,255,255,0.2)',
+                    color: '#fff',
+                    padding: '2px 8px',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '0.7rem',
+                    marginLeft: '5px'
+                  }}
+                  title="Sync sessions from file system (local dev only)"
+                >
+                  🔄 Sync Sessions
+                </button>
+              )}
+              {isEmailAuthenticated && (
+                <button
+                  onClick={async () => {
+                    if (nakamaService.offlineMode) return;
+                    setSyncStatus('syncing');
+                    try {
+                      const { projects: synced, conflicts, remoteChanged, locked } = await nakamaService.syncProjects(projectsData);
+                      if (locked) {
+                        setSyncStatus('locked');
+                        return;
+                      }
+                      setProjectsData(synced);
+                      setSyncConflicts(conflicts);
+                      setShowConflicts(conflicts.length > 0);
+                      setCloudSyncKey(k => k + 1);
+                      setSyncStatus(conflicts.length > 0 ? 'conflict' : remoteChanged ? 'remote-changed' : 'synced');
+                    } catch (e) {
+                      console.error('[App] Cloud sync failed:', e);
+                      setSyncStatus('error');
+                    }
+                  }}
+                  style={{
+                    background: syncStatus === 'syncing' ? 'rgba(255,255,255,0.1)' : 'transparent',
+                    border: '1px solid rgba(255,255,255,0.2)',
+                    color: '#fff',
+                    padding: '2px 8px',
+                    borderRadius: '4px',
+                    cursor: syncStatus === 'syncing' ? 'wait' : 'pointer',
+                    fontSize: '0.7rem',
+                    marginLeft: '5px'
+                  }}
+                  title="Pull latest projects and session stats from the cloud"
+                  disabled={syncStatus === 'syncing' || nakamaService.offlineMode}
+                >
+                  {syncStatus === 'syncing' ? '⟳ Syncing...' : '↓ Cloud Sync'}
+                </button>
+              )}
+              {syncConflicts.length > 0 && (
+                <button
+                  onClick={() => setShowConflicts(true)}
+                  style={{
+                    background: 'rgba(255,152,0,0.3)',
+                    border: '1px solid rgba(255,152,0,0.6)',
+                    color: '#fff',
+                    padding: '2px 8px',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '0.7rem',
+                    marginLeft: '5px'
+                  }}
+                  title="Choose which edits to keep for projects changed on this device and in the cloud"
+                >
+                  ⚠ Resolve conflicts
+                </button>
+              )}
+              {isEmailAuthenticated && (
+                <button
+                  onClick={async () => {
+                    if (nakamaService.offlineMode) {
+                      setPushStatus('error');
+                      setTimeout(() => setPushStatus(null), 3000);
+                      return;
+                    }
+                    setPushStatus('pushing');
+                    try {
+                      await pushSessionAnalyticsToNakama();
+                      setPushStatus('pushed');
+                      setTimeout(() => setPushStatus(null), 3000);
+                    } catch (e) {
+                      setPushStatus('error');
+                      setTimeout(() => setPushStatus(null), 3000);
+                    }
+                  }}
+                  style={{
+                    background: pushStatus === 'pushed' ? 'rgba(76,175,80,0.3)' : pushStatus === 'error' ? 'rgba(244,67,54,0.3)' : 'transparent',
+                    border: '1px solid rgba(255,255,255,0.2)',
+                    color: '#fff',
+                    padding: '2px 8px',
+                    borderRadius: '4px',
+                    cursor: pushStatus === 'pushing' ? 'wait' : 'pointer',
+                    fontSize: '0.7rem',
+                    marginLeft: '5px'
+                  }}
+                  title="Push session stats (tokens, prompts) to your account so they show on the public site"
+                  disabled={pushStatus === 'pushing'}
+                >
+                  {pushStatus === 'pushing' ? '⟳ Pushing...' : pushStatus === 'pushed' ? '✓ Pushed to cloud' : pushStatus === 'error' ? (nakamaService.offlineMode ? '✗ Cloud not configured' : '✗ Push failed') : '☁ Push to cloud'}
+                </button>
+              )}
+              {!isShareView && (
+                <button
+                  onClick={() => setShowRollover(true)}
+                  style={{
+                    background: 'transparent',
+                    border: '1px solid rgba(255,255,255,0.2)',
+                    color: '#fff',
+                    padding: '2px 8px',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '0.7rem',
+                    marginLeft: '5px'
+                  }}
+                  title="Close the quarter and carry projects over to the next one"
+                >
+                  📅 Quarter
+                </button>
+              )}
               <button
-                onClick={async () => {
-                  if (nakamaService.offlineMode) {
-                    setPushStatus('error');
-                    setTimeout(() => setPushStatus(null), 3000);
-                    return;
-                  }
-                  setPushStatus('pushing');
-                  try {
-                    await pushSessionAnalyticsToNakama();
-                    setPushStatus('pushed');
-                    setTimeout(() => setPushStatus(null), 3000);
-                  } catch (e) {
-                    setPushStatus('error');
-                    setTimeout(() => setPushStatus(null), 3000);
-                  }
-                }}
+                onClick={() => setShowArchive(true)}
                 style={{
-                  background: pushStatus === 'pushed' ? 'rgba(76,175,80,0.3)' : pushStatus === 'error' ? 'rgba(244,67,54,0.3)' : 'transparent',
+                  background: 'transparent',
                   border: '1px solid rgba(255,255,255,0.2)',
                   color: '#fff',
                   padding: '2px 8px',
                   borderRadius: '4px',
-                  cursor: pushStatus === 'pushing' ? 'wait' : 'pointer',
+                  cursor: 'pointer',
                   fontSize: '0.7rem',
                   marginLeft: '5px'
                 }}
-                title="Push session stats (tokens, prompts) to your account so they show on the public site"
-                disabled={pushStatus === 'pushing'}
+                title="Export the board as a backup archive, or import one"
               >
-                {pushStatus === 'pushing' ? '⟳ Pushing...' : pushStatus === 'pushed' ? '✓ Pushed to cloud' : pushStatus === 'error' ? (nakamaService.offlineMode ? '✗ Cloud not configured' : '✗ Push failed') : '☁ Push to cloud'}
+                💾 Backup
               </button>
+              {isEmailAuthenticated && !nakamaService.offlineMode && (
+                <button
+                  onClick={handlePublishShare}
+                  style={{
+                    background: shareStatus === 'published' ? 'rgba(76,175,80,0.3)' : shareStatus === 'error' ? 'rgba(244,67,54,0.3)' : 'transparent',
+                    border: '1px solid rgba(255,255,255,0.2)',
+                    color: '#fff',
+                    padding: '2px 8px',
+                    borderRadius: '4px',
+                    cursor: shareStatus === 'publishing' ? 'wait' : 'pointer',
+                    fontSize: '0.7rem',
+                    marginLeft: '5px'
+                  }}
+                  title="Publish a read-only snapshot of this board and copy a link anyone can open without an account"
+                  disabled={shareStatus === 'publishing'}
+                >
+                  {shareStatus === 'publishing' ? '⟳ Publishing...' : shareStatus === 'published' ? '✓ Link copied' : shareStatus === 'error' ? '✗ Share failed' : '🔗 Share'}
+                </button>
+              )}
+            </div>
+            {shareLink && (
+              <div style={{ marginTop: '4px' }}>
+                <span style={{ opacity: 0.8 }}>Share link: </span>
+                <a href={shareLink} target="_blank" rel="noreferrer" style={{ color: 'var(--accent-gold)', wordBreak: 'break-all' }}>{shareLink}</a>
+              </div>
             )}
-          </div>
+            </>
+          )}
         </div>
       </div>
 
@@ -882,6 +1311,41 @@ function App() {
           </button>
         </div>
         
+        {/* Ring Count */}
+        {!isShareView && (
+          <div
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '4px',
+              background: 'rgba(255,255,255,0.1)',
+              border: '1px solid rgba(255,255,255,0.2)',
+              borderRadius: '4px',
+              padding: '2px 4px',
+              fontSize: '0.7rem',
+              color: '#fff',
+              whiteSpace: 'nowrap'
+            }}
+            title={`Rings around the center (${projectsData.length} hexes). Rings holding projects can't be removed.`}
+          >
+            <button
+              onClick={() => handleRingCountChange(ringCount - 1)}
+              disabled={isReadOnlyBoard || ringCount <= minRingCount}
+              style={{ background: 'transparent', border: 'none', color: '#fff', cursor: 'pointer', padding: '2px 4px', opacity: ringCount <= minRingCount ? 0.3 : 1 }}
+            >
+              −
+            </button>
+            <span>◎ {ringCount} rings</span>
+            <button
+              onClick={() => handleRingCountChange(ringCount + 1)}
+              disabled={isReadOnlyBoard || ringCount >= MAX_RING_COUNT}
+              style={{ background: 'transparent', border: 'none', color: '#fff', cursor: 'pointer', padding: '2px 4px', opacity: ringCount >= MAX_RING_COUNT ? 0.3 : 1 }}
+            >
+              +
+            </button>
+          </div>
+        )}
+
         {/* Theme Dropdown Button */}
         <div>
         <button
@@ -958,10 +1422,174 @@ function App() {
           </div>
         )}
         </div>
+
+        {/* Heatmap Overlay Dropdown */}
+        <div style={{ position: 'relative' }}>
+          <button
+            onClick={() => setShowOverlayDropdown(!showOverlayDropdown)}
+            style={{
+              background: overlayMode !== 'none' ? 'var(--accent-gold)' : 'rgba(255,255,255,0.1)',
+              border: '1px solid rgba(255,255,255,0.2)',
+              color: overlayMode !== 'none' ? '#000' : '#fff',
+              padding: '6px 12px',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              fontSize: '0.8rem',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              whiteSpace: 'nowrap'
+            }}
+            title="Color the hexes by effort or status"
+          >
+            <span>🔥 {overlayMode === 'none' ? 'Heatmap' : OVERLAY_MODES[overlayMode].label}</span>
+            <span style={{ fontSize: '0.6rem' }}>{showOverlayDropdown ? '▼' : '▲'}</span>
+          </button>
+
+          {showOverlayDropdown && (
+            <div
+              style={{
+                position: 'absolute',
+                bottom: '100%',
+                left: 0,
+                marginBottom: '5px',
+                background: 'rgba(20, 20, 30, 0.95)',
+                border: '1px solid rgba(255,255,255,0.2)',
+                borderRadius: '8px',
+                padding: '8px',
+                minWidth: '180px',
+                boxShadow: '0 4px 12px rgba(0,0,0,0.3)',
+                zIndex: 101
+              }}
+              onClick={(e) => e.stopPropagation()}
+            >
+              {Object.entries(OVERLAY_MODES).map(([key, { label }]) => (
+                <button
+                  key={key}
+                  onClick={() => {
+                    setOverlayMode(key);
+                    setShowOverlayDropdown(false);
+                  }}
+                  style={{
+                    width: '100%',
+                    background: overlayMode === key ? 'var(--accent-gold)' : 'transparent',
+                    color: overlayMode === key ? '#000' : '#fff',
+                    border: 'none',
+                    padding: '8px 12px',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '0.8rem',
+                    textAlign: 'left',
+                    fontWeight: overlayMode === key ? 'bold' : 'normal',
+                    marginBottom: '2px'
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Time Travel Toggle */}
+        <button
+          onClick={() => setTimeTravelAt(isPastView ? null : Date.now())}
+          disabled={!isPastView && timelineStart === null}
+          style={{
+            background: isPastView ? 'var(--accent-gold)' : 'rgba(255,255,255,0.1)',
+            border: '1px solid rgba(255,255,255,0.2)',
+            color: isPastView ? '#000' : '#fff',
+            padding: '6px 12px',
+            borderRadius: '6px',
+            cursor: 'pointer',
+            fontSize: '0.8rem',
+            whiteSpace: 'nowrap',
+            opacity: !isPastView && timelineStart === null ? 0.4 : 1
+          }}
+          title={timelineStart === null ? 'Nothing to replay yet: no knots, status changes or sessions' : 'Replay the board as of a past date'}
+        >
+          ⏱ {isPastView ? 'Back to now' : 'Time travel'}
+        </button>
+
+        {overlay && <HeatmapLegend title={OVERLAY_MODES[overlayMode].label} legend={overlay.legend} />}
       </div>
+
+      {/* Time Travel Slider - Bottom Center */}
+      {isPastView && timelineStart !== null && (() => {
+        const now = Date.now();
+        const marks = quarterEnds(timelineStart, now);
+        return (
+          <div
+            style={{
+              position: 'absolute',
+              bottom: 70,
+              left: '50%',
+              transform: 'translateX(-50%)',
+              zIndex: 100,
+              width: 'min(560px, 80vw)',
+              background: 'rgba(20, 20, 30, 0.95)',
+              border: '1px solid rgba(255,255,255,0.2)',
+              borderRadius: '8px',
+              padding: '10px 14px',
+              color: '#fff',
+              fontSize: '0.8rem'
+            }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+              <span>
+                ⏱ Board as of <strong>{new Date(timeTravelAt).toLocaleString()}</strong>
+              </span>
+              <span style={{ opacity: 0.6 }}>view only</span>
+            </div>
+            <input
+              type="range"
+              min={timelineStart}
+              max={now}
+              step={60 * 60 * 1000}
+              value={Math.min(Math.max(timeTravelAt, timelineStart), now)}
+              onChange={(e) => setTimeTravelAt(Number(e.target.value))}
+              style={{ width: '100%' }}
+            />
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '6px' }}>
+              {marks.map(mark => (
+                <button
+                  key={mark.label}
+                  onClick={() => setTimeTravelAt(mark.time)}
+                  style={{
+                    background: timeTravelAt === mark.time ? 'var(--accent-gold)' : 'transparent',
+                    color: timeTravelAt === mark.time ? '#000' : '#fff',
+                    border: '1px solid rgba(255,255,255,0.2)',
+                    borderRadius: '4px',
+                    padding: '2px 8px',
+                    cursor: 'pointer',
+                    fontSize: '0.7rem'
+                  }}
+                  title={`End of ${mark.label}`}
+                >
+                  End of {mark.label}
+                </button>
+              ))}
+              <button
+                onClick={() => setTimeTravelAt(now)}
+                style={{
+                  background: 'transparent',
+                  color: '#fff',
+                  border: '1px solid rgba(255,255,255,0.2)',
+                  borderRadius: '4px',
+                  padding: '2px 8px',
+                  cursor: 'pointer',
+                  fontSize: '0.7rem'
+                }}
+              >
+                Now
+              </button>
+            </div>
+          </div>
+        );
+      })()}
       
       {/* Click outside to close dropdown */}
-      {showThemeDropdown && (
+      {(showThemeDropdown || showOverlayDropdown) && (
         <div
           style={{
             position: 'fixed',
@@ -971,17 +1599,24 @@ function App() {
             bottom: 0,
             zIndex: 99
           }}
-          onClick={() => setShowThemeDropdown(false)}
+          onClick={() => {
+            setShowThemeDropdown(false);
+            setShowOverlayDropdown(false);
+          }}
         />
       )}
 
       <HexGrid
-        projects={projectsData}
+        projects={boardProjects}
         onSelectProject={handleSelectProject}
         currentTheme={theme}
         swapBackgrounds={swapBackgrounds}
         swapDots={swapDots}
         sessionStatsByProjectCode={statsForGrid}
+        highlightedIds={remoteChangedIds}
+        ringCount={ringCount}
+        onMoveProject={isShareView || isReadOnlyBoard ? undefined : handleMoveProject}
+        overlay={overlay}
       />
 
       <AnimatePresence>
@@ -1038,6 +1673,20 @@ function App() {
                         {selectedProject.projectCode}
                       </span>
                     )}
+                    {selectedProject.projectCode && !isShareView && !isReadOnlyBoard && (
+                      <button
+                        onClick={() => setShowCodeModal(true)}
+                        title="Rename the code or merge into another project"
+                        style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', padding: 0 }}
+                      >
+                        ✎
+                      </button>
+                    )}
+                    {selectedProject.codeAliases?.length > 0 && (
+                      <span style={{ fontFamily: 'monospace' }} title="Earlier codes of this project">
+                        aka {selectedProject.codeAliases.join(', ')}
+                      </span>
+                    )}
                   </div>
                 </div>
               ) : (
@@ -1059,24 +1708,28 @@ function App() {
               )}
 
               <div>
-                {!isEditing && (
-                  <button
-                    onClick={handleEditClick}
-                    style={{ background: 'transparent', border: 'none', color: 'var(--accent-gold)', cursor: 'pointer', marginRight: '5px', display: 'none' }} // Hidden for now, redundant?
-                  >✎</button>
-                )}
-                {!isEditing ? (
-                  <button
-                    onClick={handleEditClick}
-                    style={{ background: 'transparent', border: 'none', color: 'var(--accent-gold)', cursor: 'pointer', marginRight: '10px' }}
-                    title="Edit Details"
-                  >✎</button>
-                ) : (
-                  <button
-                    onClick={handleSaveClick}
-                    style={{ background: 'transparent', border: 'none', color: '#4caf50', cursor: 'pointer', marginRight: '10px' }}
-                    title="Save Changes"
-                  >💾</button>
+                {!isShareView && (
+                  <>
+                    {!isEditing && (
+                      <button
+                        onClick={handleEditClick}
+                        style={{ background: 'transparent', border: 'none', color: 'var(--accent-gold)', cursor: 'pointer', marginRight: '5px', display: 'none' }} // Hidden for now, redundant?
+                      >✎</button>
+                    )}
+                    {!isEditing ? (
+                      <button
+                        onClick={handleEditClick}
+                        style={{ background: 'transparent', border: 'none', color: 'var(--accent-gold)', cursor: 'pointer', marginRight: '10px' }}
+                        title="Edit Details"
+                      >✎</button>
+                    ) : (
+                      <button
+                        onClick={handleSaveClick}
+                        style={{ background: 'transparent', border: 'none', color: '#4caf50', cursor: 'pointer', marginRight: '10px' }}
+                        title="Save Changes"
+                      >💾</button>
+                    )}
+                  </>
                 )}
                 <button
                   onClick={() => setSelectedProjectId(null)}
@@ -1117,7 +1770,7 @@ function App() {
             </div>
 
             <div style={{ marginTop: '20px', flex: '1 1 0', minHeight: '0', maxHeight: '100%', display: 'flex', flexDirection: 'column', overflowY: 'auto', overflowX: 'hidden' }}>
-              {isProjectUninitialized ? (
+              {isProjectUninitialized && !isShareView ? (
                 // Project ID Configuration Form (for uninitialized projects)
                 <div style={{ padding: '10px' }}>
                   <h3 style={{ fontSize: '0.9rem', marginBottom: '15px', borderBottom: '1px solid rgba(255,255,255,0.1)', paddingBottom: '5px' }}>
@@ -1218,7 +1871,7 @@ function App() {
                           return generateProjectId({
                             date: dateForQuarter,
                             type: projectIdConfig.systemType,
-                            projectNumber: selectedProject.id
+                            projectNumber: projectNumberOf(selectedProject)
                           });
                         })()}
                       </div>
@@ -1268,108 +1921,115 @@ function App() {
                   <h3 style={{ fontSize: '0.9rem', borderBottom: '1px solid rgba(255,255,255,0.1)', paddingBottom: '5px' }}>Feature History</h3>
 
                   {/* New Knot Form */}
-                  <div style={{ background: 'rgba(255,255,255,0.05)', padding: '10px', borderRadius: '8px', marginBottom: '15px' }}>
-                    <input
-                      type="text"
-                      placeholder="Repo Path (e.g., yang/web, yang/unity, yin/rest) - Optional"
-                      value={newUpdate.repo}
-                      onChange={(e) => setNewUpdate({ ...newUpdate, repo: e.target.value })}
-                      style={{
-                        width: '100%',
-                        background: 'rgba(0,0,0,0.3)',
-                        border: '1px solid rgba(255,255,255,0.1)',
-                        color: '#fff',
-                        padding: '5px',
-                        marginBottom: '5px',
-                        fontSize: '0.8rem'
-                      }}
-                    />
-                    <input
-                      type="text"
-                      placeholder="Commit Hash (Optional)"
-                      value={newUpdate.commit}
-                      onChange={(e) => setNewUpdate({ ...newUpdate, commit: e.target.value })}
-                      style={{
-                        width: '100%',
-                        background: 'rgba(0,0,0,0.3)',
-                        border: '1px solid rgba(255,255,255,0.1)',
-                        color: '#fff',
-                        padding: '5px',
-                        marginBottom: '5px',
-                        fontSize: '0.8rem'
-                      }}
-                    />
-                    <input
-                      type="datetime-local"
-                      placeholder="Commit Timestamp (Optional - if git lookup fails)"
-                      value={newUpdate.timestamp}
-                      onChange={(e) => setNewUpdate({ ...newUpdate, timestamp: e.target.value })}
-                      style={{
-                        width: '100%',
-                        background: 'rgba(0,0,0,0.3)',
-                        border: '1px solid rgba(255,255,255,0.1)',
-                        color: '#fff',
-                        padding: '5px',
-                        marginBottom: '5px',
-                        fontSize: '0.8rem'
-                      }}
-                      title="Manually enter timestamp if commit is in private/remote repo not accessible via git"
-                    />
-                    <textarea
-                      placeholder="Update Description..."
-                      value={newUpdate.description}
-                      onChange={(e) => setNewUpdate({ ...newUpdate, description: e.target.value })}
-                      style={{
-                        width: '100%',
-                        background: 'rgba(0,0,0,0.3)',
-                        border: '1px solid rgba(255,255,255,0.1)',
-                        color: '#fff',
-                        padding: '5px',
-                        fontSize: '0.8rem',
-                        resize: 'none'
-                      }}
-                      rows={2}
-                    />
-                    {!isEmailAuthenticated ? (
-                      <button
-                        onClick={() => setShowLogin(true)}
+                  {!isShareView && (
+                    <div style={{ background: 'rgba(255,255,255,0.05)', padding: '10px', borderRadius: '8px', marginBottom: '15px' }}>
+                      <input
+                        type="text"
+                        placeholder="Repo Path (e.g., yang/web, yang/unity, yin/rest) - Optional"
+                        value={newUpdate.repo}
+                        onChange={(e) => setNewUpdate({ ...newUpdate, repo: e.target.value })}
                         style={{
                           width: '100%',
-                          marginTop: '5px',
-                          background: 'var(--accent-gold)',
-                          color: '#000',
-                          border: 'none',
+                          background: 'rgba(0,0,0,0.3)',
+                          border: '1px solid rgba(255,255,255,0.1)',
+                          color: '#fff',
                           padding: '5px',
-                          borderRadius: '4px',
-                          cursor: 'pointer',
-                          fontWeight: 'bold',
+                          marginBottom: '5px',
                           fontSize: '0.8rem'
                         }}
-                      >
-                        Login to Add Update
-                      </button>
-                    ) : (
-                      <button
-                        onClick={handleAddKnot}
-                        disabled={!newUpdate.description}
+                      />
+                      <input
+                        type="text"
+                        placeholder="Commit Hash (Optional)"
+                        value={newUpdate.commit}
+                        onChange={(e) => setNewUpdate({ ...newUpdate, commit: e.target.value })}
                         style={{
                           width: '100%',
-                          marginTop: '5px',
-                          background: !newUpdate.description ? '#555' : 'var(--accent-gold)',
-                          color: !newUpdate.description ? '#aaa' : '#000',
-                          border: 'none',
+                          background: 'rgba(0,0,0,0.3)',
+                          border: '1px solid rgba(255,255,255,0.1)',
+                          color: '#fff',
+                          padding: '5px',
+                          marginBottom: '5px',
+                          fontSize: '0.8rem'
+                        }}
+                      />
+                      <input
+                        type="datetime-local"
+                        placeholder="Commit Timestamp (Optional - if git lookup fails)"
+                        value={newUpdate.timestamp}
+                        onChange={(e) => setNewUpdate({ ...newUpdate, timestamp: e.target.value })}
+                        style={{
+                          width: '100%',
+                          background: 'rgba(0,0,0,0.3)',
+                          border: '1px solid rgba(255,255,255,0.1)',
+                          color: '#fff',
+                          padding: '5px',
+                          marginBottom: '5px',
+                          fontSize: '0.8rem'
+                        }}
+                        title="Manually enter timestamp if commit is in private/remote repo not accessible via git"
+                      />
+                      <textarea
+                        placeholder="Update Description..."
+                        value={newUpdate.description}
+                        onChange={(e) => setNewUpdate({ ...newUpdate, description: e.target.value })}
+                        style={{
+                          width: '100%',
+                          background: 'rgba(0,0,0,0.3)',
+                          border: '1px solid rgba(255,255,255,0.1)',
+                          color: '#fff',
                           padding: '5px',
-                          borderRadius: '4px',
-                          cursor: !newUpdate.description ? 'not-allowed' : 'pointer',
-                          fontWeight: 'bold',
                           fontSize: '0.8rem',
-                          opacity: !newUpdate.description ? 0.5 : 1
+                          resize: 'none'
                         }}
-                      >
-                        + Log Update
-                      </button>
-                    )}
-                  </div>
+                        rows={2}
+                      />
+                      {draftKnotLimitWarning && (
+                        <div style={{ marginTop: '5px', fontSize: '0.7rem', color: '#ff9800' }}>
+                          ⚠ {draftKnotLimitWarning}. Shorten it before saving.
+                        </div>
+                      )}
+                      {!isEmailAuthenticated ? (
+                        <button
+                          onClick={() => setShowLogin(true)}
+                          style={{
+                            width: '100%',
+                            marginTop: '5px',
+                            background: 'var(--accent-gold)',
+                            color: '#000',
+                            border: 'none',
+                            padding: '5px',
+                            borderRadius: '4px',
+                            cursor: 'pointer',
+                            fontWeight: 'bold',
+                            fontSize: '0.8rem'
+                          }}
+                        >
+                          Login to Add Update
+                        </button>
+                      ) : (
+                        <button
+                          onClick={handleAddKnot}
+                          disabled={!canAddKnot}
+                          style={{
+                            width: '100%',
+                            marginTop: '5px',
+                            background: !canAddKnot ? '#555' : 'var(--accent-gold)',
+                            color: !canAddKnot ? '#aaa' : '#000',
+                            border: 'none',
+                            padding: '5px',
+                            borderRadius: '4px',
+                            cursor: !canAddKnot ? 'not-allowed' : 'pointer',
+                            fontWeight: 'bold',
+                            fontSize: '0.8rem',
+                            opacity: !canAddKnot ? 0.5 : 1
+                          }}
+                        >
+                          + Log Update
+                        </button>
+                      )}
+                    </div>
+                  )}
 
                   {/* Timeline */}
                   <div style={{ position: 'relative', paddingLeft: '15px', borderLeft: '2px solid rgba(255,255,255,0.1)' }}>
@@ -1424,6 +2084,11 @@ function App() {
                       {selectedProject.description || "No description available."}
                     </p>
                   )}
+                  {editFormLimitWarning && (
+                    <div style={{ marginTop: '5px', fontSize: '0.7rem', color: '#ff9800' }}>
+                      ⚠ {editFormLimitWarning}. Shorten it before saving.
+                    </div>
+                  )}
 
                   <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: '1px solid rgba(255,255,255,0.1)' }}>
                     <span style={{ opacity: 0.5, fontSize: '0.8rem' }}>Status</span>
@@ -1458,13 +2123,29 @@ function App() {
                   </div>
 
                   {/* Session Stats - Test Component */}
-                  <SessionStats 
-                    key={`session-stats-${sessionSyncKey}`}
-                    refreshKey={sessionSyncKey}
-                    projectId={selectedProject.id}
-                    projectCode={selectedProject.projectCode}
-                    projectName={selectedProject.name} 
-                  />
+                  {isShareView ? (
+                    (() => {
+                      const stats = statsForGrid[selectedProject.projectCode];
+                      if (!stats) return null;
+                      return (
+                        <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: '1px solid rgba(255,255,255,0.1)', fontSize: '0.8rem' }}>
+                          <span style={{ opacity: 0.5 }}>Sessions</span>
+                          <div style={{ marginTop: '5px' }}>
+                            {stats.sessionCount} sessions · {(stats.totalTokens || 0).toLocaleString()} tokens · {stats.totalPrompts} prompts
+                          </div>
+                        </div>
+                      );
+                    })()
+                  ) : (
+                    <SessionStats 
+                      key={`session-stats-${sessionSyncKey}`}
+                      refreshKey={sessionSyncKey}
+                      projectId={selectedProject.id}
+                      projectCode={selectedProject.projectCode}
+                      codeAliases={selectedProject.codeAliases}
+                      projectName={selectedProject.name} 
+                    />
+                  )}
                 </>
               )}
             </div>
@@ -1472,10 +2153,49 @@ function App() {
         )}
       </AnimatePresence>
 
+      <SyncConflictModal
+        isOpen={showConflicts}
+        conflicts={syncConflicts}
+        onResolve={handleResolveConflicts}
+        onClose={() => setShowConflicts(false)}
+      />
+
+      <BoardArchiveModal
+        isOpen={showArchive}
+        board={showArchive ? getArchiveBoard() : null}
+        boardName="Personal board"
+        canImport={!isReadOnlyBoard}
+        onImport={handleImportArchive}
+        onClose={() => setShowArchive(false)}
+      />
+
+      <QuarterRolloverModal
+        isOpen={showRollover}
+        projects={projectsData}
+        sessions={showRollover ? readStoredJson('cursor_sessions', []) : []}
+        snapshots={showRollover ? loadQuarterSnapshots() : []}
+        canEdit={!isReadOnlyBoard}
+        onRollover={handleRollover}
+        onClose={() => setShowRollover(false)}
+      />
+
+      <ProjectCodeModal
+        isOpen={showCodeModal}
+        project={selectedProject}
+        projects={projectsData}
+        onRename={handleRenameCode}
+        onMerge={handleMergeProject}
+        onClose={() => setShowCodeModal(false)}
+      />
+
       <LoginModal
         isOpen={showLogin}
         onClose={() => setShowLogin(false)}
         onAuthenticated={handleAuthenticated}
+        onSignedOut={handleSignedOut}
+        onEncryptionChanged={handleEncryptionChanged}
+        canLinkDevice={isAuthenticated && !isEmailAuthenticated && !nakamaService.offlineMode}
+        isSignedIn={isEmailAuthenticated}
       />
     </div>
   );
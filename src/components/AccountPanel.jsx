@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from 'react';
+import { nakamaService } from '../services/nakama';
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px',
+  marginBottom: '8px',
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '6px',
+  color: '#fff',
+  fontSize: '0.85rem'
+};
+
+const smallButtonStyle = {
+  padding: '8px 12px',
+  background: 'transparent',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#fff',
+  cursor: 'pointer',
+  fontSize: '0.8rem'
+};
+
+const sectionTitleStyle = {
+  margin: '0 0 8px 0',
+  color: 'rgba(255,255,255,0.6)',
+  fontSize: '0.75rem',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+};
+
+/**
+ * Account settings for a signed-in user: display name, password, cloud encryption, linked devices
+ * and sign-out (this session, or every session of the account).
+ */
+export default function AccountPanel({ onSignedOut, onEncryptionChanged }) {
+  const [account, setAccount] = useState(null);
+  const [displayName, setDisplayName] = useState('');
+  const [passwords, setPasswords] = useState({ current: '', next: '', confirm: '' });
+  const [encryption, setEncryption] = useState(null); // { enabled, unlocked }
+  const [passphrase, setPassphrase] = useState({ value: '', confirm: '', remember: false });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const loadAccount = async () => {
+    const details = await nakamaService.getAccount();
+    setAccount(details);
+    setDisplayName(details.displayName);
+    setEncryption(await nakamaService.getEncryptionStatus());
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    loadAccount()
+      .catch(err => setError(err.message || 'Failed to load account'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const run = async (action, doneMessage) => {
+    setLoading(true);
+    setError('');
+    setNotice('');
+    try {
+      await action();
+      if (doneMessage) setNotice(doneMessage);
+    } catch (err) {
+      setError(err.message || `Request failed (HTTP ${err.status})`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveName = () => run(async () => {
+    await nakamaService.updateDisplayName(displayName.trim());
+    await loadAccount();
+  }, 'Display name saved.');
+
+  const handleChangePassword = () => run(async () => {
+    if (passwords.next !== passwords.confirm) throw new Error('New passwords do not match.');
+    await nakamaService.changePassword(passwords.current, passwords.next);
+    setPasswords({ current: '', next: '', confirm: '' });
+  }, 'Password changed.');
+
+  // Run an encryption change, then report the new status to the app (it pauses or resumes sync)
+  const changeEncryption = (action, doneMessage) => run(async () => {
+    await action();
+    setPassphrase(prev => ({ ...prev, value: '', confirm: '' }));
+    const status = await nakamaService.getEncryptionStatus();
+    setEncryption(status);
+    onEncryptionChanged?.(status);
+  }, doneMessage);
+
+  const handleEnableEncryption = () => changeEncryption(async () => {
+    if (passphrase.value !== passphrase.confirm) throw new Error('Passphrases do not match.');
+    await nakamaService.enableEncryption(passphrase.value, { remember: passphrase.remember });
+  }, 'Encryption is on. Your personal board and session stats were re-saved encrypted.');
+
+  const handleUnlockEncryption = () => changeEncryption(
+    () => nakamaService.unlockEncryption(passphrase.value, { remember: passphrase.remember }),
+    'Unlocked on this device.'
+  );
+
+  const handleLockEncryption = () => changeEncryption(
+    async () => nakamaService.lockEncryption(),
+    'Locked on this device. Enter the passphrase again to sync.'
+  );
+
+  const handleDisableEncryption = () => changeEncryption(
+    () => nakamaService.disableEncryption(),
+    'Encryption is off. Your cloud data was re-saved in plain text.'
+  );
+
+  const handleUnlink = (deviceId) => run(async () => {
+    await nakamaService.unlinkDevice(deviceId);
+    await loadAccount();
+  }, 'Device unlinked.');
+
+  const handleSignOut = (everywhere) => run(async () => {
+    await nakamaService.signOut({ everywhere });
+    onSignedOut(everywhere);
+  });
+
+  return (
+    <div>
+      <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: '0.9rem', marginBottom: '20px' }}>
+        {account
+          ? <>Signed in as <strong>{account.username}</strong>{account.email ? ` (${account.email})` : ''}</>
+          : 'Loading account...'}
+      </p>
+
+      <div style={{ marginBottom: '20px' }}>
+        <h4 style={sectionTitleStyle}>Display name</h4>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <input
+            type="text"
+            placeholder="Display name"
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+            style={{ ...inputStyle, marginBottom: 0, flex: 1 }}
+          />
+          <button onClick={handleSaveName} style={smallButtonStyle} disabled={loading || !account}>
+            Save
+          </button>
+        </div>
+      </div>
+
+      {account?.email && (
+        <div style={{ marginBottom: '20px' }}>
+          <h4 style={sectionTitleStyle}>Change password</h4>
+          <input
+            type="password"
+            placeholder="Current password"
+            value={passwords.current}
+            onChange={(e) => setPasswords(prev => ({ ...prev, current: e.target.value }))}
+            style={inputStyle}
+          />
+          <input
+            type="password"
+            placeholder="New password (8+ characters)"
+            value={passwords.next}
+            onChange={(e) => setPasswords(prev => ({ ...prev, next: e.target.value }))}
+            style={inputStyle}
+          />
+          <input
+            type="password"
+            placeholder="Confirm new password"
+            value={passwords.confirm}
+            onChange={(e) => setPasswords(prev => ({ ...prev, confirm: e.target.value }))}
+            style={inputStyle}
+          />
+          <button
+            onClick={handleChangePassword}
+            style={smallButtonStyle}
+            disabled={loading || !passwords.current || !passwords.next}
+          >
+            Change password
+          </button>
+        </div>
+      )}
+
+      {encryption && (
+        <div style={{ marginBottom: '20px' }}>
+          <h4 style={sectionTitleStyle}>Encryption</h4>
+          {encryption.enabled && encryption.unlocked ? (
+            <>
+              <div style={{ fontSize: '0.8rem', marginBottom: '8px' }}>🔒 On – unlocked on this device</div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button onClick={handleLockEncryption} style={smallButtonStyle} disabled={loading}>
+                  Lock on this device
+                </button>
+                <button onClick={handleDisableEncryption} style={smallButtonStyle} disabled={loading}>
+                  Turn off encryption
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div style={{ fontSize: '0.8rem', opacity: 0.7, marginBottom: '8px' }}>
+                {encryption.enabled
+                  ? '🔒 Your cloud data is encrypted. Enter the passphrase to use it on this device.'
+                  : 'Encrypt your personal board and session stats before they are uploaded. The passphrase can\'t be recovered; without it the cloud data is lost. Share links are not encrypted.'}
+              </div>
+              <input
+                type="password"
+                placeholder={encryption.enabled ? 'Passphrase' : 'New passphrase (8+ characters)'}
+                value={passphrase.value}
+                onChange={(e) => setPassphrase(prev => ({ ...prev, value: e.target.value }))}
+                style={inputStyle}
+              />
+              {!encryption.enabled && (
+                <input
+                  type="password"
+                  placeholder="Confirm passphrase"
+                  value={passphrase.confirm}
+                  onChange={(e) => setPassphrase(prev => ({ ...prev, confirm: e.target.value }))}
+                  style={inputStyle}
+                />
+              )}
+              <label
+                style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8rem', marginBottom: '8px', cursor: 'pointer' }}
+                title="Stores the key itself in this browser's storage, where anyone using this browser profile or any script on this site can read it"
+              >
+                <input
+                  type="checkbox"
+                  checked={passphrase.remember}
+                  onChange={(e) => setPassphrase(prev => ({ ...prev, remember: e.target.checked }))}
+                />
+                Remember on this device
+              </label>
+              <button
+                onClick={encryption.enabled ? handleUnlockEncryption : handleEnableEncryption}
+                style={smallButtonStyle}
+                disabled={loading || !passphrase.value}
+              >
+                {encryption.enabled ? 'Unlock' : 'Turn on encryption'}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      <div style={{ marginBottom: '20px' }}>
+        <h4 style={sectionTitleStyle}>Linked devices</h4>
+        {account && account.devices.length === 0 && (
+          <div style={{ fontSize: '0.8rem', opacity: 0.6 }}>No devices are linked to this account.</div>
+        )}
+        {account?.devices.map(device => (
+          <div key={device.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px', fontSize: '0.8rem' }}>
+            <span style={{ flex: 1, fontFamily: 'monospace', overflow: 'hidden', textOverflow: 'ellipsis' }} title={device.id}>
+              {device.id}
+            </span>
+            {device.isCurrent ? (
+              <span style={{ opacity: 0.6 }}>This device</span>
+            ) : (
+              <button onClick={() => handleUnlink(device.id)} style={smallButtonStyle} disabled={loading}>
+                Unlink
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button onClick={() => handleSignOut(false)} style={{ ...smallButtonStyle, flex: 1 }} disabled={loading}>
+          Sign out
+        </button>
+        <button
+          onClick={() => handleSignOut(true)}
+          style={{ ...smallButtonStyle, flex: 1, borderColor: 'rgba(255,0,0,0.5)', color: '#ff6b6b' }}
+          disabled={loading}
+          title="Revoke every session of this account, on all devices"
+        >
+          Sign out everywhere
+        </button>
+      </div>
+
+      {notice && (
+        <div style={{ marginTop: '15px', fontSize: '0.85rem', color: '#4caf50' }}>
+          {notice}
+        </div>
+      )}
+      {error && (
+        <div style={{
+          marginTop: '15px',
+          padding: '10px',
+          background: 'rgba(255,0,0,0.2)',
+          border: '1px solid rgba(255,0,0,0.5)',
+          borderRadius: '6px',
+          color: '#ff6b6b',
+          fontSize: '0.9rem'
+        }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
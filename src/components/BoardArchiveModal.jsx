@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  createBoardArchive,
+  archiveFileName,
+  parseBoardArchive,
+  previewBoardImport,
+  applyBoardImport
+} from '../utils/board-archive';
+
+const smallButtonStyle = {
+  padding: '8px 12px',
+  background: 'transparent',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#fff',
+  cursor: 'pointer',
+  fontSize: '0.8rem'
+};
+
+const sectionTitleStyle = {
+  margin: '0 0 8px 0',
+  color: 'rgba(255,255,255,0.6)',
+  fontSize: '0.75rem',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+};
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/** Up to a few project names, then "and N more" */
+function listNames(names, max = 5) {
+  if (names.length <= max) return names.join(', ');
+  return `${names.slice(0, max).join(', ')} and ${names.length - max} more`;
+}
+
+/**
+ * Export the board as a backup archive, or import one: the file is validated and
+ * a preview of what changes is shown before the user picks replace or merge.
+ */
+export default function BoardArchiveModal({ isOpen, board, boardName, canImport = true, onImport, onClose }) {
+  const [archive, setArchive] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setArchive(null);
+    setFileName('');
+    setMode('merge');
+    setError('');
+  };
+
+  const handleClose = () => {
+    reset();
+    setNotice('');
+    onClose();
+  };
+
+  const handleExport = () => {
+    const json = JSON.stringify(createBoardArchive(board), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = archiveFileName(boardName);
+    link.click();
+    URL.revokeObjectURL(url);
+    setNotice(`Exported ${plural(board.projects.length, 'project')} and ${plural(board.sessions.length, 'session')}.`);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    reset();
+    setNotice('');
+    try {
+      setArchive(parseBoardArchive(await file.text()));
+      setFileName(file.name);
+    } catch (err) {
+      setError(err.message || 'Could not read the archive.');
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError('');
+    try {
+      await onImport(applyBoardImport(board, archive, mode), mode);
+      reset();
+      setNotice(mode === 'replace' ? 'Board replaced with the archive.' : 'Archive merged into the board.');
+    } catch (err) {
+      setError(err.message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const preview = archive ? previewBoardImport(board, archive) : null;
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.8)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}
+        onClick={handleClose}
+      >
+        <motion.div
+          initial={{ scale: 0.9, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.9, opacity: 0 }}
+          onClick={(e) => e.stopPropagation()}
+          style={{
+            background: 'rgba(20, 20, 30, 0.95)',
+            padding: '30px',
+            borderRadius: '12px',
+            width: '520px',
+            maxWidth: '90vw',
+            maxHeight: '85vh',
+            overflowY: 'auto',
+            border: '1px solid rgba(255, 255, 255, 0.1)'
+          }}
+        >
+          <h2 style={{ margin: '0 0 10px 0', color: '#fff' }}>Backup &amp; Restore</h2>
+          <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: '0.9rem', marginBottom: '20px' }}>
+            An archive holds the projects and their Worldlines, local sessions and token usage,
+            the theme and the cloud session stats of {boardName}.
+          </p>
+
+          <div style={{ marginBottom: '20px' }}>
+            <h4 style={sectionTitleStyle}>Export board</h4>
+            <button onClick={handleExport} style={smallButtonStyle}>
+              ⬇ Download archive
+            </button>
+          </div>
+
+          <div style={{ marginBottom: '20px' }}>
+            <h4 style={sectionTitleStyle}>Import board</h4>
+            {canImport ? (
+              <label style={{ ...smallButtonStyle, display: 'inline-block' }}>
+                ⬆ Choose archive…
+                <input type="file" accept=".json,application/json" onChange={handleFile} style={{ display: 'none' }} />
+              </label>
+            ) : (
+              <div style={{ fontSize: '0.8rem', opacity: 0.6 }}>You can only view this board, so nothing can be imported into it.</div>
+            )}
+          </div>
+
+          {preview && (
+            <div style={{ marginBottom: '20px', fontSize: '0.8rem' }}>
+              <div style={{ marginBottom: '8px', opacity: 0.7 }}>
+                {fileName} · exported {new Date(archive.exportedAt).toLocaleString()} · schema {archive.schemaVersion}
+              </div>
+              <ul style={{ margin: '0 0 12px 0', paddingLeft: '18px', lineHeight: 1.6 }}>
+                {preview.projects.added.length > 0 && (
+                  <li>{plural(preview.projects.added.length, 'new project')}: {listNames(preview.projects.added)}</li>
+                )}
+                {preview.projects.changed.length > 0 && (
+                  <li>{plural(preview.projects.changed.length, 'project')} differ from the board: {listNames(preview.projects.changed)}</li>
+                )}
+                {preview.projects.unchanged > 0 && <li>{plural(preview.projects.unchanged, 'project')} unchanged</li>}
+                {preview.projects.missing.length > 0 && (
+                  <li>{plural(preview.projects.missing.length, 'project')} on the board but not in the archive: {listNames(preview.projects.missing)}</li>
+                )}
+                <li>{plural(preview.sessions.added, 'new session')} (of {preview.sessions.total})</li>
+                <li>
+                  {preview.tokenEntries.added} new token {preview.tokenEntries.added === 1 ? 'entry' : 'entries'} (of {preview.tokenEntries.total})
+                </li>
+                {preview.analyticsProjects > 0 && <li>Cloud session stats for {plural(preview.analyticsProjects, 'project')}</li>}
+                {preview.theme.archived && preview.theme.archived !== preview.theme.current && (
+                  <li>Theme: {preview.theme.archived}</li>
+                )}
+              </ul>
+
+              <label style={{ display: 'flex', gap: '6px', marginBottom: '6px', cursor: 'pointer' }}>
+                <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                <span>
+                  <strong>Merge</strong> – add what's new and keep everything on the board
+                  {preview.fieldsKept > 0 && ` (${plural(preview.fieldsKept, 'field')} set differently – the board's value is kept)`}
+                </span>
+              </label>
+              <label style={{ display: 'flex', gap: '6px', cursor: 'pointer' }}>
+                <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                <span>
+                  <strong>Replace</strong> – make the board exactly the archive
+                  {preview.projects.missing.length > 0 && ` (removes ${plural(preview.projects.missing.length, 'project')})`}
+                </span>
+              </label>
+            </div>
+          )}
+
+          {notice && (
+            <div style={{ marginBottom: '15px', fontSize: '0.85rem', color: '#4caf50' }}>
+              {notice}
+            </div>
+          )}
+          {error && (
+            <div style={{
+              marginBottom: '15px',
+              padding: '10px',
+              background: 'rgba(255,0,0,0.2)',
+              border: '1px solid rgba(255,0,0,0.5)',
+              borderRadius: '6px',
+              color: '#ff6b6b',
+              fontSize: '0.9rem'
+            }}>
+              {error}
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '10px' }}>
+            {preview && (
+              <button
+                onClick={handleImport}
+                disabled={importing}
+                style={{
+                  flex: 1,
+                  padding: '12px',
+                  background: importing ? '#555' : 'var(--accent-gold)',
+                  color: importing ? '#aaa' : '#000',
+                  border: 'none',
+                  borderRadius: '6px',
+                  cursor: importing ? 'not-allowed' : 'pointer',
+                  fontWeight: 'bold'
+                }}
+              >
+                {importing ? 'Importing...' : mode === 'replace' ? 'Replace board' : 'Merge into board'}
+              </button>
+            )}
+            <button
+              onClick={handleClose}
+              style={{
+                flex: 1,
+                padding: '12px',
+                background: 'transparent',
+                color: 'rgba(255,255,255,0.5)',
+                border: '1px solid rgba(255,255,255,0.1)',
+                borderRadius: '6px',
+                cursor: 'pointer'
+              }}
+            >
+              {preview ? 'Cancel' : 'Close'}
+            </button>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
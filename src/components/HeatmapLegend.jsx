@@ -0,0 +1,54 @@
+import React from 'react';
+import { NO_DATA_COLOR } from '../utils/heatmap';
+
+/**
+ * Legend of a heatmap overlay (from buildOverlay): a color bar with its range,
+ * or a swatch per category.
+ */
+export default function HeatmapLegend({ title, legend }) {
+  if (!legend) return null;
+
+  return (
+    <div
+      style={{
+        background: 'rgba(20, 20, 30, 0.95)',
+        border: '1px solid rgba(255,255,255,0.2)',
+        borderRadius: '6px',
+        padding: '6px 10px',
+        fontSize: '0.7rem',
+        color: '#fff',
+        minWidth: '140px'
+      }}
+    >
+      <div style={{ opacity: 0.7, marginBottom: '4px' }}>
+        {title}{legend.logScale ? ' (log scale)' : ''}
+      </div>
+      {legend.kind === 'scale' ? (
+        <>
+          <div
+            style={{
+              height: '8px',
+              borderRadius: '4px',
+              background: `linear-gradient(to right, ${legend.stops.join(', ')})`
+            }}
+          />
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '2px', opacity: 0.8 }}>
+            <span>{legend.min}</span>
+            <span>{legend.max}</span>
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '4px', marginTop: '4px', opacity: 0.6 }}>
+            <span style={{ width: '8px', height: '8px', borderRadius: '50%', background: NO_DATA_COLOR }} />
+            no data
+          </div>
+        </>
+      ) : (
+        legend.items.map(item => (
+          <div key={item.label} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '2px' }}>
+            <span style={{ width: '8px', height: '8px', borderRadius: '50%', background: item.color }} />
+            {item.label}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -1,33 +1,11 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useRef, useState } from 'react';
 import { motion } from 'framer-motion';
-import { projects } from '../data/projects';
+import { createProject, isPlaceholderProject, DEFAULT_RING_COUNT } from '../data/projects';
+import { layoutSlots } from '../utils/hex-layout';
 
-// Helper to generate hexagonal spiral coordinates (q, r)
-function generateSpiral(n) {
-    let results = [{ q: 0, r: 0 }];
-    if (n === 0) return results;
-
-    for (let k = 1; k <= n; k++) {
-        // Ring k
-        let q = 0;
-        let r = -k;
-        let s = k;
-
-        for (let i = 0; i < k; i++) { q++; s--; results.push({ q, r }); } // Move Right
-        for (let i = 0; i < k; i++) { r++; s--; results.push({ q, r }); } // Move Down Right
-        for (let i = 0; i < k; i++) { q--; r++; results.push({ q, r }); } // Move Down Left
-        for (let i = 0; i < k; i++) { q--; s++; results.push({ q, r }); } // Move Left
-        for (let i = 0; i < k; i++) { r--; s++; results.push({ q, r }); } // Move Up Left
-        for (let i = 0; i < k; i++) { q++; r--; results.push({ q, r }); } // Move Up Right
-    }
-    return results;
-}
-
-// Convert axial to pixel
-function hexToPixel(q, r, size) {
-    const x = size * (Math.sqrt(3) * q + Math.sqrt(3) / 2 * r);
-    const y = size * (3 / 2 * r);
-    return { x, y };
+/** Hex spacing for a ring count: 60px up to 3 rings, then smaller so the board keeps its size */
+function hexSizeFor(ringCount) {
+    return Math.min(60, Math.round(60 * (DEFAULT_RING_COUNT + 0.5) / (ringCount + 0.5)));
 }
 
 /** Format token count for display on dot */
@@ -37,10 +15,10 @@ function formatTokens(n) {
   return String(n);
 }
 
-const HexGrid = ({ projects: inputProjects, onSelectProject, currentTheme = 'default', swapBackgrounds = false, swapDots = false, sessionStatsByProjectCode = {} }) => {
-    const hexSize = 60; // Spacing size
-    const circleSize = 50; // Visual size
-    const coords = useMemo(() => generateSpiral(3), []);
+const HexGrid = ({ projects: inputProjects, onSelectProject, currentTheme = 'default', swapBackgrounds = false, swapDots = false, sessionStatsByProjectCode = {}, highlightedIds = [], ringCount = DEFAULT_RING_COUNT, onMoveProject, overlay = null }) => {
+    const hexSize = hexSizeFor(ringCount); // Spacing size
+    const circleSize = Math.round(hexSize * 5 / 6); // Visual size
+    const slots = useMemo(() => layoutSlots(ringCount, hexSize), [ringCount, hexSize]);
 
     // Theme Colors
     const colors = {
@@ -100,54 +78,22 @@ const HexGrid = ({ projects: inputProjects, onSelectProject, currentTheme = 'def
     }
 
     // Calculate bounding circle for background
-    const bgRadius = 3.5 * hexSize * Math.sqrt(3);
+    const bgRadius = (ringCount + 0.5) * hexSize * Math.sqrt(3);
 
-    // Explicit Pattern Logic
+    // Slot positions and sides come from the shared layout, so the detail panel agrees with the grid
     const processedProjects = useMemo(() => {
-        return coords.map((coord, index) => {
-            const { x, y } = hexToPixel(coord.q, coord.r, hexSize);
-            const { q, r } = coord;
-
-            let type = 'ZHONG';
-
-            if (index === 0) {
-                type = 'ZHONG';
-            } else {
-                const isTopEye = (q === 1 && r === -2);
-                const isBottomEye = (q === -1 && r === 2);
-
-                const topEyeNeighbors = [
-                    { q: 2, r: -2 }, { q: 2, r: -3 }, { q: 1, r: -3 }, { q: 0, r: -2 }, { q: 0, r: -1 }, { q: 1, r: -1 }
-                ];
-                const bottomEyeNeighbors = [
-                    { q: 0, r: 2 }, { q: 0, r: 1 }, { q: -1, r: 1 }, { q: -2, r: 2 }, { q: -2, r: 3 }, { q: -1, r: 3 }
-                ];
-
-                const isTopNeighbor = topEyeNeighbors.some(n => n.q === q && n.r === r);
-                const isBottomNeighbor = bottomEyeNeighbors.some(n => n.q === q && n.r === r);
-
-                if (isTopEye) type = 'YIN';
-                else if (isBottomEye) type = 'YANG';
-                else if (isTopNeighbor) type = 'YANG';
-                else if (isBottomNeighbor) type = 'YIN';
-                else {
-                    if (x < 0) type = 'YANG';
-                    else if (x > 0) type = 'YIN';
-                    else type = y < 0 ? 'YANG' : 'YIN';
-                }
-            }
-
+        return slots.map(({ id, x, y, type }) => {
             // Merge with passed-in project data
-            const projectData = inputProjects ? inputProjects.find(p => p.id === index) : projects[index];
+            const projectData = inputProjects ? inputProjects.find(p => p.id === id) : createProject(id);
 
             return {
-                ...projectData || { id: index, name: `Project ${index}`, status: 'Unknown' },
+                ...projectData || { id, name: `Project ${id}`, status: 'Unknown' },
                 x,
                 y,
                 type
             };
         });
-    }, [coords, inputProjects]);
+    }, [slots, inputProjects]);
 
     // Status Color Map
     const statusColors = {
@@ -160,25 +106,29 @@ const HexGrid = ({ projects: inputProjects, onSelectProject, currentTheme = 'def
     };
 
     // Check if a project has been initialized with info
-    const hasProjectInfo = (proj) => {
-        // Skip check for ZHONG center (always has info)
-        if (proj.id === 0) return true;
-        
-        // Project has info if:
-        // - status is not "Pending" OR
-        // - description is not the default "Initialize project details..." OR
-        // - name is not the generic "Project X" pattern OR
-        // - has history entries
-        const hasCustomStatus = proj.status && proj.status !== 'Pending' && proj.status !== 'Unknown';
-        const hasCustomDescription = proj.description && proj.description !== 'Initialize project details...';
-        const hasCustomName = proj.name && !proj.name.match(/^Project \d+$/);
-        const hasHistory = proj.history && proj.history.length > 0;
-        
-        return hasCustomStatus || hasCustomDescription || hasCustomName || hasHistory;
+    // (custom status, description or name, or Worldline knots; the ZHONG center always has info)
+    const hasProjectInfo = (proj) => !isPlaceholderProject(proj);
+
+    // Drag-and-drop between slots (only when onMoveProject is given, i.e. the board is editable)
+    const containerRef = useRef(null);
+    const justDraggedRef = useRef(false);
+    const [dropTargetId, setDropTargetId] = useState(null);
+
+    // Slot under a pointer position, or null (the Zhong center can't be a target)
+    const slotAtPoint = (clientX, clientY) => {
+        const rect = containerRef.current?.getBoundingClientRect();
+        if (!rect) return null;
+        const px = clientX - (rect.left + rect.width / 2);
+        const py = clientY - (rect.top + rect.height / 2);
+        const nearest = slots.reduce((best, slot) => {
+            const distance = Math.hypot(slot.x - px, slot.y - py);
+            return distance < best.distance ? { id: slot.id, distance } : best;
+        }, { id: null, distance: Infinity });
+        return nearest.distance <= hexSize * 0.9 && nearest.id !== 0 ? nearest.id : null;
     };
 
     return (
-        <div className="hex-grid-container">
+        <div className="hex-grid-container" ref={containerRef}>
             {/* Cosmic Background Gradient (for cosmic theme) */}
             {currentTheme === 'cosmic' && (
                 <div
@@ -376,6 +326,13 @@ const HexGrid = ({ projects: inputProjects, onSelectProject, currentTheme = 'def
                     : backgroundColor;
                 
                 // Enhanced glow for cosmic theme
+                // Heatmap overlay (see utils/heatmap): its color and size replace the yin/yang look
+                const overlayEntry = overlay?.byId[proj.id];
+                const dotSize = overlayEntry ? Math.round(circleSize * overlayEntry.scale) : circleSize;
+
+                const canDrag = !!onMoveProject && proj.id !== 0 && !isGhost;
+                const isDropTarget = dropTargetId === proj.id;
+
                 const cosmicGlow = currentTheme === 'cosmic' && !isGhost && proj.status !== 'Pending' 
                     ? `0 0 ${proj.type === 'ZHONG' ? '20px' : '15px'} ${proj.type === 'ZHONG' ? 'rgba(255,215,0,0.8)' : proj.type === 'YANG' ? 'rgba(255,140,66,0.6)' : 'rgba(107,70,193,0.6)'}`
                     : undefined;
@@ -387,21 +344,25 @@ const HexGrid = ({ projects: inputProjects, onSelectProject, currentTheme = 'def
                         style={{
                             left: `calc(50% + ${proj.x}px)`,
                             top: `calc(50% + ${proj.y}px)`,
-                            marginLeft: `-${circleSize / 2}px`,
-                            marginTop: `-${circleSize / 2}px`,
-                            width: `${circleSize}px`,
-                            height: `${circleSize}px`,
-                            backgroundColor: isGhost ? ghostBackgroundColor : backgroundColor,
-                            color: isGhost ? 'rgba(255,255,255,0.5)' : baseTextColor,
-                            border: isGhost 
-                                ? '1px dashed rgba(255,255,255,0.3)' 
-                                : proj.status === 'Pending' 
-                                    ? '1px dashed rgba(255,255,255,0.2)' 
-                                    : `${borderWidth} solid ${borderColor}`,
+                            marginLeft: `-${dotSize / 2}px`,
+                            marginTop: `-${dotSize / 2}px`,
+                            width: `${dotSize}px`,
+                            height: `${dotSize}px`,
+                            backgroundColor: overlayEntry ? overlayEntry.color : isGhost ? ghostBackgroundColor : backgroundColor,
+                            color: overlayEntry ? '#000' : isGhost ? 'rgba(255,255,255,0.5)' : baseTextColor,
+                            border: overlayEntry
+                                ? '1px solid rgba(0,0,0,0.3)'
+                                : isGhost 
+                                    ? '1px dashed rgba(255,255,255,0.3)' 
+                                    : proj.status === 'Pending' 
+                                        ? '1px dashed rgba(255,255,255,0.2)' 
+                                        : `${borderWidth} solid ${borderColor}`,
                             zIndex: 1,
-                            opacity: isGhost ? ghostOpacity : (proj.status === 'Pending' ? 0.3 : 1),
-                            boxShadow: cosmicGlow || (isGhost || proj.status === 'Pending' ? 'none' : undefined),
-                            cursor: 'pointer',
+                            opacity: isGhost ? ghostOpacity : (proj.status === 'Pending' && !overlayEntry ? 0.3 : 1),
+                            boxShadow: isDropTarget
+                                ? `0 0 0 3px ${colors.ZHONG}`
+                                : cosmicGlow || (isGhost || proj.status === 'Pending' ? 'none' : undefined),
+                            cursor: canDrag ? 'grab' : 'pointer',
                             display: 'flex',
                             alignItems: 'center',
                             justifyContent: 'center',
@@ -410,13 +371,46 @@ const HexGrid = ({ projects: inputProjects, onSelectProject, currentTheme = 'def
                         initial={{ opacity: 0, scale: 0 }}
                         animate={{ opacity: isGhost ? ghostOpacity : 1, scale: 1 }}
                         transition={{ delay: proj.id * 0.02 }}
-                        onClick={() => onSelectProject(proj)}
+                        onClick={() => {
+                            // A drop ends with a click on the dragged hex; don't open it
+                            if (justDraggedRef.current) return;
+                            onSelectProject(proj);
+                        }}
+                        drag={canDrag}
+                        dragSnapToOrigin
+                        dragMomentum={false}
+                        whileDrag={{ scale: 1.2, zIndex: 10, cursor: 'grabbing' }}
+                        onDragStart={() => { justDraggedRef.current = true; }}
+                        onDrag={(event) => setDropTargetId(slotAtPoint(event.clientX, event.clientY))}
+                        onDragEnd={(event) => {
+                            const targetId = slotAtPoint(event.clientX, event.clientY);
+                            setDropTargetId(null);
+                            setTimeout(() => { justDraggedRef.current = false; }, 0);
+                            if (targetId !== null && targetId !== proj.id) onMoveProject(proj.id, targetId);
+                        }}
                         whileHover={isGhost ? { scale: 1.1, opacity: ghostOpacity + 0.1 } : currentTheme === 'cosmic' ? { scale: 1.15, filter: 'drop-shadow(0 0 12px currentColor)' } : { scale: 1.1 }}
                     >
+                        {/* Pulse ring when the project was just changed on another device */}
+                        {highlightedIds.includes(proj.id) && (
+                            <motion.div
+                                style={{
+                                    position: 'absolute',
+                                    inset: '-4px',
+                                    borderRadius: '50%',
+                                    border: `2px solid ${colors.ZHONG}`,
+                                    pointerEvents: 'none'
+                                }}
+                                initial={{ scale: 1, opacity: 1 }}
+                                animate={{ scale: 1.6, opacity: 0 }}
+                                transition={{ duration: 1, repeat: 2, ease: 'easeOut' }}
+                            />
+                        )}
                         {isGhost ? (
                             <span style={{ fontSize: '20px', fontWeight: 'bold', color: 'rgba(255,255,255,0.6)', lineHeight: '1' }}>+</span>
                         ) : proj.id === 0 ? (
                             <span style={{ fontSize: '10px', fontWeight: 'bold' }}>中</span>
+                        ) : overlayEntry?.label ? (
+                            <span style={{ fontSize: '8px', fontWeight: 'bold', whiteSpace: 'nowrap' }}>{overlayEntry.label}</span>
                         ) : (() => {
                             const stats = proj.projectCode ? sessionStatsByProjectCode[proj.projectCode] : null;
                             if (!stats || (stats.totalTokens === 0 && stats.totalPrompts === 0)) return null;
@@ -1,13 +1,23 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { nakamaService } from '../services/nakama';
+import { describeLinkSummary } from '../utils/account-link';
+import AccountPanel from './AccountPanel';
 
-export default function LoginModal({ isOpen, onClose, onAuthenticated }) {
+/**
+ * Email login / sign up. From a device session (`canLinkDevice`), the device can be linked
+ * to the account so its cloud data moves along; a summary of what moved is shown before continuing.
+ * When already signed in (`isSignedIn`), shows the account panel instead.
+ */
+export default function LoginModal({ isOpen, onClose, onAuthenticated, onSignedOut, onEncryptionChanged, canLinkDevice = false, isSignedIn = false }) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [username, setUsername] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [linkDevice, setLinkDevice] = useState(true);
+  const [linkResult, setLinkResult] = useState(null); // { session, summary } after linking, until the user continues
+  const [showResetHelp, setShowResetHelp] = useState(false);
 
   const handleEmailLogin = async (isNewUser = false) => {
     if (!email || !password) {
@@ -19,6 +29,16 @@ export default function LoginModal({ isOpen, onClose, onAuthenticated }) {
     setError('');
     
     try {
+      if (canLinkDevice && linkDevice) {
+        const result = await nakamaService.linkDeviceToEmail(email, password, isNewUser, username || undefined);
+        if (result.summary) {
+          setLinkResult(result);
+          return;
+        }
+        onAuthenticated(result.session, 'email');
+        onClose();
+        return;
+      }
       // Pass create=true for signup, create=false for login
       const session = await nakamaService.authenticateEmail(email, password, isNewUser, username || undefined);
       onAuthenticated(session, 'email');
@@ -30,6 +50,30 @@ export default function LoginModal({ isOpen, onClose, onAuthenticated }) {
     }
   };
 
+  const handleProviderLogin = async (providerId) => {
+    setLoading(true);
+    setError('');
+    try {
+      const session = await nakamaService.authenticateWithProvider(providerId);
+      // null: the page is on its way to the provider and finishes sign-in when it comes back
+      if (!session) return;
+      onAuthenticated(session, 'custom');
+      onClose();
+      setLoading(false);
+    } catch (err) {
+      setError(err.message || 'Sign-in failed');
+      setLoading(false);
+    }
+  };
+
+  // The account session is already active: always hand it to the app, even when the summary is dismissed
+  const handleContinue = () => {
+    const { session, summary } = linkResult;
+    setLinkResult(null);
+    onAuthenticated(session, 'email', summary);
+    onClose();
+  };
+
   if (!isOpen) return null;
 
   return (
@@ -50,7 +94,7 @@ export default function LoginModal({ isOpen, onClose, onAuthenticated }) {
           justifyContent: 'center',
           zIndex: 1000
         }}
-        onClick={onClose}
+        onClick={linkResult ? handleContinue : onClose}
       >
         <motion.div
           initial={{ scale: 0.9, opacity: 0 }}
@@ -65,128 +109,235 @@ export default function LoginModal({ isOpen, onClose, onAuthenticated }) {
             border: '1px solid rgba(255, 255, 255, 0.1)'
           }}
         >
-          <h2 style={{ margin: '0 0 20px 0', color: '#fff' }}>Login to Sync</h2>
-          <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: '0.9rem', marginBottom: '20px' }}>
-            Sign in with your email to enable cloud sync across devices.
-          </p>
-          
-          <div>
-              <input
-                type="email"
-                placeholder="Email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
+          {linkResult ? (
+            <>
+              <h2 style={{ margin: '0 0 20px 0', color: '#fff' }}>Device Linked</h2>
+              <ul style={{ color: 'rgba(255,255,255,0.8)', fontSize: '0.9rem', margin: '0 0 20px 0', paddingLeft: '20px' }}>
+                {describeLinkSummary(linkResult.summary).map(line => (
+                  <li key={line} style={{ marginBottom: '6px' }}>{line}</li>
+                ))}
+              </ul>
+              <button
+                onClick={handleContinue}
                 style={{
                   width: '100%',
-                  padding: '10px',
-                  marginBottom: '10px',
-                  background: 'rgba(0,0,0,0.3)',
-                  border: '1px solid rgba(255,255,255,0.1)',
-                  color: '#fff',
-                  borderRadius: '6px'
+                  padding: '12px',
+                  background: 'var(--accent-gold)',
+                  color: '#000',
+                  border: 'none',
+                  borderRadius: '6px',
+                  cursor: 'pointer',
+                  fontWeight: 'bold'
                 }}
-              />
-              <input
-                type="password"
-                placeholder="Password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
+              >
+                Continue
+              </button>
+            </>
+          ) : isSignedIn ? (
+            <>
+              <h2 style={{ margin: '0 0 20px 0', color: '#fff' }}>Account</h2>
+              <AccountPanel onSignedOut={onSignedOut} onEncryptionChanged={onEncryptionChanged} />
+              <button
+                onClick={onClose}
                 style={{
+                  marginTop: '15px',
                   width: '100%',
-                  padding: '10px',
-                  marginBottom: '10px',
-                  background: 'rgba(0,0,0,0.3)',
+                  padding: '8px',
+                  background: 'transparent',
+                  color: 'rgba(255,255,255,0.5)',
                   border: '1px solid rgba(255,255,255,0.1)',
-                  color: '#fff',
-                  borderRadius: '6px'
+                  borderRadius: '6px',
+                  cursor: 'pointer'
                 }}
-              />
-              <input
-                type="text"
-                placeholder="Username (optional)"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                style={{
-                  width: '100%',
-                  padding: '10px',
-                  marginBottom: '10px',
-                  background: 'rgba(0,0,0,0.3)',
-                  border: '1px solid rgba(255,255,255,0.1)',
-                  color: '#fff',
-                  borderRadius: '6px'
-                }}
-              />
+              >
+                Close
+              </button>
+            </>
+          ) : (
+            <>
+              <h2 style={{ margin: '0 0 20px 0', color: '#fff' }}>Login to Sync</h2>
+              <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: '0.9rem', marginBottom: '20px' }}>
+                Sign in with your email to enable cloud sync across devices.
+              </p>
+          
+              <div>
+                  <input
+                    type="email"
+                    placeholder="Email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    style={{
+                      width: '100%',
+                      padding: '10px',
+                      marginBottom: '10px',
+                      background: 'rgba(0,0,0,0.3)',
+                      border: '1px solid rgba(255,255,255,0.1)',
+                      color: '#fff',
+                      borderRadius: '6px'
+                    }}
+                  />
+                  <input
+                    type="password"
+                    placeholder="Password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    style={{
+                      width: '100%',
+                      padding: '10px',
+                      marginBottom: '10px',
+                      background: 'rgba(0,0,0,0.3)',
+                      border: '1px solid rgba(255,255,255,0.1)',
+                      color: '#fff',
+                      borderRadius: '6px'
+                    }}
+                  />
+                  <input
+                    type="text"
+                    placeholder="Username (optional)"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    style={{
+                      width: '100%',
+                      padding: '10px',
+                      marginBottom: '10px',
+                      background: 'rgba(0,0,0,0.3)',
+                      border: '1px solid rgba(255,255,255,0.1)',
+                      color: '#fff',
+                      borderRadius: '6px'
+                    }}
+                  />
+
+                  {canLinkDevice && (
+                    <label style={{ display: 'flex', alignItems: 'flex-start', gap: '8px', marginBottom: '12px', color: 'rgba(255,255,255,0.8)', fontSize: '0.85rem', cursor: 'pointer' }}>
+                      <input
+                        type="checkbox"
+                        checked={linkDevice}
+                        onChange={(e) => setLinkDevice(e.target.checked)}
+                        style={{ marginTop: '2px' }}
+                      />
+                      <span>Link this device to the account (moves anything saved from this device session into it)</span>
+                    </label>
+                  )}
               
-              <div style={{ display: 'flex', gap: '10px' }}>
-                <button
-                  onClick={() => handleEmailLogin(false)}
-                  disabled={loading}
-                  style={{
-                    flex: 1,
-                    padding: '12px',
-                    background: loading ? '#555' : 'var(--accent-gold)',
-                    color: loading ? '#aaa' : '#000',
-                    border: 'none',
-                    borderRadius: '6px',
-                    cursor: loading ? 'not-allowed' : 'pointer',
-                    fontWeight: 'bold'
-                  }}
-                >
-                  {loading ? 'Logging in...' : 'Login'}
-                </button>
-                <button
-                  onClick={() => handleEmailLogin(true)}
-                  disabled={loading}
-                  style={{
-                    flex: 1,
-                    padding: '12px',
-                    background: loading ? '#555' : 'rgba(255,255,255,0.1)',
-                    color: loading ? '#aaa' : '#fff',
-                    border: '1px solid rgba(255,255,255,0.2)',
-                    borderRadius: '6px',
-                    cursor: loading ? 'not-allowed' : 'pointer'
-                  }}
-                >
-                  Sign Up
-                </button>
-              </div>
-            </div>
+                  <div style={{ display: 'flex', gap: '10px' }}>
+                    <button
+                      onClick={() => handleEmailLogin(false)}
+                      disabled={loading}
+                      style={{
+                        flex: 1,
+                        padding: '12px',
+                        background: loading ? '#555' : 'var(--accent-gold)',
+                        color: loading ? '#aaa' : '#000',
+                        border: 'none',
+                        borderRadius: '6px',
+                        cursor: loading ? 'not-allowed' : 'pointer',
+                        fontWeight: 'bold'
+                      }}
+                    >
+                      {loading ? 'Logging in...' : 'Login'}
+                    </button>
+                    <button
+                      onClick={() => handleEmailLogin(true)}
+                      disabled={loading}
+                      style={{
+                        flex: 1,
+                        padding: '12px',
+                        background: loading ? '#555' : 'rgba(255,255,255,0.1)',
+                        color: loading ? '#aaa' : '#fff',
+                        border: '1px solid rgba(255,255,255,0.2)',
+                        borderRadius: '6px',
+                        cursor: loading ? 'not-allowed' : 'pointer'
+                      }}
+                    >
+                      Sign Up
+                    </button>
+                  </div>
+
+                  <button
+                    onClick={() => setShowResetHelp(prev => !prev)}
+                    style={{
+                      marginTop: '10px',
+                      padding: 0,
+                      background: 'none',
+                      border: 'none',
+                      color: 'rgba(255,255,255,0.6)',
+                      cursor: 'pointer',
+                      fontSize: '0.8rem',
+                      textDecoration: 'underline'
+                    }}
+                  >
+                    Forgot password?
+                  </button>
+                  {showResetHelp && (
+                    <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.7)', fontSize: '0.8rem' }}>
+                      Nakama has no built-in reset email, so passwords are reset by the server admin. Ask them for a temporary password,
+                      then log in and change it under Account.
+                    </div>
+                  )}
+
+                  {nakamaService.getAuthProviders().length > 0 && (
+                    <div style={{ marginTop: '15px' }}>
+                      <div style={{ textAlign: 'center', color: 'rgba(255,255,255,0.4)', fontSize: '0.8rem', marginBottom: '10px' }}>or</div>
+                      {nakamaService.getAuthProviders().map(provider => (
+                        <button
+                          key={provider.id}
+                          onClick={() => handleProviderLogin(provider.id)}
+                          disabled={loading}
+                          style={{
+                            width: '100%',
+                            padding: '12px',
+                            marginBottom: '8px',
+                            background: loading ? '#555' : '#24292f',
+                            color: loading ? '#aaa' : '#fff',
+                            border: '1px solid rgba(255,255,255,0.2)',
+                            borderRadius: '6px',
+                            cursor: loading ? 'not-allowed' : 'pointer'
+                          }}
+                        >
+                          {provider.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
 
-          {error && (
-            <div style={{
-              marginTop: '15px',
-              padding: '10px',
-              background: 'rgba(255,0,0,0.2)',
-              border: '1px solid rgba(255,0,0,0.5)',
-              borderRadius: '6px',
-              color: '#ff6b6b',
-              fontSize: '0.9rem',
-              whiteSpace: 'pre-wrap'
-            }}>
-              {error}
-              {error.includes('Cloud sync is not configured') && (
-                <div style={{ marginTop: '8px', fontSize: '0.85rem', opacity: 0.9 }}>
-                  You can still use the app with device session (no login); card edits will be local only.
+              {error && (
+                <div style={{
+                  marginTop: '15px',
+                  padding: '10px',
+                  background: 'rgba(255,0,0,0.2)',
+                  border: '1px solid rgba(255,0,0,0.5)',
+                  borderRadius: '6px',
+                  color: '#ff6b6b',
+                  fontSize: '0.9rem',
+                  whiteSpace: 'pre-wrap'
+                }}>
+                  {error}
+                  {error.includes('Cloud sync is not configured') && (
+                    <div style={{ marginTop: '8px', fontSize: '0.85rem', opacity: 0.9 }}>
+                      You can still use the app with device session (no login); card edits will be local only.
+                    </div>
+                  )}
                 </div>
               )}
-            </div>
-          )}
 
-          <button
-            onClick={onClose}
-            style={{
-              marginTop: '15px',
-              width: '100%',
-              padding: '8px',
-              background: 'transparent',
-              color: 'rgba(255,255,255,0.5)',
-              border: '1px solid rgba(255,255,255,0.1)',
-              borderRadius: '6px',
-              cursor: 'pointer'
-            }}
-          >
-            Cancel
-          </button>
+              <button
+                onClick={onClose}
+                style={{
+                  marginTop: '15px',
+                  width: '100%',
+                  padding: '8px',
+                  background: 'transparent',
+                  color: 'rgba(255,255,255,0.5)',
+                  border: '1px solid rgba(255,255,255,0.1)',
+                  borderRadius: '6px',
+                  cursor: 'pointer'
+                }}
+              >
+                Cancel
+              </button>
+            </>
+          )}
         </motion.div>
       </motion.div>
     </AnimatePresence>
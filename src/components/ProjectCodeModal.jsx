@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { isPlaceholderProject, projectCodesOf } from '../data/projects';
+import { parseProjectId } from '../utils/project-id';
+
+const sectionTitleStyle = {
+  margin: '0 0 8px 0',
+  color: 'rgba(255,255,255,0.6)',
+  fontSize: '0.75rem',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+};
+
+const fieldStyle = {
+  flex: 1,
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '4px',
+  color: '#fff',
+  fontSize: '0.85rem',
+  padding: '6px 8px'
+};
+
+const smallButtonStyle = {
+  padding: '6px 12px',
+  background: 'transparent',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#fff',
+  cursor: 'pointer',
+  fontSize: '0.8rem'
+};
+
+/**
+ * Rename a project's code, or merge the project into another one. Either way its sessions
+ * and cloud analytics move along; the old codes stay on as aliases.
+ */
+export default function ProjectCodeModal({ isOpen, project, projects, onRename, onMerge, onClose }) {
+  const [newCode, setNewCode] = useState('');
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!isOpen || !project) return null;
+
+  const handleClose = () => {
+    setNewCode('');
+    setMergeTargetId('');
+    setError('');
+    onClose();
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      handleClose();
+    } catch (err) {
+      setError(err.message || 'Could not change the project code');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const code = newCode.trim().toUpperCase();
+  const aliases = project.codeAliases || [];
+  const mergeTargets = projects.filter(p => p.id !== project.id && !isPlaceholderProject(p));
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.8)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}
+        onClick={handleClose}
+      >
+        <motion.div
+          initial={{ scale: 0.9, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.9, opacity: 0 }}
+          onClick={(e) => e.stopPropagation()}
+          style={{
+            background: 'rgba(20, 20, 30, 0.95)',
+            padding: '30px',
+            borderRadius: '12px',
+            width: '460px',
+            maxWidth: '90vw',
+            maxHeight: '85vh',
+            overflowY: 'auto',
+            border: '1px solid rgba(255, 255, 255, 0.1)'
+          }}
+        >
+          <h2 style={{ margin: '0 0 10px 0', color: '#fff' }}>{project.name} · <span style={{ fontFamily: 'monospace' }}>{project.projectCode}</span></h2>
+          <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: '0.9rem', marginBottom: '20px' }}>
+            Sessions and cloud analytics of the old code move to the new one. The old code is kept
+            as an alias, so anything still tagged with it keeps counting.
+            {aliases.length > 0 && (
+              <span style={{ display: 'block', marginTop: '6px', fontSize: '0.8rem', opacity: 0.8 }}>
+                Also known as <span style={{ fontFamily: 'monospace' }}>{aliases.join(', ')}</span>
+              </span>
+            )}
+          </p>
+
+          <div style={{ marginBottom: '20px' }}>
+            <h4 style={sectionTitleStyle}>Rename</h4>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <input
+                value={newCode}
+                onChange={(e) => setNewCode(e.target.value)}
+                placeholder={project.projectCode}
+                style={{ ...fieldStyle, fontFamily: 'monospace' }}
+              />
+              <button
+                onClick={() => run(() => onRename(code))}
+                disabled={busy || !parseProjectId(code) || code === project.projectCode}
+                style={{ ...smallButtonStyle, opacity: busy || !parseProjectId(code) || code === project.projectCode ? 0.5 : 1 }}
+              >
+                Rename
+              </button>
+            </div>
+            {code && !parseProjectId(code) && (
+              <div style={{ marginTop: '6px', fontSize: '0.75rem', opacity: 0.6 }}>Format YYQ#XNN, e.g. 26Q1W05</div>
+            )}
+          </div>
+
+          {project.id !== 0 && (
+            <div style={{ marginBottom: '20px' }}>
+              <h4 style={sectionTitleStyle}>Merge into another project</h4>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <select value={mergeTargetId} onChange={(e) => setMergeTargetId(e.target.value)} style={fieldStyle}>
+                  <option value="">Choose a project…</option>
+                  {mergeTargets.map(p => (
+                    <option key={p.id} value={p.id}>{p.name} ({projectCodesOf(p).join(', ')})</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => run(() => onMerge(Number(mergeTargetId)))}
+                  disabled={busy || mergeTargetId === ''}
+                  style={{ ...smallButtonStyle, opacity: busy || mergeTargetId === '' ? 0.5 : 1 }}
+                >
+                  Merge
+                </button>
+              </div>
+              <div style={{ marginTop: '6px', fontSize: '0.75rem', opacity: 0.6 }}>
+                The chosen project keeps its code and gains this one's Worldline; this slot becomes empty.
+              </div>
+            </div>
+          )}
+
+          {error && (
+            <div style={{
+              marginBottom: '15px',
+              padding: '10px',
+              background: 'rgba(255,0,0,0.2)',
+              border: '1px solid rgba(255,0,0,0.5)',
+              borderRadius: '6px',
+              color: '#ff6b6b',
+              fontSize: '0.9rem'
+            }}>
+              {error}
+            </div>
+          )}
+
+          <button
+            onClick={handleClose}
+            style={{
+              width: '100%',
+              padding: '12px',
+              background: 'transparent',
+              color: 'rgba(255,255,255,0.5)',
+              border: '1px solid rgba(255,255,255,0.1)',
+              borderRadius: '6px',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { isPlaceholderProject, projectCodesOf } from '../data/projects';
+import { createBoardArchive, archiveFileName } from '../utils/board-archive';
+import {
+  ROLLOVER_ACTIONS,
+  boardQuarter,
+  nextQuarter,
+  planRollover,
+  recodeForQuarter
+} from '../utils/quarter-rollover';
+
+const sectionTitleStyle = {
+  margin: '0 0 8px 0',
+  color: 'rgba(255,255,255,0.6)',
+  fontSize: '0.75rem',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  background: 'transparent',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#fff',
+  cursor: 'pointer',
+  fontSize: '0.75rem'
+};
+
+/**
+ * Close the board's quarter and open the next: pick per project whether it carries over
+ * with a new code, is retired or is reset. Also lists the snapshots of closed quarters.
+ */
+export default function QuarterRolloverModal({ isOpen, projects, sessions = [], snapshots = [], canEdit = true, onRollover, onClose }) {
+  const [changedActions, setChangedActions] = useState({}); // Actions picked instead of the default
+  const [rolling, setRolling] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!isOpen) return null;
+
+  const handleClose = () => {
+    setChangedActions({});
+    setError('');
+    onClose();
+  };
+
+  const actions = { ...planRollover(projects), ...changedActions };
+  const from = boardQuarter(projects);
+  const to = nextQuarter(from);
+  const realProjects = projects.filter(p => p.id !== 0 && !isPlaceholderProject(p));
+
+  const handleRollover = async () => {
+    setRolling(true);
+    setError('');
+    try {
+      await onRollover(actions, from, to);
+      handleClose();
+    } catch (err) {
+      setError(err.message || 'Rollover failed');
+    } finally {
+      setRolling(false);
+    }
+  };
+
+  const handleDownload = (snapshot) => {
+    const codes = new Set(snapshot.projects.flatMap(projectCodesOf));
+    const archive = createBoardArchive({
+      projects: snapshot.projects,
+      sessions: sessions.filter(s => codes.has(s.projectCode)),
+      cloudAnalytics: snapshot.cloudAnalytics || {}
+    });
+    const url = URL.createObjectURL(new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = archiveFileName(`quarter ${snapshot.quarter}`, new Date(snapshot.closedAt));
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.8)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}
+        onClick={handleClose}
+      >
+        <motion.div
+          initial={{ scale: 0.9, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.9, opacity: 0 }}
+          onClick={(e) => e.stopPropagation()}
+          style={{
+            background: 'rgba(20, 20, 30, 0.95)',
+            padding: '30px',
+            borderRadius: '12px',
+            width: '560px',
+            maxWidth: '90vw',
+            maxHeight: '85vh',
+            overflowY: 'auto',
+            border: '1px solid rgba(255, 255, 255, 0.1)'
+          }}
+        >
+          <h2 style={{ margin: '0 0 10px 0', color: '#fff' }}>Close {from.label} / Open {to.label}</h2>
+          <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: '0.9rem', marginBottom: '20px' }}>
+            The board as it is now is kept as the {from.label} snapshot. Carried-over projects get
+            a {to.label} code and keep their old one as an alias, so their sessions still count.
+            Retired projects leave the board; reset projects start {to.label} with an empty Worldline.
+          </p>
+
+          {canEdit ? (
+            <div style={{ marginBottom: '20px' }}>
+              <h4 style={sectionTitleStyle}>Projects</h4>
+              {realProjects.length === 0 && (
+                <div style={{ fontSize: '0.8rem', opacity: 0.6 }}>No projects to carry over; only the codes of empty slots change.</div>
+              )}
+              {realProjects.map(p => (
+                <div key={p.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px', fontSize: '0.8rem' }}>
+                  <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={p.name}>
+                    {p.name}
+                  </span>
+                  <span style={{ fontFamily: 'monospace', opacity: 0.7 }}>
+                    {p.projectCode}{actions[p.id] !== 'retire' ? ` → ${recodeForQuarter(p.projectCode, to)}` : ''}
+                  </span>
+                  <select
+                    value={actions[p.id] || 'carry'}
+                    onChange={(e) => setChangedActions(prev => ({ ...prev, [p.id]: e.target.value }))}
+                    style={{
+                      background: 'rgba(0,0,0,0.3)',
+                      border: '1px solid rgba(255,255,255,0.1)',
+                      borderRadius: '4px',
+                      color: '#fff',
+                      fontSize: '0.75rem',
+                      padding: '2px 4px'
+                    }}
+                  >
+                    {Object.entries(ROLLOVER_ACTIONS).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div style={{ marginBottom: '20px', fontSize: '0.8rem', opacity: 0.6 }}>
+              You can only view this board, so its quarter can't be closed.
+            </div>
+          )}
+
+          {snapshots.length > 0 && (
+            <div style={{ marginBottom: '20px' }}>
+              <h4 style={sectionTitleStyle}>Closed quarters</h4>
+              {snapshots.map(snapshot => (
+                <div key={snapshot.quarter} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px', fontSize: '0.8rem' }}>
+                  <span style={{ flex: 1 }}>
+                    <strong>{snapshot.quarter}</strong>
+                    <span style={{ opacity: 0.6 }}> · closed {new Date(snapshot.closedAt).toLocaleDateString()}</span>
+                  </span>
+                  <button onClick={() => handleDownload(snapshot)} style={smallButtonStyle}>
+                    ⬇ Download
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {error && (
+            <div style={{
+              marginBottom: '15px',
+              padding: '10px',
+              background: 'rgba(255,0,0,0.2)',
+              border: '1px solid rgba(255,0,0,0.5)',
+              borderRadius: '6px',
+              color: '#ff6b6b',
+              fontSize: '0.9rem'
+            }}>
+              {error}
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '10px' }}>
+            {canEdit && (
+              <button
+                onClick={handleRollover}
+                disabled={rolling}
+                style={{
+                  flex: 1,
+                  padding: '12px',
+                  background: rolling ? '#555' : 'var(--accent-gold)',
+                  color: rolling ? '#aaa' : '#000',
+                  border: 'none',
+                  borderRadius: '6px',
+                  cursor: rolling ? 'not-allowed' : 'pointer',
+                  fontWeight: 'bold'
+                }}
+              >
+                {rolling ? 'Closing...' : `Close ${from.label} and open ${to.label}`}
+              </button>
+            )}
+            <button
+              onClick={handleClose}
+              style={{
+                flex: 1,
+                padding: '12px',
+                background: 'transparent',
+                color: 'rgba(255,255,255,0.5)',
+                border: '1px solid rgba(255,255,255,0.1)',
+                borderRadius: '6px',
+                cursor: 'pointer'
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
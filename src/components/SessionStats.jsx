@@ -9,6 +9,7 @@ import React, { useState, useEffect } from 'react';
 import { getSessions, getSessionStats } from '../utils/session-manager';
 import { getTokenHistory } from '../utils/cursor-token-tracker';
 import { nakamaService } from '../services/nakama';
+import { combineAnalytics } from '../utils/session-analytics';
 
 // Add CSS for smooth scrolling
 const timelineScrollStyles = `
@@ -36,7 +37,7 @@ if (typeof document !== 'undefined' && !document.getElementById('timeline-scroll
   document.head.appendChild(styleSheet);
 }
 
-export default function SessionStats({ projectId, projectCode, projectName, refreshKey }) {
+export default function SessionStats({ projectId, projectCode, codeAliases = [], projectName, refreshKey }) {
   const [sessions, setSessions] = useState([]);
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -69,8 +70,10 @@ export default function SessionStats({ projectId, projectCode, projectName, refr
   };
 
   const loadSessionData = async () => {
+    // Sessions logged under the project's earlier codes (aliases) count too
+    const projectCodes = projectCode ? [projectCode, ...codeAliases] : [];
     const filterOptions = projectCode 
-      ? { projectCode } 
+      ? { projectCode: projectCodes } 
       : (projectId !== null && projectId !== undefined ? { projectId } : null);
     
     if (filterOptions) {
@@ -78,7 +81,7 @@ export default function SessionStats({ projectId, projectCode, projectName, refr
         const rawStored = localStorage.getItem('cursor_sessions');
         const allStoredSessions = rawStored ? JSON.parse(rawStored) : [];
         const matchingStored = allStoredSessions.filter(s => 
-          (filterOptions.projectCode && s.projectCode === filterOptions.projectCode) ||
+          (filterOptions.projectCode && filterOptions.projectCode.includes(s.projectCode)) ||
           (filterOptions.projectId && s.projectId === filterOptions.projectId)
         );
         
@@ -96,7 +99,7 @@ export default function SessionStats({ projectId, projectCode, projectName, refr
         // When no local data, try Nakama (for public Zhong / verified account)
         if (projectCode && (projectSessions.length === 0 || (projectStats.totalTokens === 0 && !projectStats.totalSessions)) && nakamaService.isAuthenticated() && !nakamaService.offlineMode) {
           try {
-            const remote = await nakamaService.loadSessionAnalytics(projectCode);
+            const remote = combineAnalytics(await Promise.all(projectCodes.map(code => nakamaService.loadSessionAnalytics(code))));
             if (remote && (remote.sessionCount > 0 || remote.totalTokens > 0)) {
               projectSessions = (remote.sessions || []).map(s => ({ ...s, totalTokens: s.totalTokens || 0 }));
               projectStats = {
@@ -294,10 +297,10 @@ export default function SessionStats({ projectId, projectCode, projectName, refr
     // Get project data from localStorage
     try {
       const projectsData = JSON.parse(localStorage.getItem('zhong_projects') || '[]');
-      const project = projectsData.find(p => 
-        (projectCode && p.projectCode === projectCode) || 
-        (projectId !== null && projectId !== undefined && p.id === projectId)
-      );
+      // By code first: projects keep their code when they move to another slot
+      const project = projectCode
+        ? projectsData.find(p => p.projectCode === projectCode)
+        : projectsData.find(p => projectId !== null && projectId !== undefined && p.id === projectId);
       
       if (project && project.history && Array.isArray(project.history)) {
         // Process commits asynchronously
@@ -394,11 +397,12 @@ export default function SessionStats({ projectId, projectCode, projectName, refr
     setTimelineEvents(allEvents);
   };
 
+  const aliasKey = codeAliases.join(',');
   useEffect(() => {
     console.log('[SessionStats] useEffect triggered:', { projectId, projectCode, refreshKey });
     // Only reload data, don't reset timeline state
     loadSessionData();
-  }, [projectId, projectCode, refreshKey]); // Refresh when refreshKey changes
+  }, [projectId, projectCode, aliasKey, refreshKey]); // Refresh when refreshKey changes
   
   // Separate effect to preserve timeline state - don't reload data when this changes
   // This prevents timeline from collapsing on every refresh
@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { KNOT_FIELD_PREFIX } from '../utils/project-merge';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  status: 'Status',
+  description: 'Description',
+  type: 'Type',
+  projectCode: 'Project Code'
+};
+
+const conflictKey = (c) => `${c.projectUid ?? c.projectId}:${c.field}`;
+
+const isKnotField = (field) => field.startsWith(KNOT_FIELD_PREFIX);
+
+function fieldLabel(field) {
+  if (isKnotField(field)) return `Worldline knot ${field.slice(KNOT_FIELD_PREFIX.length)}`;
+  return FIELD_LABELS[field] || field;
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toLocaleString() : 'unknown time';
+}
+
+function formatValue(value, field) {
+  // A Worldline knot without a value was deleted on that side
+  if (value === null && isKnotField(field)) return '(deleted)';
+  if (value === null || value === undefined || value === '') return '(empty)';
+  return String(value);
+}
+
+/**
+ * Lists fields that were edited differently on this device and in the cloud,
+ * and lets the user pick local, remote or a hand-edited value for each.
+ */
+export default function SyncConflictModal({ isOpen, conflicts = [], onResolve, onClose }) {
+  // key -> { choice: 'local' | 'remote' | 'custom', custom: string }
+  const [choices, setChoices] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!isOpen || conflicts.length === 0) return null;
+
+  const choiceFor = (c) => choices[conflictKey(c)] || { choice: 'local', custom: c.local ?? '' };
+
+  const setChoice = (c, patch) => {
+    setChoices(prev => ({ ...prev, [conflictKey(c)]: { ...choiceFor(c), ...patch } }));
+  };
+
+  const handleApply = async () => {
+    const resolutions = conflicts.map(c => {
+      const { choice, custom } = choiceFor(c);
+      const value = choice === 'remote' ? c.remote : choice === 'custom' ? custom : c.local;
+      return { projectUid: c.projectUid, projectId: c.projectId, field: c.field, value };
+    });
+
+    setSaving(true);
+    setError('');
+    try {
+      await onResolve(resolutions);
+      setChoices({});
+    } catch (err) {
+      setError(err.message || 'Failed to save resolved projects');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const optionStyle = (selected) => ({
+    flex: 1,
+    textAlign: 'left',
+    padding: '8px',
+    background: selected ? 'rgba(255,215,0,0.15)' : 'rgba(0,0,0,0.3)',
+    border: `1px solid ${selected ? 'var(--accent-gold)' : 'rgba(255,255,255,0.1)'}`,
+    borderRadius: '6px',
+    color: '#fff',
+    cursor: 'pointer',
+    fontSize: '0.8rem',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word'
+  });
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.8)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.9, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.9, opacity: 0 }}
+          onClick={(e) => e.stopPropagation()}
+          style={{
+            background: 'rgba(20, 20, 30, 0.95)',
+            padding: '30px',
+            borderRadius: '12px',
+            width: '640px',
+            maxWidth: '90vw',
+            maxHeight: '85vh',
+            overflowY: 'auto',
+            border: '1px solid rgba(255, 255, 255, 0.1)'
+          }}
+        >
+          <h2 style={{ margin: '0 0 10px 0', color: '#fff' }}>Resolve Sync Conflicts</h2>
+          <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: '0.9rem', marginBottom: '20px' }}>
+            These fields were changed both on this device and in the cloud. Pick which value to keep;
+            nothing is written to the cloud until you apply.
+          </p>
+
+          {conflicts.map(c => {
+            const { choice, custom } = choiceFor(c);
+            return (
+              <div
+                key={conflictKey(c)}
+                style={{
+                  marginBottom: '15px',
+                  paddingBottom: '15px',
+                  borderBottom: '1px solid rgba(255,255,255,0.1)'
+                }}
+              >
+                <div style={{ fontSize: '0.85rem', marginBottom: '8px' }}>
+                  <strong>{c.projectName || `Project ${c.projectId}`}</strong>
+                  <span style={{ opacity: 0.6 }}> · {fieldLabel(c.field)}</span>
+                </div>
+
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <button onClick={() => setChoice(c, { choice: 'local' })} style={optionStyle(choice === 'local')}>
+                    <div style={{ fontSize: '0.7rem', opacity: 0.6, marginBottom: '4px' }}>
+                      This device · {formatTime(c.localUpdatedAt)}
+                    </div>
+                    {formatValue(c.local, c.field)}
+                  </button>
+                  <button onClick={() => setChoice(c, { choice: 'remote' })} style={optionStyle(choice === 'remote')}>
+                    <div style={{ fontSize: '0.7rem', opacity: 0.6, marginBottom: '4px' }}>
+                      Cloud · {formatTime(c.remoteUpdatedAt)}
+                    </div>
+                    {formatValue(c.remote, c.field)}
+                  </button>
+                </div>
+
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px', fontSize: '0.75rem', opacity: 0.8 }}>
+                  <input
+                    type="radio"
+                    checked={choice === 'custom'}
+                    onChange={() => setChoice(c, { choice: 'custom' })}
+                  />
+                  Edit by hand
+                </label>
+                {choice === 'custom' && (
+                  <textarea
+                    value={custom}
+                    onChange={(e) => setChoice(c, { custom: e.target.value })}
+                    rows={c.field === 'description' || isKnotField(c.field) ? 3 : 1}
+                    style={{
+                      width: '100%',
+                      marginTop: '5px',
+                      padding: '8px',
+                      background: 'rgba(0,0,0,0.3)',
+                      border: '1px solid rgba(255,255,255,0.1)',
+                      color: '#fff',
+                      borderRadius: '6px',
+                      fontFamily: 'inherit',
+                      fontSize: '0.8rem',
+                      resize: 'vertical'
+                    }}
+                  />
+                )}
+              </div>
+            );
+          })}
+
+          {error && (
+            <div style={{
+              marginBottom: '15px',
+              padding: '10px',
+              background: 'rgba(255,0,0,0.2)',
+              border: '1px solid rgba(255,0,0,0.5)',
+              borderRadius: '6px',
+              color: '#ff6b6b',
+              fontSize: '0.9rem'
+            }}>
+              {error}
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <button
+              onClick={handleApply}
+              disabled={saving}
+              style={{
+                flex: 1,
+                padding: '12px',
+                background: saving ? '#555' : 'var(--accent-gold)',
+                color: saving ? '#aaa' : '#000',
+                border: 'none',
+                borderRadius: '6px',
+                cursor: saving ? 'not-allowed' : 'pointer',
+                fontWeight: 'bold'
+              }}
+            >
+              {saving ? 'Saving...' : 'Apply & Save'}
+            </button>
+            <button
+              onClick={onClose}
+              style={{
+                flex: 1,
+                padding: '12px',
+                background: 'transparent',
+                color: 'rgba(255,255,255,0.5)',
+                border: '1px solid rgba(255,255,255,0.1)',
+                borderRadius: '6px',
+                cursor: 'pointer'
+              }}
+            >
+              Decide later
+            </button>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
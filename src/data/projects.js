@@ -1,9 +1,37 @@
-import { generateProjectId } from '../utils/project-id';
+import { generateProjectId, parseProjectId } from '../utils/project-id';
+import { generateVersion } from '../utils/versioning';
+import { slotPositionType } from '../utils/hex-layout';
 
-const totalHexes = 1 + 6 + 12 + 18; // Center + Ring 1 + Ring 2 + Ring 3
+/** Rings around the center on a new board (1 + 6 + 12 + 18 = 37 hexes) */
+export const DEFAULT_RING_COUNT = 3;
 
-export const projects = Array.from({ length: totalHexes }).map((_, i) => {
-  if (i === 0) {
+/** Largest board: 91 hexes. Slot IDs become the 2-digit project number in project codes, so they must stay below 100. */
+export const MAX_RING_COUNT = 5;
+
+/**
+ * Number of hexes on a board with the given rings (ring k holds 6k hexes)
+ */
+export const slotCount = (ringCount) => 1 + 3 * ringCount * (ringCount + 1);
+
+/**
+ * Rings needed to show every project (slot IDs are project IDs)
+ */
+export function ringCountFor(projects) {
+  const maxId = Math.max(0, ...projects.map(p => Number(p.id) || 0));
+  let rings = 0;
+  while (slotCount(rings) <= maxId) rings++;
+  return rings;
+}
+
+/**
+ * Default data for the project in slot `id`
+ *
+ * @param {number} id
+ * @param {number} [projectNumber] - Number for its projectCode, if the slot's own is taken by a moved project
+ * @param {Date} [date] - Date whose quarter the projectCode carries
+ */
+export function createProject(id, projectNumber = id, date = new Date()) {
+  if (id === 0) {
     return {
       id: 0,
       name: "Zhong",
@@ -12,29 +40,161 @@ export const projects = Array.from({ length: totalHexes }).map((_, i) => {
       description: "The Center. Executive oversight.",
       history: [],
       projectCode: generateProjectId({
-        date: new Date(),
+        date,
         type: "ZHONG",
         projectNumber: 0
       })
     };
   }
-  
+
   // Determine type based on position (rough approximation)
-  // Ring 1 (1-6): Mix, Ring 2 (7-18): Mix, Ring 3 (19-36): Mix
+  // Ring 1 (1-6): Mix, Ring 2 (7-18): Mix, Ring 3+ (19-): Mix
   // For now, default to WEB, but this can be customized
-  const type = i <= 6 ? "WEB" : i <= 18 ? "DATABASE" : "WEB";
-  
+  const type = id <= 6 ? "WEB" : id <= 18 ? "DATABASE" : "WEB";
+
   return {
-    id: i,
-    name: `Project ${i}`,
+    id,
+    name: `Project ${id}`,
     type: type,
     status: "Pending",
     description: "Initialize project details...",
     history: [],
     projectCode: generateProjectId({
-      date: new Date(),
+      date,
       type: type,
-      projectNumber: i
+      projectNumber
     })
   };
-});
+}
+
+/**
+ * Identity of a project, kept when it moves to another slot (merges match projects on it).
+ * Projects of the default board and from before identities were stored are known by the slot
+ * they were created in, so every device agrees on them without storing anything.
+ */
+export function projectUid(project) {
+  return project.uid || `slot-${project.id}`;
+}
+
+/**
+ * Identity for a project added to an existing board, where its slot may have held another project
+ */
+export function newProjectUid() {
+  return `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Whether a project is still the untouched default of its slot (nothing would be lost by removing it)
+ */
+export function isPlaceholderProject(project) {
+  if (project.id === 0) return false;
+  return (!project.status || project.status === 'Pending' || project.status === 'Unknown') &&
+    (!project.description || project.description === 'Initialize project details...') &&
+    (!project.name || /^Project \d+$/.test(project.name)) &&
+    !(project.history && project.history.length > 0);
+}
+
+/**
+ * Grow or shrink a board to a ring count. Growing adds default projects for the new slots;
+ * existing projects keep their IDs. Shrinking only drops placeholder projects, so it stops at
+ * the outermost ring that still holds a real project.
+ *
+ * @param {Array} projects
+ * @param {number} ringCount
+ * @returns {Array} Projects sorted by ID
+ */
+export function resizeBoard(projects, ringCount) {
+  const slots = slotCount(ringCount);
+  const byId = new Map(projects.map(p => [p.id, p]));
+  const kept = projects.filter(p => p.id < slots || !isPlaceholderProject(p));
+  const numbersInUse = usedProjectNumbers(kept);
+  for (let id = 0; id < slots; id++) {
+    if (byId.has(id)) continue;
+    // A moved project may already carry this slot's number
+    const number = freeProjectNumber(numbersInUse, id);
+    numbersInUse.add(number);
+    kept.push({ ...createProject(id, number), uid: newProjectUid() });
+  }
+  return kept.sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Project number in a project's code. It starts out as the slot ID, but stays with the project when it moves.
+ */
+export function projectNumberOf(project) {
+  const parsed = project.projectCode ? parseProjectId(project.projectCode) : null;
+  return parsed ? parsed.projectNumber : project.id;
+}
+
+/**
+ * Project numbers taken by the codes of a board, including the codes projects had before
+ */
+export function usedProjectNumbers(projects) {
+  const numbers = new Set();
+  projects.forEach(p => {
+    numbers.add(projectNumberOf(p));
+    (p.codeAliases || []).forEach(code => {
+      const parsed = parseProjectId(code);
+      if (parsed) numbers.add(parsed.projectNumber);
+    });
+  });
+  return numbers;
+}
+
+/**
+ * `preferred` if no code uses it, else the lowest free project number
+ */
+export function freeProjectNumber(numbersInUse, preferred) {
+  if (!numbersInUse.has(preferred)) return preferred;
+  let number = 1;
+  while (numbersInUse.has(number)) number++;
+  return number;
+}
+
+/**
+ * Every code a project's sessions and analytics may be stored under: its projectCode, then the
+ * codes it had before (codeAliases, e.g. from a quarter rollover)
+ */
+export function projectCodesOf(project) {
+  return [project.projectCode, ...(project.codeAliases || [])].filter(Boolean);
+}
+
+/**
+ * Move the project in slot `fromId` to slot `toId`; whatever was in `toId` takes the vacated slot.
+ * Projects keep their projectCode (sessions link to the code, not the slot) and their Worldline,
+ * and each real project that moved gets a knot recording the move. The Zhong center stays put.
+ *
+ * @param {Array} projects
+ * @param {number} fromId
+ * @param {number} toId
+ * @param {Date} [date]
+ * @returns {Array} The same array if nothing moved
+ */
+export function moveProject(projects, fromId, toId, date = new Date()) {
+  if (fromId === toId || fromId === 0 || toId === 0) return projects;
+  const from = projects.find(p => p.id === fromId);
+  const to = projects.find(p => p.id === toId);
+  if (!from || !to) return projects;
+
+  const ringCount = ringCountFor(projects);
+  const slotLabel = (id) => `slot ${id} (${slotPositionType(id, ringCount)})`;
+  // The identity is fixed before the slot changes, so merges still know which project is which
+  const relocate = (project, id) => {
+    if (isPlaceholderProject(project)) return { ...project, uid: projectUid(project), id };
+    const history = project.history || [];
+    const knot = {
+      version: generateVersion(date, id, history.length + 1),
+      date: date.toLocaleDateString(),
+      createdAt: date.toISOString(),
+      commit: 'No Commit ID',
+      repo: '',
+      timestamp: null,
+      description: `Moved from ${slotLabel(project.id)} to ${slotLabel(id)}`
+    };
+    return { ...project, uid: projectUid(project), id, history: [knot, ...history] };
+  };
+
+  return projects.map(p => (p.id === fromId ? relocate(to, fromId) : p.id === toId ? relocate(from, toId) : p));
+}
+
+export const projects = Array.from({ length: slotCount(DEFAULT_RING_COUNT) }).map((_, i) => createProject(i));
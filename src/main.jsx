@@ -2,6 +2,10 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { migrateLocalStorage } from './utils/schema-migrations'
+
+// Upgrade saved projects, sessions and token history before anything reads them
+migrateLocalStorage()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
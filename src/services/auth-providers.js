@@ -0,0 +1,128 @@
+/**
+ * Auth Providers
+ *
+ * Sign-in options besides email/password. A provider proves who the user is and
+ * returns an identity; NakamaService then signs in with Nakama custom ID auth:
+ *
+ *   {
+ *     id: 'github',
+ *     label: 'Continue with GitHub',
+ *     isEnabled(): boolean,
+ *     signIn(): Promise<identity|null>,              // null when the page is redirected to finish sign-in
+ *     completeRedirect?(location): Promise<identity|null>  // picks up a redirect back from the provider
+ *   }
+ *
+ *   identity = { customId, username, displayName }
+ *
+ * Anyone who knows a custom ID can sign in with it, so custom IDs must be unguessable.
+ * The GitHub provider gets its identity from a token exchange endpoint (VITE_GITHUB_EXCHANGE_URL)
+ * run by the team: it trades the OAuth code for the GitHub user (the client secret can't live in
+ * the browser) and derives the custom ID from the GitHub user ID with a server-side secret.
+ *
+ *   POST <exchange URL>  { code, redirectUri }  ->  { customId, username, displayName }
+ */
+
+// Vite injects import.meta.env; it is missing when loaded outside Vite (e.g. Node)
+const env = import.meta.env || {};
+
+/** sessionStorage key for the OAuth state of a sign-in in progress */
+const OAUTH_STATE_KEY = 'zhong_oauth_state';
+
+const GITHUB_AUTHORIZE_URL = 'https://github.com/login/oauth/authorize';
+
+function randomState() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** Page URL without the query string, used as the OAuth redirect URI */
+function redirectUri(location) {
+  return `${location.origin}${location.pathname}`;
+}
+
+/**
+ * GitHub sign-in through an OAuth redirect and the team's token exchange endpoint
+ *
+ * @param {Object} config
+ * @param {string} config.clientId - GitHub OAuth app client ID
+ * @param {string} config.exchangeUrl - Token exchange endpoint (see above)
+ */
+export function githubProvider({ clientId, exchangeUrl }) {
+  return {
+    id: 'github',
+    label: 'Continue with GitHub',
+    isEnabled: () => !!clientId && !!exchangeUrl,
+
+    async signIn() {
+      const state = randomState();
+      sessionStorage.setItem(OAUTH_STATE_KEY, state);
+      const params = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri(window.location),
+        scope: 'read:user',
+        state
+      });
+      window.location.assign(`${GITHUB_AUTHORIZE_URL}?${params}`);
+      return null;
+    },
+
+    async completeRedirect(location = window.location) {
+      const params = new URLSearchParams(location.search);
+      const code = params.get('code');
+      const state = params.get('state');
+      const expected = sessionStorage.getItem(OAUTH_STATE_KEY);
+      if (!code || !state || !expected) return null;
+
+      sessionStorage.removeItem(OAUTH_STATE_KEY);
+      // Drop ?code=…&state=… so a reload doesn't replay the sign-in
+      window.history.replaceState(null, '', redirectUri(location));
+      if (state !== expected) throw new Error('GitHub sign-in was not started from this page. Please try again.');
+
+      const response = await fetch(exchangeUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code, redirectUri: redirectUri(location) })
+      });
+      if (!response.ok) throw new Error(`GitHub sign-in failed (HTTP ${response.status})`);
+      const identity = await response.json();
+      if (!identity?.customId) throw new Error('GitHub sign-in failed: the exchange endpoint returned no customId');
+      return identity;
+    }
+  };
+}
+
+/**
+ * Offline stand-in for an OAuth provider: signs in as a fixed or prompted user without any network.
+ * Custom IDs are derived from the username, so only use it with a local or test server.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.identity] - Identity to return; if omitted, the username is asked for
+ * @param {string} [options.label]
+ */
+export function mockProvider({ identity = null, label = 'Continue with Mock GitHub' } = {}) {
+  return {
+    id: 'mock',
+    label,
+    isEnabled: () => true,
+
+    async signIn() {
+      if (identity) return identity;
+      const username = window.prompt('Mock sign-in – username:', 'octocat');
+      if (!username) throw new Error('Sign-in cancelled');
+      return { customId: `mock_${username}`, username, displayName: username };
+    }
+  };
+}
+
+/**
+ * Providers configured for this build: GitHub when VITE_GITHUB_CLIENT_ID and VITE_GITHUB_EXCHANGE_URL
+ * are set, and the mock provider when VITE_AUTH_MOCK=true or the local Nakama backend is used
+ */
+export function defaultAuthProviders() {
+  const providers = [
+    githubProvider({ clientId: env.VITE_GITHUB_CLIENT_ID, exchangeUrl: env.VITE_GITHUB_EXCHANGE_URL })
+  ];
+  if (env.VITE_AUTH_MOCK === 'true' || env.VITE_NAKAMA_BACKEND === 'local') providers.push(mockProvider());
+  return providers.filter(p => p.isEnabled());
+}
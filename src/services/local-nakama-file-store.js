@@ -0,0 +1,23 @@
+/**
+ * File-backed store for the local Nakama stand-in (Node only; not imported by the app)
+ *
+ *   import { LocalNakamaClient } from './local-nakama';
+ *   import { fileStore } from './local-nakama-file-store';
+ *   const client = new LocalNakamaClient({ store: fileStore('.local-nakama.json') });
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+
+export function fileStore(path) {
+  return {
+    load: async () => {
+      try {
+        return JSON.parse(await readFile(path, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    save: (state) => writeFile(path, JSON.stringify(state, null, 2))
+  };
+}
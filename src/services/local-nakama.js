@@ -0,0 +1,487 @@
+/**
+ * Local Nakama stand-in
+ *
+ * In-process replacement for the nakama-js Client, covering the calls NakamaService
+ * makes: device/email/custom auth, account linking, session refresh, storage (list/read/write/delete)
+ * and a chat socket. It follows the server's rules closely enough that sync,
+ * merge and analytics behave as they do against a real server:
+ *
+ *   - sessions are JWT-shaped tokens that expire; calls with an expired or revoked token get a 401
+ *   - writes are checked against object versions ('*' = create only) and rejected with
+ *     "version check failed", like Nakama
+ *   - requests over the request size limit are rejected (256 KB by default)
+ *   - other users' objects are only listed/read when they are public-read
+ *
+ * Errors are thrown as fetch Responses with the server's status codes, as the SDK does.
+ * State is kept in a store: memoryStore() (default), localStorageStore() for offline
+ * development in the browser, or fileStore() from ./local-nakama-file-store in Node.
+ *
+ * Use with VITE_NAKAMA_BACKEND=local, or pass an instance to `new NakamaService({ client })`.
+ */
+
+import { Session } from '@heroiclabs/nakama-js';
+
+/** Nakama's default socket.max_request_size_bytes */
+const DEFAULT_MAX_REQUEST_BYTES = 256 * 1024;
+
+const DEFAULT_TOKEN_EXPIRY_SEC = 2 * 3600;
+const DEFAULT_REFRESH_TOKEN_EXPIRY_SEC = 7 * 24 * 3600;
+
+const LOCAL_STORE_KEY = 'zhong_local_nakama';
+
+const PERMISSION_PUBLIC_READ = 2;
+
+function emptyState() {
+  return { users: {}, storage: {}, revokedTokens: [], nextId: 1 };
+}
+
+/**
+ * Keep state in memory only (lost when the process or page goes away)
+ */
+export function memoryStore(initialState = null) {
+  let state = initialState;
+  return {
+    load: () => state,
+    save: (next) => { state = next; }
+  };
+}
+
+/**
+ * Keep state in localStorage, so a local backend survives reloads during offline development
+ */
+export function localStorageStore(key = LOCAL_STORE_KEY) {
+  return {
+    load: () => {
+      try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+      } catch {
+        return null;
+      }
+    },
+    save: (state) => localStorage.setItem(key, JSON.stringify(state))
+  };
+}
+
+/**
+ * Error shaped like the SDK's: the fetch Response of the failed request
+ */
+function apiError(status, message) {
+  return new Response(JSON.stringify({ error: message, message }), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+function encodeTokenPart(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+function decodeTokenPart(part) {
+  const binary = atob(part);
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+}
+
+function storageId(collection, userId, key) {
+  return `${collection}/${userId}/${key}`;
+}
+
+function byteLength(value) {
+  return new TextEncoder().encode(value).length;
+}
+
+function toApiObject(object) {
+  return { ...object, value: JSON.parse(object.value) };
+}
+
+export class LocalNakamaClient {
+  /**
+   * @param {Object} [options]
+   * @param {{ load: Function, save: Function }} [options.store] - Where state is kept (memoryStore() by default)
+   * @param {number} [options.maxRequestBytes] - Largest accepted write request body
+   * @param {number} [options.tokenExpirySec] - Session token lifetime
+   * @param {number} [options.refreshTokenExpirySec] - Refresh token lifetime
+   * @param {Function} [options.now] - Clock in milliseconds (lets tests move time forward)
+   */
+  constructor({
+    store = memoryStore(),
+    maxRequestBytes = DEFAULT_MAX_REQUEST_BYTES,
+    tokenExpirySec = DEFAULT_TOKEN_EXPIRY_SEC,
+    refreshTokenExpirySec = DEFAULT_REFRESH_TOKEN_EXPIRY_SEC,
+    now = () => Date.now()
+  } = {}) {
+    this.store = store;
+    this.maxRequestBytes = maxRequestBytes;
+    this.tokenExpirySec = tokenExpirySec;
+    this.refreshTokenExpirySec = refreshTokenExpirySec;
+    this.now = now;
+    /** Connected sockets, for delivering chat messages */
+    this.sockets = new Set();
+    this.state = null;
+    this.ready = Promise.resolve(store.load()).then(state => {
+      this.state = state || emptyState();
+    });
+  }
+
+  async save() {
+    await this.store.save(this.state);
+  }
+
+  nextId(prefix) {
+    const id = this.state.nextId++;
+    return `${prefix}${id.toString(16).padStart(8, '0')}-${Math.random().toString(16).slice(2, 10)}`;
+  }
+
+  nowSec() {
+    return Math.floor(this.now() / 1000);
+  }
+
+  isoNow() {
+    return new Date(this.now()).toISOString();
+  }
+
+  issueSession(user, created) {
+    const issuedAt = this.nowSec();
+    const header = encodeTokenPart({ alg: 'none', typ: 'JWT' });
+    // sep: the user's session epoch; logging out everywhere bumps it and invalidates older tokens
+    const claims = { uid: user.id, usn: user.username, vrs: {}, iat: issuedAt, sep: user.sessionEpoch || 0 };
+    const token = `${header}.${encodeTokenPart({ ...claims, tid: this.nextId('t'), exp: issuedAt + this.tokenExpirySec })}.local`;
+    const refresh = `${header}.${encodeTokenPart({ ...claims, tid: this.nextId('r'), exp: issuedAt + this.refreshTokenExpirySec })}.local`;
+    return { token, refresh_token: refresh, created };
+  }
+
+  /**
+   * Check a token and return its user, or throw a 401 like the server
+   */
+  verifyToken(token) {
+    let claims;
+    try {
+      claims = decodeTokenPart(token.split('.')[1]);
+    } catch {
+      throw apiError(401, 'Auth token invalid');
+    }
+    if (claims.exp <= this.nowSec() || this.state.revokedTokens.includes(claims.tid)) {
+      throw apiError(401, 'Auth token invalid');
+    }
+    const user = this.state.users[claims.uid];
+    if (!user || (claims.sep || 0) !== (user.sessionEpoch || 0)) throw apiError(401, 'Auth token invalid');
+    return user;
+  }
+
+  async authorize(session) {
+    await this.ready;
+    if (!session?.token) throw apiError(401, 'Auth token required');
+    return this.verifyToken(session.token);
+  }
+
+  createUser(username) {
+    if (username && Object.values(this.state.users).some(u => u.username === username)) {
+      throw apiError(409, 'Username is already in use.');
+    }
+    const id = this.nextId('u');
+    const user = {
+      id,
+      username: username || Math.random().toString(36).slice(2, 12),
+      display_name: '',
+      email: null,
+      password: null,
+      deviceIds: [],
+      create_time: this.isoNow()
+    };
+    this.state.users[id] = user;
+    return user;
+  }
+
+  // --- Authentication ---
+
+  async authenticateDevice(id, create = true, username) {
+    await this.ready;
+    if (!id || id.length < 10 || id.length > 128) {
+      throw apiError(400, 'Device ID invalid, must be 10-128 bytes.');
+    }
+    let user = Object.values(this.state.users).find(u => u.deviceIds.includes(id));
+    const created = !user;
+    if (!user) {
+      if (!create) throw apiError(404, 'User account not found.');
+      user = this.createUser(username);
+      user.deviceIds.push(id);
+      await this.save();
+    }
+    const { token, refresh_token } = this.issueSession(user, created);
+    return new Session(token, refresh_token, created);
+  }
+
+  async authenticateCustom(id, create = true, username) {
+    await this.ready;
+    if (!id || id.length < 6 || id.length > 128) {
+      throw apiError(400, 'Custom ID invalid, must be 6-128 bytes.');
+    }
+    let user = Object.values(this.state.users).find(u => (u.customIds || []).includes(id));
+    const created = !user;
+    if (!user) {
+      if (!create) throw apiError(404, 'User account not found.');
+      user = this.createUser(username);
+      user.customIds = [id];
+      await this.save();
+    }
+    const { token, refresh_token } = this.issueSession(user, created);
+    return new Session(token, refresh_token, created);
+  }
+
+  async authenticateEmail(email, password, create = true, username) {
+    await this.ready;
+    if (!email || !/^.+@.+\..+$/.test(email)) throw apiError(400, 'Invalid email address format.');
+    if (!password || password.length < 8) throw apiError(400, 'Password must be at least 8 characters long.');
+
+    const normalized = email.toLowerCase();
+    let user = Object.values(this.state.users).find(u => u.email === normalized);
+    const created = !user;
+    if (user) {
+      if (user.password !== password) throw apiError(401, 'Invalid credentials.');
+    } else {
+      if (!create) throw apiError(404, 'User account not found.');
+      user = this.createUser(username);
+      user.email = normalized;
+      user.password = password;
+      await this.save();
+    }
+    const { token, refresh_token } = this.issueSession(user, created);
+    return new Session(token, refresh_token, created);
+  }
+
+  /**
+   * Add an email login to the session's user (e.g. upgrading a device account)
+   */
+  async linkEmail(session, request) {
+    const user = await this.authorize(session);
+    const { email, password } = request;
+    if (!email || !/^.+@.+\..+$/.test(email)) throw apiError(400, 'Invalid email address format.');
+    if (!password || password.length < 8) throw apiError(400, 'Password must be at least 8 characters long.');
+    const normalized = email.toLowerCase();
+    if (Object.values(this.state.users).some(u => u.email === normalized && u.id !== user.id)) {
+      throw apiError(409, 'Email is already in use.');
+    }
+    user.email = normalized;
+    user.password = password;
+    await this.save();
+    return true;
+  }
+
+  async updateAccount(session, request) {
+    const user = await this.authorize(session);
+    if (request.username && request.username !== user.username) {
+      if (Object.values(this.state.users).some(u => u.username === request.username)) {
+        throw apiError(409, 'Username is already in use.');
+      }
+      user.username = request.username;
+    }
+    if (request.display_name !== undefined) user.display_name = request.display_name;
+    await this.save();
+    return true;
+  }
+
+  async getAccount(session) {
+    const user = await this.authorize(session);
+    return {
+      user: this.apiUser(user),
+      email: user.email || undefined,
+      devices: user.deviceIds.map(id => ({ id })),
+      verify_time: undefined
+    };
+  }
+
+  async unlinkDevice(session, request) {
+    const user = await this.authorize(session);
+    if (!user.deviceIds.includes(request.id)) throw apiError(404, 'Device ID not found.');
+    if (user.deviceIds.length === 1 && !user.email) {
+      throw apiError(412, 'Cannot unlink last account identifier. Check profile exists and is not last link.');
+    }
+    user.deviceIds = user.deviceIds.filter(id => id !== request.id);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Renew a session with its refresh token; updates the session in place like the SDK
+   */
+  async sessionRefresh(session) {
+    await this.ready;
+    if (!session?.refresh_token) throw apiError(401, 'Refresh token required');
+    const user = this.verifyToken(session.refresh_token);
+    const { token, refresh_token } = this.issueSession(user, false);
+    session.update(token, refresh_token);
+    return session;
+  }
+
+  /**
+   * Revoke the given tokens, or every session of the user when neither is given (like Nakama)
+   */
+  async sessionLogout(session, token, refreshToken) {
+    const user = await this.authorize(session);
+    if (!token && !refreshToken) {
+      user.sessionEpoch = (user.sessionEpoch || 0) + 1;
+      await this.save();
+      return true;
+    }
+    [token, refreshToken].filter(Boolean).forEach(t => {
+      try {
+        this.state.revokedTokens.push(decodeTokenPart(t.split('.')[1]).tid);
+      } catch {
+        // Not one of ours; nothing to revoke
+      }
+    });
+    await this.save();
+    return true;
+  }
+
+  // --- Storage ---
+
+  canRead(object, user) {
+    return object.user_id === user.id || object.permission_read === PERMISSION_PUBLIC_READ;
+  }
+
+  async listStorageObjects(session, collection, userId, limit = 100, cursor) {
+    const user = await this.authorize(session);
+    const objects = Object.values(this.state.storage)
+      .filter(o => o.collection === collection && (!userId || o.user_id === userId))
+      .filter(o => (userId ? this.canRead(o, user) : o.permission_read === PERMISSION_PUBLIC_READ))
+      .sort((a, b) => (a.user_id + a.key).localeCompare(b.user_id + b.key));
+    const start = cursor ? parseInt(cursor, 10) : 0;
+    const page = objects.slice(start, start + limit);
+    const next = start + limit < objects.length ? String(start + limit) : undefined;
+    return { objects: page.map(toApiObject), cursor: next };
+  }
+
+  async readStorageObjects(session, request) {
+    const user = await this.authorize(session);
+    const objects = (request.object_ids || [])
+      .map(id => this.state.storage[storageId(id.collection, id.user_id || user.id, id.key)])
+      .filter(o => o && this.canRead(o, user));
+    return { objects: objects.map(toApiObject) };
+  }
+
+  async writeStorageObjects(session, objects) {
+    const user = await this.authorize(session);
+    // Same body the SDK sends: values are JSON strings
+    const writes = objects.map(o => ({ ...o, value: JSON.stringify(o.value) }));
+    if (byteLength(JSON.stringify({ objects: writes })) > this.maxRequestBytes) {
+      throw apiError(413, 'Request body too large');
+    }
+
+    writes.forEach(w => {
+      if (!w.value || !w.value.startsWith('{')) throw apiError(400, 'Value must be a JSON object.');
+      const existing = this.state.storage[storageId(w.collection, user.id, w.key)];
+      const rejected = w.version === '*'
+        ? !!existing
+        : !!w.version && existing?.version !== w.version;
+      if (rejected) throw apiError(400, 'Storage write rejected - version check failed.');
+    });
+
+    const time = this.isoNow();
+    const acks = writes.map(w => {
+      const id = storageId(w.collection, user.id, w.key);
+      const existing = this.state.storage[id];
+      const object = {
+        collection: w.collection,
+        key: w.key,
+        user_id: user.id,
+        value: w.value,
+        version: this.nextId('v'),
+        permission_read: w.permission_read ?? 1,
+        permission_write: w.permission_write ?? 1,
+        create_time: existing?.create_time || time,
+        update_time: time
+      };
+      this.state.storage[id] = object;
+      return { collection: object.collection, key: object.key, version: object.version, user_id: user.id };
+    });
+    await this.save();
+    return { acks };
+  }
+
+  async deleteStorageObjects(session, request) {
+    const user = await this.authorize(session);
+    const ids = (request.object_ids || []).map(o => ({ ...o, id: storageId(o.collection, user.id, o.key) }));
+    ids.forEach(o => {
+      const existing = this.state.storage[o.id];
+      if (o.version && existing && existing.version !== o.version) {
+        throw apiError(400, 'Storage delete rejected - version check failed.');
+      }
+    });
+    ids.forEach(o => { delete this.state.storage[o.id]; });
+    await this.save();
+    return true;
+  }
+
+  // --- Users ---
+
+  apiUser(user) {
+    return { id: user.id, username: user.username, display_name: user.display_name || '', create_time: user.create_time };
+  }
+
+  // --- Realtime ---
+
+  createSocket() {
+    return new LocalSocket(this);
+  }
+}
+
+/**
+ * Chat-only socket. Messages are delivered (asynchronously) to every connected
+ * socket of the same client that joined the channel, including the sender, like Nakama.
+ */
+class LocalSocket {
+  constructor(client) {
+    this.client = client;
+    this.session = null;
+    this.channels = new Set();
+    this.ondisconnect = () => {};
+    this.onerror = () => {};
+    this.onchannelmessage = () => {};
+  }
+
+  async connect(session) {
+    await this.client.authorize(session);
+    this.session = session;
+    this.client.sockets.add(this);
+    return session;
+  }
+
+  disconnect(fireDisconnectEvent = true) {
+    const wasConnected = this.client.sockets.delete(this);
+    this.channels.clear();
+    if (wasConnected && fireDisconnectEvent) this.ondisconnect({});
+  }
+
+  async joinChat(target, type) {
+    if (!this.client.sockets.has(this)) throw new Error('Socket is not connected');
+    const user = this.client.verifyToken(this.session.token);
+    const id = `${type}.${target}`;
+    this.channels.add(id);
+    return { id, presences: [], self: { user_id: user.id, username: user.username } };
+  }
+
+  async writeChatMessage(channelId, content) {
+    if (!this.channels.has(channelId)) throw new Error('Not a member of this channel');
+    const user = this.client.verifyToken(this.session.token);
+    const time = this.client.isoNow();
+    const message = {
+      channel_id: channelId,
+      message_id: this.client.nextId('m'),
+      sender_id: user.id,
+      username: user.username,
+      create_time: time,
+      update_time: time,
+      persistent: false
+    };
+    this.client.sockets.forEach(socket => {
+      if (!socket.channels.has(channelId)) return;
+      const delivered = { ...message, content: JSON.parse(JSON.stringify(content)) };
+      setTimeout(() => socket.onchannelmessage(delivered), 0);
+    });
+    return { channel_id: channelId, message_id: message.message_id, code: 0, create_time: time, update_time: time };
+  }
+}
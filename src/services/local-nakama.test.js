@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { LocalNakamaClient } from './local-nakama';
+
+const COLLECTION = 'zhong_projects';
+
+/** The error message of a rejected call (errors are fetch Responses, as from the SDK) */
+async function rejection(promise) {
+  const response = await promise.then(() => null, error => error);
+  expect(response).toBeInstanceOf(Response);
+  return { status: response.status, message: (await response.json()).message };
+}
+
+describe('LocalNakamaClient storage', () => {
+  const write = (key, value, version) => ({ collection: COLLECTION, key, value, ...(version ? { version } : {}) });
+
+  it('checks writes against object versions', async () => {
+    const client = new LocalNakamaClient();
+    const session = await client.authenticateEmail('a@example.com', 'password-a');
+    const [created] = (await client.writeStorageObjects(session, [write('p', { n: 1 }, '*')])).acks;
+
+    expect(await rejection(client.writeStorageObjects(session, [write('p', { n: 2 }, '*')])))
+      .toEqual({ status: 400, message: 'Storage write rejected - version check failed.' });
+    const [updated] = (await client.writeStorageObjects(session, [write('p', { n: 2 }, created.version)])).acks;
+    expect((await rejection(client.writeStorageObjects(session, [write('p', { n: 3 }, created.version)]))).status).toBe(400);
+
+    const { objects } = await client.readStorageObjects(session, { object_ids: [{ collection: COLLECTION, key: 'p' }] });
+    expect(objects.map(o => [o.value, o.version])).toEqual([[{ n: 2 }, updated.version]]);
+  });
+
+  it('writes nothing from a request with one rejected object', async () => {
+    const client = new LocalNakamaClient();
+    const session = await client.authenticateEmail('a@example.com', 'password-a');
+    await client.writeStorageObjects(session, [write('p', { n: 1 }, '*')]);
+
+    await rejection(client.writeStorageObjects(session, [write('q', { n: 1 }, '*'), write('p', { n: 2 }, '*')]));
+
+    const { objects } = await client.readStorageObjects(session, { object_ids: [{ collection: COLLECTION, key: 'q' }] });
+    expect(objects).toEqual([]);
+  });
+
+  it('rejects requests over the size limit', async () => {
+    const client = new LocalNakamaClient({ maxRequestBytes: 1024 });
+    const session = await client.authenticateEmail('a@example.com', 'password-a');
+    expect((await rejection(client.writeStorageObjects(session, [write('p', { text: 'x'.repeat(2000) })]))).status).toBe(413);
+  });
+
+  it('reads other users\' objects only when they are public', async () => {
+    const client = new LocalNakamaClient();
+    const owner = await client.authenticateEmail('a@example.com', 'password-a');
+    const other = await client.authenticateEmail('b@example.com', 'password-b');
+    await client.writeStorageObjects(owner, [
+      write('private', { n: 1 }),
+      { ...write('public', { n: 2 }), permission_read: 2 }
+    ]);
+
+    const { objects } = await client.readStorageObjects(other, {
+      object_ids: ['private', 'public'].map(key => ({ collection: COLLECTION, key, user_id: owner.user_id }))
+    });
+    expect(objects.map(o => o.key)).toEqual(['public']);
+  });
+
+  it('refuses expired session tokens', async () => {
+    let now = Date.parse('2026-01-05T10:00:00.000Z');
+    const client = new LocalNakamaClient({ tokenExpirySec: 60, now: () => now });
+    const session = await client.authenticateEmail('a@example.com', 'password-a');
+    now += 61 * 1000;
+    expect((await rejection(client.listStorageObjects(session, COLLECTION, session.user_id))).status).toBe(401);
+  });
+});
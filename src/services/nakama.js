@@ -6,27 +6,209 @@
  * Copy .env.example to .env and fill in your Nakama server details.
  */
 
+import { mergeProjects, toProjectArray, getPayloadVersion } from '../utils/project-merge';
+import {
+  projectKey,
+  historyPageKey,
+  isProjectKey,
+  toCloudProject,
+  splitProject,
+  joinProject,
+  diffProject,
+  deletedProjectRecord,
+  storageValueBytes,
+  CLOUD_MAX_OBJECT_BYTES
+} from '../utils/cloud-projects';
+import { enqueueWrite, removeWrite, loadOutbox, msUntilNextWrite } from '../utils/outbox';
+import { combineAnalytics, movedAnalytics } from '../utils/session-analytics';
+import { createShareId, sharePartKey, snapshotParts, snapshotAnalytics } from '../utils/board-share';
+import { mergeDeviceAnalytics } from '../utils/account-link';
+import { isPlaceholderProject } from '../data/projects';
+import { defaultAuthProviders } from './auth-providers';
+import {
+  createKeyParams,
+  deriveKey,
+  exportKey,
+  importKey,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  createKeyCheck,
+  verifyKey
+} from '../utils/cloud-crypto';
+
+// Vite injects import.meta.env; it is missing when the service is loaded outside Vite (e.g. Node)
+const env = import.meta.env || {};
+
 const NAKAMA_CONFIG = {
-  scheme: import.meta.env.VITE_NAKAMA_SCHEME || 'http',
-  host: import.meta.env.VITE_NAKAMA_HOST || '',
-  port: parseInt(import.meta.env.VITE_NAKAMA_PORT || '7350', 10),
-  serverKey: import.meta.env.VITE_NAKAMA_SERVER_KEY || ''
+  scheme: env.VITE_NAKAMA_SCHEME || 'http',
+  host: env.VITE_NAKAMA_HOST || '',
+  port: parseInt(env.VITE_NAKAMA_PORT || '7350', 10),
+  serverKey: env.VITE_NAKAMA_SERVER_KEY || '',
+  /** 'local' runs against the in-browser stand-in (services/local-nakama.js) instead of a server */
+  backend: env.VITE_NAKAMA_BACKEND || ''
 };
 
 // Log config in production to help debug (host/port are not sensitive)
-if (import.meta.env.PROD) {
+if (env.PROD) {
   console.log('[NakamaService] Config loaded:', {
     scheme: NAKAMA_CONFIG.scheme,
     host: NAKAMA_CONFIG.host || '(not set)',
     port: NAKAMA_CONFIG.port,
     hasServerKey: !!NAKAMA_CONFIG.serverKey,
-    envHost: import.meta.env.VITE_NAKAMA_HOST || '(not set)'
+    envHost: env.VITE_NAKAMA_HOST || '(not set)'
   });
 }
 
 // Collection names
 const COLLECTION = 'zhong_projects';
+const COLLECTION_HISTORY = 'zhong_project_history';
 const COLLECTION_SESSION_ANALYTICS = 'zhong_session_analytics';
+const COLLECTION_SHARED_BOARDS = 'zhong_shared_boards';
+const COLLECTION_CRYPTO = 'zhong_crypto';
+
+/** Object holding the encryption key parameters and key check (owner-only, never encrypted) */
+const CRYPTO_KEY_OBJECT = 'key';
+
+/**
+ * Collections whose values are encrypted when encryption is on: the board and its analytics.
+ * Share snapshots are public, so they are not encrypted.
+ */
+const ENCRYPTED_COLLECTIONS = [COLLECTION, COLLECTION_HISTORY, COLLECTION_SESSION_ANALYTICS];
+
+/**
+ * localStorage key for a remembered encryption key, per user. The raw AES key is stored there in
+ * base64, so anything that can read this origin's localStorage (another user of the browser profile,
+ * an XSS bug, a malicious extension) can decrypt the cloud data without the passphrase.
+ */
+const rememberedKeyStorageKey = (userId) => `zhong_crypto_key_${userId}`;
+
+/** Key of the pre-split save that held every project in one object */
+const LEGACY_PROJECTS_KEY = 'projects';
+
+/** Nakama caps list and batch read sizes at 100 objects */
+const STORAGE_BATCH_SIZE = 100;
+
+/** Storage read permissions: the board is owner-only, share snapshots are public */
+const PERMISSION_OWNER_READ = 1;
+const PERMISSION_PUBLIC_READ = 2;
+
+/** localStorage key for the share ID of the board, so republishing updates the same link */
+const SHARE_ID_KEY = 'zhong_share_id';
+
+/** localStorage key for the last projects snapshot both local and cloud agreed on (merge base) */
+const BASE_SNAPSHOT_KEY = 'zhong_projects_base';
+
+/** Storage object values come back parsed from nakama-js 2.x, but older saves may hold a JSON string */
+function parseStorageValue(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function loadBaseSnapshot() {
+  try {
+    const raw = localStorage.getItem(BASE_SNAPSHOT_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveBaseSnapshot(projects) {
+  localStorage.setItem(BASE_SNAPSHOT_KEY, JSON.stringify(toProjectArray(projects).map(toCloudProject)));
+}
+
+/** Error code thrown when a conditional write is rejected because the object changed in the cloud */
+export const REMOTE_CHANGED = 'REMOTE_CHANGED';
+
+/** Error code thrown when an object can never fit in a write request */
+const TOO_LARGE = 'TOO_LARGE';
+
+/** Error code thrown when cloud data is encrypted and the passphrase hasn't been entered on this device */
+export const ENCRYPTION_LOCKED = 'ENCRYPTION_LOCKED';
+
+/** Error code thrown when an encryption passphrase doesn't match the account's key */
+export const WRONG_PASSPHRASE = 'WRONG_PASSPHRASE';
+
+/**
+ * Whether a failed write is worth queueing for replay. Oversize writes never succeed, and writes
+ * blocked by locked encryption are dropped: the board is merged again after unlocking, so replaying
+ * a save made without the cloud data could overwrite it.
+ */
+function shouldQueueFailedWrite(error) {
+  return error.code !== TOO_LARGE && error.code !== ENCRYPTION_LOCKED;
+}
+
+function encryptionLockedError() {
+  const error = new Error('Your cloud data is encrypted. Enter your passphrase under Account to unlock it on this device.');
+  error.code = ENCRYPTION_LOCKED;
+  return error;
+}
+
+/** Outbox key for the queued projects save */
+const OUTBOX_PROJECTS_KEY = 'projects';
+const outboxAnalyticsKey = (projectCode) => `analytics:${projectCode}`;
+
+/** Where the session tokens are persisted between page loads */
+const SESSION_STORAGE_KEY = 'zhong_session';
+
+/** Refresh the session token this long before it expires */
+const SESSION_REFRESH_AHEAD_MS = 5 * 60 * 1000;
+
+/** Longest delay setTimeout accepts */
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/** Event dispatched on window when the refresh token is no longer valid and the user was logged out */
+export const SESSION_EXPIRED_EVENT = 'zhong-session-expired';
+
+/** Event dispatched on window when another device saved projects; detail: { projectIds } */
+export const PROJECTS_CHANGED_EVENT = 'zhong-projects-changed';
+
+/** Chat message type announcing a projects save */
+const MESSAGE_PROJECTS_CHANGED = 'projects_changed';
+
+/** Chat room type (as opposed to direct message or group) */
+const CHANNEL_TYPE_ROOM = 1;
+
+/** Wait before reconnecting a dropped realtime socket */
+const REALTIME_RECONNECT_MS = 10 * 1000;
+
+/** Hidden, non-persistent room shared by one user's open dashboards */
+function syncRoomName(userId) {
+  return `zhong_sync_${userId}`;
+}
+
+function isUnauthorized(error) {
+  return error?.status === 401;
+}
+
+/** How many times sync re-reads and merges after a rejected conditional write */
+const MAX_SYNC_ATTEMPTS = 3;
+
+/** Write version meaning "only create; fail if the object already exists" */
+const VERSION_CREATE_ONLY = '*';
+
+function versionKey(collection, key) {
+  return `${collection}/${key}`;
+}
+
+/** Whether a failed storage write was rejected by Nakama's version check (the object changed since we read it) */
+async function isVersionConflict(error) {
+  if (!error || typeof error.clone !== 'function') return false;
+  if (error.status === 409) return true;
+  if (error.status !== 400) return false;
+  try {
+    const text = await error.clone().text();
+    return /version check/i.test(text);
+  } catch {
+    return false;
+  }
+}
+
+function remoteChangedError(keys) {
+  const error = new Error(`Remote changed since last read: ${keys.join(', ')}`);
+  error.code = REMOTE_CHANGED;
+  return error;
+}
 
 /** Log body of a failed fetch Response for debugging 400/406 etc. */
 async function logStorageErrorResponse(error) {
@@ -38,52 +220,60 @@ async function logStorageErrorResponse(error) {
   }
 }
 
-/** Max history entries per project and max description length to keep cloud payload under Nakama body size limit */
-const CLOUD_HISTORY_CAP = 20;
-const CLOUD_DESCRIPTION_MAX = 120;
-
-/** Build a slim projects payload for cloud storage to avoid "request body too large" (400). */
-function slimProjectsForCloud(projects) {
-  const list = Array.isArray(projects) ? projects : (projects?.projects || []);
-  const slim = list.map(p => {
-    const history = Array.isArray(p.history) ? p.history.slice(0, CLOUD_HISTORY_CAP) : [];
-    return {
-      id: p.id,
-      name: p.name,
-      type: p.type,
-      status: p.status,
-      description: typeof p.description === 'string' ? p.description.slice(0, 500) : (p.description || ''),
-      projectCode: p.projectCode,
-      history: history.map(k => ({
-        version: k.version,
-        date: k.date,
-        commit: (k.commit || '').slice(0, 80),
-        repo: (k.repo || '').slice(0, 80),
-        timestamp: k.timestamp,
-        description: typeof k.description === 'string' ? k.description.slice(0, CLOUD_DESCRIPTION_MAX) : (k.description || '')
-      }))
-    };
-  });
-  return { projects: slim, _version: Date.now().toString(), _synced: new Date().toISOString() };
-}
-
-class NakamaService {
-  constructor() {
-    this.client = null;
+export class NakamaService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Client to use instead of the nakama-js Client (e.g. a LocalNakamaClient)
+   * @param {Array<Object>} [options.authProviders] - Sign-in providers (see auth-providers.js); defaults to the build's configured ones
+   */
+  constructor({ client = null, authProviders = null } = {}) {
+    this.client = client;
+    this.authProviders = authProviders;
     this.session = null;
     this.isInitialized = false;
     /** When true, no Nakama server is configured (e.g. GitHub Pages); app runs in local-only mode */
     this.offlineMode = false;
+    /** Storage object versions from the last read/write ('collection/key' -> version), sent on writes as a condition */
+    this.objectVersions = new Map();
+    /** Timer for the next outbox replay attempt */
+    this.outboxTimer = null;
+    this.replayingOutbox = false;
+    /** Timer that refreshes the session token ahead of expiry */
+    this.sessionRefreshTimer = null;
+    /** In-flight refresh, shared by concurrent callers */
+    this.refreshPromise = null;
+    /** Realtime socket and the sync room joined on it (null while disconnected) */
+    this.socket = null;
+    this.syncChannel = null;
+    this.realtimeWanted = false;
+    this.realtimeReconnectTimer = null;
+    /** Identifies this tab in realtime messages so it ignores its own saves */
+    this.clientId = `${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+    /** Encryption state of the signed-in user ({ userId, enabled, params, keyCheck, key }), loaded on first storage use */
+    this.encryption = null;
+  }
+
+  /**
+   * Remember versions of storage objects returned by reads or write acks
+   */
+  trackVersions(objects = []) {
+    objects.forEach(o => {
+      if (o?.collection && o?.key && o?.version) {
+        this.objectVersions.set(versionKey(o.collection, o.key), o.version);
+      }
+    });
   }
 
   /**
    * Initialize Nakama client (lazy load the SDK).
    * If VITE_NAKAMA_HOST / VITE_NAKAMA_SERVER_KEY are missing, runs in offline mode (no throw).
+   * With VITE_NAKAMA_BACKEND=local (or a client passed to the constructor) no server is needed.
    */
   async init() {
     if (this.isInitialized || this.offlineMode) return;
 
-    if (!NAKAMA_CONFIG.host || !NAKAMA_CONFIG.serverKey) {
+    const useLocalBackend = !this.client && NAKAMA_CONFIG.backend === 'local';
+    if (!this.client && !useLocalBackend && (!NAKAMA_CONFIG.host || !NAKAMA_CONFIG.serverKey)) {
       console.warn('[NakamaService] No server config (VITE_NAKAMA_HOST / VITE_NAKAMA_SERVER_KEY). Running in local-only mode.');
       this.offlineMode = true;
       this.isInitialized = true;
@@ -91,26 +281,42 @@ class NakamaService {
     }
 
     try {
-      const { Client } = await import('@heroiclabs/nakama-js');
+      const { Client, Session } = await import('@heroiclabs/nakama-js');
+      this.Session = Session;
 
-      const nakamaUrl = `${NAKAMA_CONFIG.scheme}://${NAKAMA_CONFIG.host}:${NAKAMA_CONFIG.port}`;
-      console.log('[NakamaService] Initializing client:', {
-        url: nakamaUrl,
-        host: NAKAMA_CONFIG.host,
-        port: NAKAMA_CONFIG.port,
-        scheme: NAKAMA_CONFIG.scheme,
-        hasServerKey: !!NAKAMA_CONFIG.serverKey
-      });
+      if (useLocalBackend) {
+        const { LocalNakamaClient, localStorageStore } = await import('./local-nakama');
+        this.client = new LocalNakamaClient({ store: localStorageStore() });
+        console.log('[NakamaService] Using the local Nakama stand-in (VITE_NAKAMA_BACKEND=local)');
+      } else if (!this.client) {
+        const nakamaUrl = `${NAKAMA_CONFIG.scheme}://${NAKAMA_CONFIG.host}:${NAKAMA_CONFIG.port}`;
+        console.log('[NakamaService] Initializing client:', {
+          url: nakamaUrl,
+          host: NAKAMA_CONFIG.host,
+          port: NAKAMA_CONFIG.port,
+          scheme: NAKAMA_CONFIG.scheme,
+          hasServerKey: !!NAKAMA_CONFIG.serverKey
+        });
 
-      this.client = new Client(
-        NAKAMA_CONFIG.serverKey,
-        NAKAMA_CONFIG.host,
-        NAKAMA_CONFIG.port,
-        NAKAMA_CONFIG.scheme === 'https'
-      );
+        // Session refresh is handled here (not by the SDK) so renewed tokens are persisted
+        this.client = new Client(
+          NAKAMA_CONFIG.serverKey,
+          NAKAMA_CONFIG.host,
+          NAKAMA_CONFIG.port,
+          NAKAMA_CONFIG.scheme === 'https',
+          undefined,
+          false
+        );
+      }
       
       this.isInitialized = true;
       console.log('[NakamaService] ✅ Initialized successfully');
+
+      // Replay queued writes as soon as the browser is back online
+      if (typeof window !== 'undefined') {
+        window.addEventListener('online', () => this.replayOutbox({ force: true }));
+      }
+      this.scheduleOutboxReplay();
     } catch (error) {
       console.error('[NakamaService] ❌ Failed to initialize:', error);
       throw error;
@@ -120,8 +326,11 @@ class NakamaService {
   /**
    * Authenticate with device ID (anonymous/device session).
    * In offline mode, returns a fake session so the app can render (local-only).
+   * @param {string} [deviceId] - Defaults to this browser's stored device ID
+   * @param {Object} [options]
+   * @param {boolean} [options.persist] - Save the session for the next page load (false for share-link viewers)
    */
-  async authenticateDevice(deviceId = null) {
+  async authenticateDevice(deviceId = null, { persist = true } = {}) {
     if (!this.isInitialized && !this.offlineMode) await this.init();
 
     if (this.offlineMode) {
@@ -136,6 +345,7 @@ class NakamaService {
         expire_time: expireTime,
         isexpired: () => false
       };
+      if (persist) this.persistSession();
       console.log('[NakamaService] ✅ Offline mode – local session');
       return this.session;
     }
@@ -148,6 +358,8 @@ class NakamaService {
 
     try {
       this.session = await this.client.authenticateDevice(deviceId);
+      if (persist) this.persistSession();
+      this.scheduleSessionRefresh();
       console.log('[NakamaService] ✅ Device authenticated:', {
         userId: this.session.user_id,
         username: this.session.username || 'Anonymous Device',
@@ -183,6 +395,8 @@ class NakamaService {
       
       // Nakama JS SDK signature: authenticateEmail(email, password, create, username, vars)
       this.session = await this.client.authenticateEmail(email, password, create, username);
+      this.persistSession();
+      this.scheduleSessionRefresh();
       console.log('[NakamaService] ✅ User authenticated:', {
         userId: this.session.user_id,
         username: this.session.username,
@@ -208,14 +422,310 @@ class NakamaService {
   }
 
   /**
-   * Check if user is authenticated
+   * Upgrade the current device session to an email account without losing its cloud data.
+   * Signing up links the email to the device user (same user ID, nothing to move).
+   * Logging in to an existing account copies the device's projects and session analytics
+   * into it (see utils/account-link.js).
+   * @param {string} email - User email
+   * @param {string} password - User password
+   * @param {boolean} create - Whether to create a new account (true) or login (false)
+   * @param {string} username - Optional username (only used when creating account)
+   * @returns {Promise<{ session: Object, summary: Object }>} summary: { linked } when the device user became
+   *   the account, else { projectsAdded, projectsUpdated, fieldsKept, analyticsProjects, sessionsAdded,
+   *   sharedSnapshots, projects } where projects is the account's merged board (null if nothing moved)
+   */
+  async linkDeviceToEmail(email, password, create = false, username = null) {
+    if (!this.isInitialized && !this.offlineMode) await this.init();
+    if (this.offlineMode) return { session: await this.authenticateEmail(email, password, create, username), summary: null };
+    if (!this.isAuthenticated()) throw new Error('No device session to link. Continue on this device first.');
+
+    if (create) {
+      try {
+        await this.withSession(session => this.client.linkEmail(session, { email, password }));
+        if (username) await this.withSession(session => this.client.updateAccount(session, { username }));
+      } catch (error) {
+        if (error.status === 409) throw new Error('That email already has an account. Use Login to move this device\'s data into it.');
+        if (error.message) throw error;
+        throw new Error(`Could not link this device (HTTP ${error.status})`);
+      }
+      const session = await this.authenticateEmail(email, password, false);
+      console.log('[NakamaService] ✅ Device linked to email account:', session.user_id);
+      return { session, summary: { linked: true } };
+    }
+
+    const deviceUserId = this.session.user_id;
+    const deviceProjects = toProjectArray(await this.loadProjectsPayload());
+    const deviceAnalytics = (await this.listAllStorageObjects(COLLECTION_SESSION_ANALYTICS))
+      .map(o => parseStorageValue(o.value));
+    const sharedSnapshots = (await this.listAllStorageObjects(COLLECTION_SHARED_BOARDS))
+      .filter(o => parseStorageValue(o.value)?.parts !== undefined).length;
+
+    const session = await this.authenticateEmail(email, password, false);
+    if (session.user_id === deviceUserId) return { session, summary: { linked: true } };
+    // Versions seen so far belong to the device user's objects
+    this.objectVersions.clear();
+
+    const summary = {
+      linked: false,
+      projectsAdded: 0,
+      projectsUpdated: 0,
+      fieldsKept: 0,
+      analyticsProjects: 0,
+      sessionsAdded: 0,
+      sharedSnapshots,
+      projects: null
+    };
+
+    if (deviceProjects.length > 0) {
+      const accountProjects = toProjectArray(await this.loadProjectsPayload());
+      // Slots where the account has a real project; its default projects give way to the device's
+      const accountById = new Map(accountProjects.filter(p => !isPlaceholderProject(p)).map(p => [p.id, p]));
+      // The account is the "local" side, so its values win field conflicts
+      const { projects, conflicts } = mergeProjects(null, accountProjects, deviceProjects);
+      summary.projectsAdded = deviceProjects.filter(p => !isPlaceholderProject(p) && !accountById.has(p.id)).length;
+      summary.projectsUpdated = projects.filter(p =>
+        accountById.has(p.id) && JSON.stringify(p) !== JSON.stringify(accountById.get(p.id))
+      ).length;
+      summary.fieldsKept = conflicts.length;
+      // Writes are diffed against the base; it has to describe the account's board, not this browser's last sync
+      saveBaseSnapshot(accountProjects);
+      await this.saveProjects(projects);
+      localStorage.setItem('zhong_projects', JSON.stringify(projects));
+      localStorage.setItem('zhong_projects_version', Date.now().toString());
+      summary.projects = projects;
+    }
+
+    for (const device of deviceAnalytics) {
+      if (!device?.projectCode || device.movedTo) continue;
+      const [existing] = await this.readOwnStorageObjects(COLLECTION_SESSION_ANALYTICS, [device.projectCode]);
+      const { value, sessionsAdded } = mergeDeviceAnalytics(existing ? parseStorageValue(existing.value) : null, device);
+      if (sessionsAdded === 0 && existing) continue;
+      await this.saveSessionAnalytics(device.projectCode, value);
+      summary.analyticsProjects++;
+      summary.sessionsAdded += sessionsAdded;
+    }
+
+    console.log('[NakamaService] ✅ Device data moved to email account:', {
+      from: deviceUserId,
+      to: session.user_id,
+      projectsAdded: summary.projectsAdded,
+      projectsUpdated: summary.projectsUpdated,
+      analyticsProjects: summary.analyticsProjects
+    });
+    return { session, summary };
+  }
+
+  /**
+   * Sign-in providers available in this build (e.g. GitHub), shown next to email login
+   * @returns {Array<{ id, label }>}
+   */
+  getAuthProviders() {
+    if (this.offlineMode) return [];
+    if (!this.authProviders) this.authProviders = defaultAuthProviders();
+    return this.authProviders;
+  }
+
+  /**
+   * Sign in with a provider. Resolves to null when the browser is being redirected to the
+   * provider; the sign-in then finishes in completeProviderRedirect() on the next page load.
+   * @param {string} providerId
+   */
+  async authenticateWithProvider(providerId) {
+    if (!this.isInitialized && !this.offlineMode) await this.init();
+    const provider = this.getAuthProviders().find(p => p.id === providerId);
+    if (!provider) throw new Error(`Sign-in with ${providerId} is not configured.`);
+    const identity = await provider.signIn();
+    return identity ? this.authenticateCustom(identity) : null;
+  }
+
+  /**
+   * Finish a provider sign-in after its redirect back to the app, if one is pending
+   * @returns {Promise<Object|null>} The session, or null if no sign-in was pending
+   */
+  async completeProviderRedirect() {
+    if (!this.isInitialized && !this.offlineMode) await this.init();
+    for (const provider of this.getAuthProviders()) {
+      if (typeof provider.completeRedirect !== 'function') continue;
+      const identity = await provider.completeRedirect(window.location);
+      if (identity) return this.authenticateCustom(identity);
+    }
+    return null;
+  }
+
+  /**
+   * Sign in (creating the account on first use) with a provider identity via Nakama custom ID auth
+   * @param {{ customId: string, username?: string, displayName?: string }} identity
+   */
+  async authenticateCustom({ customId, username, displayName }) {
+    if (!this.isInitialized && !this.offlineMode) await this.init();
+    if (this.offlineMode) throw new Error('Cloud sync is not configured, so provider sign-in is unavailable.');
+
+    try {
+      try {
+        this.session = await this.client.authenticateCustom(customId, true, username || undefined);
+      } catch (error) {
+        // The provider's username is taken by another account: let Nakama pick one
+        if (error.status !== 409 || !username) throw error;
+        this.session = await this.client.authenticateCustom(customId, true);
+      }
+      this.persistSession();
+      this.scheduleSessionRefresh();
+      if (this.session.created && displayName) {
+        await this.updateDisplayName(displayName).catch(error => {
+          console.warn('[NakamaService] Could not set display name:', error);
+        });
+      }
+      console.log('[NakamaService] ✅ Provider sign-in:', {
+        userId: this.session.user_id,
+        username: this.session.username,
+        created: this.session.created
+      });
+      return this.session;
+    } catch (error) {
+      console.error('[NakamaService] ❌ Provider sign-in failed:', error);
+      if (error.message) throw new Error(error.message);
+      throw new Error(`Sign-in failed (HTTP ${error.status})`);
+    }
+  }
+
+  /**
+   * Restore a session saved in localStorage (plain JSON) as an SDK Session.
+   * Refreshes it right away if the token is expired or about to expire.
+   * @param {Object} saved - Parsed `zhong_session` value
+   * @returns {Promise<boolean>} Whether a usable session was restored
+   */
+  async restoreSession(saved) {
+    if (!this.isInitialized && !this.offlineMode) await this.init();
+    if (this.offlineMode || !saved?.token) return false;
+
+    try {
+      this.session = this.Session.restore(saved.token, saved.refresh_token);
+    } catch (error) {
+      console.warn('[NakamaService] Saved session is not valid:', error);
+      this.session = null;
+      return false;
+    }
+    if (!this.isAuthenticated()) {
+      this.session = null;
+      return false;
+    }
+
+    try {
+      await this.ensureFreshSession();
+    } catch (error) {
+      // Offline: keep the session; writes queue in the outbox until the refresh succeeds
+      console.warn('[NakamaService] Could not refresh restored session yet:', error);
+    }
+    this.scheduleSessionRefresh();
+    return this.isAuthenticated();
+  }
+
+  /**
+   * Save the session tokens so the session survives a reload
+   */
+  persistSession() {
+    if (!this.session) return;
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+      token: this.session.token,
+      refresh_token: this.session.refresh_token,
+      user_id: this.session.user_id,
+      username: this.session.username,
+      expires_at: this.session.expires_at,
+      refresh_expires_at: this.session.refresh_expires_at
+    }));
+  }
+
+  /**
+   * Renew the session token with the refresh token.
+   * Concurrent callers share one request. If the server rejects the refresh token,
+   * the user is logged out and SESSION_EXPIRED_EVENT is dispatched.
+   */
+  async refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        try {
+          await this.client.sessionRefresh(this.session);
+          this.persistSession();
+          this.scheduleSessionRefresh();
+          console.log('[NakamaService] 🔄 Session refreshed:', {
+            expiresAt: new Date(this.session.expires_at * 1000).toLocaleString()
+          });
+        } catch (error) {
+          if (isUnauthorized(error)) {
+            this.expireSession();
+            throw new Error('Session expired. Please login again.');
+          }
+          throw error;
+        } finally {
+          this.refreshPromise = null;
+        }
+      })();
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Refresh the session if its token expires within SESSION_REFRESH_AHEAD_MS
+   */
+  async ensureFreshSession() {
+    if (this.offlineMode || !this.session?.refresh_token) return;
+    if (this.session.isexpired((Date.now() + SESSION_REFRESH_AHEAD_MS) / 1000)) {
+      await this.refreshSession();
+    }
+  }
+
+  /**
+   * Arm a timer that refreshes the session SESSION_REFRESH_AHEAD_MS before it expires
+   */
+  scheduleSessionRefresh() {
+    if (this.sessionRefreshTimer) clearTimeout(this.sessionRefreshTimer);
+    this.sessionRefreshTimer = null;
+    if (this.offlineMode || !this.session?.refresh_token || !this.session.expires_at) return;
+
+    const delay = this.session.expires_at * 1000 - Date.now() - SESSION_REFRESH_AHEAD_MS;
+    this.sessionRefreshTimer = setTimeout(() => {
+      this.refreshSession().catch(error => {
+        console.warn('[NakamaService] Scheduled session refresh failed:', error);
+      });
+    }, Math.min(Math.max(0, delay), MAX_TIMER_MS));
+  }
+
+  /**
+   * Run a client call with the current session. A 401 refreshes the session and retries once.
+   * @param {Function} call - `(session) => Promise`
+   */
+  async withSession(call) {
+    await this.ensureFreshSession();
+    try {
+      return await call(this.session);
+    } catch (error) {
+      if (!isUnauthorized(error) || !this.session?.refresh_token) throw error;
+      console.warn('[NakamaService] Request unauthorized, refreshing session and retrying');
+      await this.refreshSession();
+      return call(this.session);
+    }
+  }
+
+  /**
+   * Log out because the refresh token is no longer accepted, and tell the app
+   */
+  expireSession() {
+    console.warn('[NakamaService] Refresh token rejected – logging out');
+    this.logout();
+    window.dispatchEvent(new CustomEvent(SESSION_EXPIRED_EVENT));
+  }
+
+  /**
+   * Check if user is authenticated.
+   * An expired token still counts while its refresh token is valid, since it is renewed on the next call.
    */
   isAuthenticated() {
-    if (!this.session) return false;
+    if (!this.session || typeof this.session.isexpired !== 'function') return false;
     
     // Nakama session uses isexpired(currenttime) where currenttime is in seconds
     const currentTime = Math.floor(Date.now() / 1000);
-    return !this.session.isexpired(currentTime);
+    if (!this.session.isexpired(currentTime)) return true;
+    return !!this.session.refresh_token && !this.session.isrefreshexpired(currentTime);
   }
 
   /**
@@ -226,34 +736,241 @@ class NakamaService {
   }
 
   /**
-   * Load projects from Nakama storage
+   * List every object the user owns in a collection (follows the list cursor)
    */
-  async loadProjects() {
+  async listAllStorageObjects(collection) {
+    const objects = [];
+    let cursor;
+    do {
+      const page = await this.withSession(session => this.client.listStorageObjects(
+        session, collection, session.user_id, STORAGE_BATCH_SIZE, cursor
+      ));
+      objects.push(...(page.objects || []));
+      this.trackVersions(page.objects);
+      cursor = page.cursor;
+    } while (cursor);
+    await this.decryptObjects(collection, objects);
+    return objects;
+  }
+
+  /**
+   * Read storage objects by key for the current user, in batches
+   */
+  async readOwnStorageObjects(collection, keys) {
+    return this.readStorageObjectIds(collection, keys.map(key => ({ key, userId: this.session.user_id })));
+  }
+
+  /**
+   * Read storage objects owned by any user, in batches
+   * @param {string} collection
+   * @param {Array<{ key: string, userId: string }>} ids
+   */
+  async readStorageObjectIds(collection, ids) {
+    const objects = [];
+    for (let i = 0; i < ids.length; i += STORAGE_BATCH_SIZE) {
+      const result = await this.withSession(session => this.client.readStorageObjects(session, {
+        object_ids: ids.slice(i, i + STORAGE_BATCH_SIZE).map(({ key, userId }) => ({
+          collection,
+          key,
+          user_id: userId
+        }))
+      }));
+      objects.push(...(result.objects || []));
+      this.trackVersions(result.objects);
+    }
+    await this.decryptObjects(collection, objects);
+    return objects;
+  }
+
+  /**
+   * Write storage objects (owner read/write only unless a write sets permissionRead),
+   * batched to stay under the request size limit.
+   * Every write is conditional on the version last seen for that object (or create-only if
+   * never seen); if another device wrote in between, throws an error with code REMOTE_CHANGED.
+   * Throws before writing anything if a single object is too large to ever be accepted.
+   * Values are encrypted first when encryption is on (see encryptForWrite), unless `plain` is set.
+   * With `atomic`, throws before writing anything if the writes do not fit in one request,
+   * so they are applied all together or not at all.
+   */
+  async writeOwnStorageObjects(writes, { atomic = false, plain = false } = {}) {
+    const encoded = [];
+    for (const w of writes) encoded.push({ ...w, value: plain ? w.value : await this.encryptForWrite(w.collection, w.value) });
+    const sized = encoded.map(w => ({ ...w, bytes: storageValueBytes(w.value) }));
+    const oversize = sized.filter(w => w.bytes > CLOUD_MAX_OBJECT_BYTES);
+    if (oversize.length > 0) {
+      const error = new Error(
+        `Too large for cloud storage (limit ${Math.floor(CLOUD_MAX_OBJECT_BYTES / 1024)} KB): ` +
+        oversize.map(w => `${w.collection}/${w.key} (${Math.ceil(w.bytes / 1024)} KB)`).join(', ')
+      );
+      error.code = TOO_LARGE;
+      throw error;
+    }
+
+    const batches = [];
+    let batch = [];
+    let batchBytes = 0;
+    sized.forEach(w => {
+      if (batch.length > 0 && (batch.length >= STORAGE_BATCH_SIZE || batchBytes + w.bytes > CLOUD_MAX_OBJECT_BYTES)) {
+        batches.push(batch);
+        batch = [];
+        batchBytes = 0;
+      }
+      batch.push(w);
+      batchBytes += w.bytes;
+    });
+    if (batch.length > 0) batches.push(batch);
+    if (atomic && batches.length > 1) {
+      const error = new Error('Too large for cloud storage: these changes have to be saved in one request.');
+      error.code = TOO_LARGE;
+      throw error;
+    }
+
+    for (const objects of batches) {
+      try {
+        const result = await this.withSession(session => this.client.writeStorageObjects(session, objects.map(w => ({
+          collection: w.collection,
+          key: w.key,
+          value: JSON.parse(JSON.stringify(w.value)),
+          permission_read: w.permissionRead ?? PERMISSION_OWNER_READ,
+          permission_write: 1,
+          version: this.objectVersions.get(versionKey(w.collection, w.key)) || VERSION_CREATE_ONLY
+        }))));
+        this.trackVersions(result?.acks);
+      } catch (error) {
+        if (await isVersionConflict(error)) {
+          throw remoteChangedError(objects.map(w => versionKey(w.collection, w.key)));
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Load the projects payload from Nakama storage as `{ projects, _version }`.
+   * Each project lives in its own object with its history in separate pages.
+   * A save from before the split (one 'projects' object) is migrated on first load.
+   */
+  async loadProjectsPayload() {
     if (this.offlineMode) return null;
     if (!this.isAuthenticated()) {
       throw new Error('Not authenticated. Please login first.');
     }
 
-    try {
-      const objects = await this.client.readStorageObjects(this.session, {
-        objectIds: [{
-          collection: COLLECTION,
-          key: 'projects',
-          userId: this.session.user_id
-        }]
+    const stored = await this.listAllStorageObjects(COLLECTION);
+    const records = stored
+      .filter(o => isProjectKey(o.key))
+      .map(o => parseStorageValue(o.value));
+
+    if (records.length === 0) {
+      const legacy = stored.find(o => o.key === LEGACY_PROJECTS_KEY);
+      if (!legacy) return null; // No data stored yet
+      return this.migrateLegacyProjects(parseStorageValue(legacy.value));
+    }
+    // Projects removed from the board are kept as deleted records (see writeProjectObjects)
+    const live = records.filter(r => !r.deleted);
+
+    const pageKeys = live.flatMap(r =>
+      Array.from({ length: r.historyPages || 0 }, (_, page) => historyPageKey(r.id, page))
+    );
+    const pagesByKey = new Map(
+      (await this.readOwnStorageObjects(COLLECTION_HISTORY, pageKeys))
+        .map(o => [o.key, parseStorageValue(o.value)])
+    );
+
+    const projects = live
+      .map(r => joinProject(r, Array.from({ length: r.historyPages || 0 }, (_, page) =>
+        pagesByKey.get(historyPageKey(r.id, page))?.knots || []
+      )))
+      .sort((a, b) => a.id - b.id);
+    const lastSynced = Math.max(0, ...records.map(r => Date.parse(r._synced || '') || 0));
+
+    return {
+      projects,
+      _version: lastSynced ? lastSynced.toString() : undefined,
+      _synced: lastSynced ? new Date(lastSynced).toISOString() : undefined
+    };
+  }
+
+  /**
+   * Convert a single-object 'projects' save into per-project objects and remove the old object
+   */
+  async migrateLegacyProjects(legacyData) {
+    const projects = toProjectArray(legacyData);
+    console.log('[NakamaService] Migrating single-object projects save to per-project storage', {
+      projectCount: projects.length
+    });
+    const changedIds = await this.writeProjectObjects(projects, []);
+    this.publishProjectsChanged(changedIds);
+    await this.withSession(session => this.client.deleteStorageObjects(session, {
+      object_ids: [{
+        collection: COLLECTION,
+        key: LEGACY_PROJECTS_KEY,
+        version: this.objectVersions.get(versionKey(COLLECTION, LEGACY_PROJECTS_KEY))
+      }]
+    }));
+    this.objectVersions.delete(versionKey(COLLECTION, LEGACY_PROJECTS_KEY));
+    const synced = getPayloadVersion(legacyData);
+    return { projects, _version: synced || undefined };
+  }
+
+  /**
+   * Write the records and history pages that differ from `previous` (the last cloud state).
+   * Slots in `previous` that are no longer on the board get a deleted record, and history
+   * pages nothing points at any more are removed.
+   * @returns {Array} IDs of projects that had changes written
+   */
+  async writeProjectObjects(projects, previous) {
+    const previousById = new Map(toProjectArray(previous).map(p => [p.id, p]));
+    const syncedAt = new Date().toISOString();
+    const writes = [];
+    const changedIds = [];
+    const stalePageKeys = [];
+
+    projects.forEach(project => {
+      const { record, pages, stalePages } = diffProject(project, previousById.get(project.id));
+      stalePageKeys.push(...stalePages.map(page => historyPageKey(project.id, page)));
+      if (!record && pages.length === 0) return;
+      changedIds.push(project.id);
+      // Write the record even if only pages changed, so its page count and _synced stay current
+      const current = record || splitProject(project).record;
+      writes.push({ collection: COLLECTION, key: projectKey(project.id), value: { ...current, _synced: syncedAt } });
+      pages.forEach(({ page, knots }) => {
+        writes.push({ collection: COLLECTION_HISTORY, key: historyPageKey(project.id, page), value: { knots } });
       });
+    });
 
-      if (objects.objects && objects.objects.length > 0) {
-        const data = JSON.parse(objects.objects[0].value);
-        console.log('[NakamaService] Projects loaded from Nakama', {
-          projectCount: Array.isArray(data) ? data.length : (data.projects?.length || 0),
-          version: data._version || 'unknown'
-        });
-        // Return projects array if wrapped, or data as-is
-        return Array.isArray(data) ? data : (data.projects || data);
-      }
+    const boardIds = new Set(projects.map(p => p.id));
+    previousById.forEach((previousProject, id) => {
+      if (boardIds.has(id)) return;
+      changedIds.push(id);
+      writes.push({ collection: COLLECTION, key: projectKey(id), value: { ...deletedProjectRecord(id), _synced: syncedAt } });
+      stalePageKeys.push(...splitProject(previousProject).pages.map((_, page) => historyPageKey(id, page)));
+    });
 
-      return null; // No data stored yet
+    if (writes.length > 0) await this.writeOwnStorageObjects(writes);
+    if (stalePageKeys.length > 0) {
+      // Nothing reads these pages any more, so a failed cleanup only leaves garbage behind
+      await this.withSession(session => this.client.deleteStorageObjects(session, {
+        object_ids: stalePageKeys.map(key => ({ collection: COLLECTION_HISTORY, key }))
+      })).catch(error => console.warn('[NakamaService] Could not remove unused history pages:', error));
+      stalePageKeys.forEach(key => this.objectVersions.delete(versionKey(COLLECTION_HISTORY, key)));
+    }
+    return changedIds;
+  }
+
+  /**
+   * Load projects from Nakama storage
+   */
+  async loadProjects() {
+    try {
+      const data = await this.loadProjectsPayload();
+      if (!data) return null;
+
+      console.log('[NakamaService] Projects loaded from Nakama', {
+        projectCount: toProjectArray(data).length,
+        version: getPayloadVersion(data) || 'unknown'
+      });
+      return toProjectArray(data);
     } catch (error) {
       console.error('[NakamaService] Failed to load projects:', error);
       throw error;
@@ -261,100 +978,144 @@ class NakamaService {
   }
 
   /**
-   * Save projects to Nakama storage
+   * Save projects to Nakama storage. Only projects (and history pages) that changed
+   * since the last sync are written.
+   * Throws an error with code REMOTE_CHANGED if another device saved first; call
+   * syncProjects to re-read and merge. Other failures queue the save in the outbox for replay.
    */
   async saveProjects(projects) {
     if (this.offlineMode) return true;
+    const list = toProjectArray(projects);
     if (!this.isAuthenticated()) {
+      this.queueFailedWrite(OUTBOX_PROJECTS_KEY, 'projects', list, 'Not authenticated');
       throw new Error('Not authenticated. Please login first.');
     }
 
     try {
-      // Use slim payload (capped history, truncated strings) to avoid "request body too large" 400
-      const slim = slimProjectsForCloud(projects);
-      const projectsData = JSON.parse(JSON.stringify(slim));
-
-      await this.client.writeStorageObjects(this.session, [{
-        collection: COLLECTION,
-        key: 'projects',
-        value: projectsData,
-        permission_read: 1,
-        permission_write: 1
-      }]);
+      const changedIds = await this.writeProjectObjects(list, loadBaseSnapshot() || []);
+      // What the cloud now holds is the base for the next three-way merge
+      saveBaseSnapshot(list);
+      // Any queued projects save is superseded by this one
+      removeWrite(OUTBOX_PROJECTS_KEY);
+      if (changedIds.length > 0) this.publishProjectsChanged(changedIds);
 
       console.log('[NakamaService] Projects saved to Nakama', {
-        projectCount: projectsData.projects?.length ?? 0,
-        version: projectsData._version
+        projectCount: list.length,
+        changedProjects: changedIds.length
       });
       return true;
     } catch (error) {
+      if (error.code === REMOTE_CHANGED) {
+        console.warn('[NakamaService] Projects changed in the cloud since last read; save rejected');
+        throw error;
+      }
       console.error('[NakamaService] Failed to save projects:', error);
       logStorageErrorResponse(error);
+      if (shouldQueueFailedWrite(error)) {
+        this.queueFailedWrite(OUTBOX_PROJECTS_KEY, 'projects', list, error.message || `HTTP ${error.status}`);
+      }
       throw error;
     }
   }
 
   /**
-   * Sync: Load from Nakama, merge with local, save back
+   * Sync: Load from Nakama, three-way merge with local against the last synced base, save back.
+   * When the same field changed on both sides, nothing is written to the cloud and the
+   * conflicts are returned so the caller can resolve them.
+   * If another device saves between our read and write, the write is rejected by its version
+   * check; sync then re-reads, merges again and retries (up to MAX_SYNC_ATTEMPTS).
+   *
+   * @param {Array|Object} localProjects - Local projects (array or `{ projects, _version }`)
+   * @returns {Promise<{ projects: Array, conflicts: Array, remoteChanged: boolean, locked?: boolean }>} Merged projects,
+   *   unresolved conflicts (each also carries `localUpdatedAt` / `remoteUpdatedAt` in ms, or null),
+   *   whether a concurrent remote write forced a re-read, and whether sync stopped because the
+   *   cloud data is encrypted and not unlocked on this device
    */
   async syncProjects(localProjects) {
+    const localProjectsArray = toProjectArray(localProjects);
+    let remoteChanged = false;
     try {
-      // Load from Nakama
-      const remoteProjects = await this.loadProjects();
-      
-      if (!remoteProjects) {
-        // First time: save local to Nakama
-        const projectsToSave = Array.isArray(localProjects) 
-          ? { projects: localProjects, _version: Date.now().toString(), _synced: new Date().toISOString() }
-          : localProjects;
-        await this.saveProjects(projectsToSave);
-        return Array.isArray(localProjects) ? localProjects : (projectsToSave.projects || localProjects);
-      }
-
-      // Handle both array and object formats
-      const remoteProjectsArray = Array.isArray(remoteProjects) 
-        ? remoteProjects 
-        : (remoteProjects.projects || []);
-      const localProjectsArray = Array.isArray(localProjects) 
-        ? localProjects 
-        : (localProjects.projects || []);
-
-      // Merge strategy: Use most recent version (simple approach)
-      // You could implement more sophisticated merging here
-      const localVersion = localStorage.getItem('zhong_projects_version') || '0';
-      const remoteVersion = remoteProjects._version || remoteProjects._synced || '0';
-      
-      if (remoteVersion > localVersion) {
-        // Remote is newer, use it
-        localStorage.setItem('zhong_projects', JSON.stringify(remoteProjectsArray));
-        localStorage.setItem('zhong_projects_version', remoteVersion);
-        return remoteProjectsArray;
-      } else {
-        // Local is newer or same, save to remote
-        const projectsToSave = {
-          projects: localProjectsArray,
-          _version: Date.now().toString(),
-          _synced: new Date().toISOString()
-        };
-        await this.saveProjects(projectsToSave);
-        localStorage.setItem('zhong_projects_version', projectsToSave._version);
-        return localProjectsArray;
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const result = await this.mergeAndSaveProjects(localProjectsArray);
+          return { ...result, remoteChanged };
+        } catch (error) {
+          if (error.code !== REMOTE_CHANGED || attempt >= MAX_SYNC_ATTEMPTS) throw error;
+          remoteChanged = true;
+          console.warn(`[NakamaService] Remote changed during sync; re-reading and merging (attempt ${attempt + 1}/${MAX_SYNC_ATTEMPTS})`);
+        }
       }
     } catch (error) {
       console.error('[NakamaService] Sync failed:', error);
       logStorageErrorResponse(error);
-      // Return local on error (offline mode)
-      return Array.isArray(localProjects) ? localProjects : (localProjects.projects || localProjects);
+      // Return local on error (offline mode, or encrypted cloud data not unlocked yet)
+      return { projects: localProjectsArray, conflicts: [], remoteChanged, locked: error.code === ENCRYPTION_LOCKED };
+    }
+  }
+
+  /**
+   * One sync attempt: read, merge, and save if there are no conflicts
+   */
+  async mergeAndSaveProjects(localProjectsArray) {
+    const remotePayload = await this.loadProjectsPayload();
+
+    if (!remotePayload) {
+      // First time: save local to Nakama
+      await this.saveProjects(localProjectsArray);
+      return { projects: localProjectsArray, conflicts: [] };
+    }
+
+    const remoteProjectsArray = toProjectArray(remotePayload);
+
+    let base = loadBaseSnapshot();
+    if (!base) {
+      // No base yet (first sync on this device): treat the older side as the base,
+      // so the newer side wins without conflicts, as the old last-writer-wins sync did
+      const localVersion = localStorage.getItem('zhong_projects_version') || '0';
+      const remoteVersion = getPayloadVersion(remotePayload) || '0';
+      base = remoteVersion > localVersion ? localProjectsArray : remoteProjectsArray;
     }
+
+    const { projects, conflicts } = mergeProjects(base, localProjectsArray, remoteProjectsArray);
+    localStorage.setItem('zhong_projects', JSON.stringify(projects));
+
+    if (conflicts.length > 0) {
+      console.warn('[NakamaService] Sync found conflicting edits; cloud not updated', {
+        conflicts: conflicts.map(c => `${c.projectId}.${c.field}`)
+      });
+      // Timestamps of each side so the resolver can show which edit is newer
+      const localUpdatedAt = Number(localStorage.getItem('zhong_projects_version')) || null;
+      const remoteUpdatedAt = remotePayload._synced
+        ? Date.parse(remotePayload._synced)
+        : (Number(getPayloadVersion(remotePayload)) || null);
+      return {
+        projects,
+        conflicts: conflicts.map(c => ({ ...c, localUpdatedAt, remoteUpdatedAt }))
+      };
+    }
+
+    // The cloud now holds the remote snapshot: diff against it, so only what the merge
+    // changed is written (and announced), and an unchanged merge writes nothing
+    saveBaseSnapshot(remoteProjectsArray);
+    await this.saveProjects(projects);
+    localStorage.setItem('zhong_projects_version', Date.now().toString());
+    return { projects, conflicts: [] };
   }
 
   /**
    * Save session analytics for a project (prompts, token counts). Only used when email-authenticated.
+   * If another device saved the project in between, its sessions that the payload lacks (by session ID)
+   * are added before writing again (see mergeDeviceAnalytics).
    * @param {string} projectCode - e.g. '26Q1W01'
    * @param {Object} payload - { totalTokens, totalPrompts, sessionCount, sessions: [...], lastUpdated }
    */
   async saveSessionAnalytics(projectCode, payload) {
-    if (this.offlineMode || !this.isAuthenticated() || !projectCode || !payload) return false;
+    if (this.offlineMode || !projectCode || !payload) return false;
+    const collection = COLLECTION_SESSION_ANALYTICS;
+    if (!this.isAuthenticated()) {
+      this.queueFailedWrite(outboxAnalyticsKey(projectCode), 'sessionAnalytics', { projectCode, payload }, 'Not authenticated');
+      return false;
+    }
     try {
       const value = {
         projectCode,
@@ -364,38 +1125,40 @@ class NakamaService {
         sessions: payload.sessions ?? [],
         lastUpdated: payload.lastUpdated ?? new Date().toISOString()
       };
-      await this.client.writeStorageObjects(this.session, [{
-        collection: COLLECTION_SESSION_ANALYTICS,
-        key: projectCode,
-        value: JSON.parse(JSON.stringify(value)),
-        permission_read: 1,
-        permission_write: 1
-      }]);
+      const write = { collection, key: projectCode, value };
+      try {
+        await this.writeOwnStorageObjects([write]);
+      } catch (error) {
+        if (error.code !== REMOTE_CHANGED) throw error;
+        // Another device wrote in between: keep its sessions this one doesn't have, then write again
+        this.objectVersions.delete(versionKey(collection, projectCode));
+        const [current] = await this.readOwnStorageObjects(collection, [projectCode]);
+        const merged = current ? mergeDeviceAnalytics(value, parseStorageValue(current.value)).value : value;
+        await this.writeOwnStorageObjects([{ ...write, value: merged }]);
+      }
+      removeWrite(outboxAnalyticsKey(projectCode));
       return true;
     } catch (error) {
       console.error('[NakamaService] Failed to save session analytics:', error);
       logStorageErrorResponse(error);
+      if (shouldQueueFailedWrite(error)) {
+        this.queueFailedWrite(outboxAnalyticsKey(projectCode), 'sessionAnalytics', { projectCode, payload }, error.message || `HTTP ${error.status}`);
+      }
       return false;
     }
   }
 
   /**
-   * Load session analytics for a project (for showing token/prompt counts on dots).
+   * Load session analytics for a project (for showing token/prompt counts on dots)
    * @param {string} projectCode - e.g. '26Q1W01'
    * @returns {Object|null} { totalTokens, totalPrompts, sessionCount, sessions, lastUpdated } or null
    */
   async loadSessionAnalytics(projectCode) {
     if (this.offlineMode || !this.isAuthenticated() || !projectCode) return null;
     try {
-      const result = await this.client.readStorageObjects(this.session, {
-        objectIds: [{
-          collection: COLLECTION_SESSION_ANALYTICS,
-          key: projectCode,
-          userId: this.session.user_id
-        }]
-      });
-      if (result?.objects?.length > 0) {
-        return JSON.parse(result.objects[0].value);
+      const objects = await this.readOwnStorageObjects(COLLECTION_SESSION_ANALYTICS, [projectCode]);
+      if (objects.length > 0) {
+        return parseStorageValue(objects[0].value);
       }
       return null;
     } catch (error) {
@@ -404,12 +1167,523 @@ class NakamaService {
     }
   }
 
+  /**
+   * Move this user's session analytics stored under old project codes to a new code (after a
+   * code rename or merge). One request writes the sum of all of them to the new code and
+   * empties the old objects (`movedTo`), so the totals are never counted twice; the emptied
+   * objects are then deleted.
+   * @param {Array<string>} fromCodes - Codes to move away from
+   * @param {string} toCode - Code they move to
+   * @returns {Promise<boolean>} false if there is no cloud to update
+   * @throws If the write fails (nothing was changed then)
+   */
+  async rekeySessionAnalytics(fromCodes, toCode) {
+    if (this.offlineMode || !this.isAuthenticated()) return false;
+    const collection = COLLECTION_SESSION_ANALYTICS;
+    const objects = await this.readOwnStorageObjects(collection, [...new Set([toCode, ...fromCodes])]);
+    const sources = objects.filter(o => o.key !== toCode && !parseStorageValue(o.value)?.movedTo);
+    if (sources.length === 0) return true;
+
+    const lastUpdated = new Date().toISOString();
+    const combined = combineAnalytics(objects.map(o => parseStorageValue(o.value)));
+    await this.writeOwnStorageObjects([
+      { collection, key: toCode, value: { ...combined, projectCode: toCode, lastUpdated } },
+      ...sources.map(o => ({ collection, key: o.key, value: movedAnalytics(o.key, toCode, lastUpdated) }))
+    ], { atomic: true });
+
+    // The old objects are empty now, so a failed delete only leaves them behind
+    try {
+      await this.withSession(session => this.client.deleteStorageObjects(session, {
+        object_ids: sources.map(o => ({
+          collection,
+          key: o.key,
+          version: this.objectVersions.get(versionKey(collection, o.key))
+        }))
+      }));
+      sources.forEach(o => this.objectVersions.delete(versionKey(collection, o.key)));
+    } catch (error) {
+      console.warn('[NakamaService] Moved session analytics, but could not delete the old objects:', error);
+    }
+    console.log('[NakamaService] Session analytics moved', { from: sources.map(o => o.key), to: toCode });
+    return true;
+  }
+
+  /**
+   * Publish a public, read-only snapshot of the board (projects and per-project analytics totals).
+   * Republishing from the same board updates the same link.
+   * @param {Array} projects - Board projects
+   * @param {Object} statsByProjectCode - Session analytics per project code
+   * @returns {Promise<{ ownerId: string, shareId: string, publishedAt: string }>}
+   */
+  async publishBoardSnapshot(projects, statsByProjectCode) {
+    if (this.offlineMode) throw new Error('Cloud sync is not configured, so boards cannot be shared.');
+    if (!this.isAuthenticated()) throw new Error('Not authenticated. Please login first.');
+
+    const shareId = localStorage.getItem(SHARE_ID_KEY) || createShareId();
+
+    // Read the previous snapshot so the overwrite carries its versions
+    const [previous] = await this.readOwnStorageObjects(COLLECTION_SHARED_BOARDS, [shareId]);
+    const previousParts = previous ? parseStorageValue(previous.value).parts || 0 : 0;
+    if (previousParts > 0) {
+      await this.readOwnStorageObjects(
+        COLLECTION_SHARED_BOARDS,
+        Array.from({ length: previousParts }, (_, part) => sharePartKey(shareId, part))
+      );
+    }
+
+    const parts = snapshotParts(toProjectArray(projects));
+    const publishedAt = new Date().toISOString();
+    const publicWrite = (key, value) => ({
+      collection: COLLECTION_SHARED_BOARDS,
+      key,
+      value,
+      permissionRead: PERMISSION_PUBLIC_READ
+    });
+    await this.writeOwnStorageObjects([
+      ...parts.map((part, index) => publicWrite(sharePartKey(shareId, index), { projects: part })),
+      publicWrite(shareId, {
+        publishedAt,
+        parts: parts.length,
+        analytics: snapshotAnalytics(statsByProjectCode)
+      })
+    ]);
+    localStorage.setItem(SHARE_ID_KEY, shareId);
+
+    console.log('[NakamaService] ✅ Board snapshot published', { shareId, parts: parts.length });
+    return { ownerId: this.session.user_id, shareId, publishedAt };
+  }
+
+  /**
+   * Load a published snapshot for a share link. Viewers without an account get a
+   * device session that is not saved, so it never replaces their own login.
+   * @returns {Promise<{ publishedAt, projects: Array, analytics: Object }>}
+   */
+  async loadSharedSnapshot(ownerId, shareId) {
+    if (!this.isInitialized && !this.offlineMode) await this.init();
+    if (this.offlineMode) throw new Error('Cloud is not configured for this build, so shared boards cannot be loaded.');
+    if (!this.isAuthenticated()) await this.authenticateDevice(null, { persist: false });
+
+    const [manifest] = await this.readStorageObjectIds(COLLECTION_SHARED_BOARDS, [{ key: shareId, userId: ownerId }]);
+    if (!manifest) throw new Error('This share link is no longer available.');
+    const { publishedAt, parts = 0, analytics = {} } = parseStorageValue(manifest.value);
+
+    const partObjects = await this.readStorageObjectIds(
+      COLLECTION_SHARED_BOARDS,
+      Array.from({ length: parts }, (_, part) => ({ key: sharePartKey(shareId, part), userId: ownerId }))
+    );
+    const byKey = new Map(partObjects.map(o => [o.key, parseStorageValue(o.value)]));
+    const projects = Array.from({ length: parts }, (_, part) => byKey.get(sharePartKey(shareId, part))?.projects || [])
+      .flat()
+      .sort((a, b) => a.id - b.id);
+
+    return { publishedAt, projects, analytics };
+  }
+
+  /**
+   * Queue a failed write in the outbox and schedule a replay
+   */
+  queueFailedWrite(key, kind, payload, error) {
+    const entry = enqueueWrite({ key, kind, payload, error });
+    console.warn(`[NakamaService] Queued ${kind} write for retry (attempt ${entry.attempts})`, { key, error });
+    this.scheduleOutboxReplay();
+  }
+
+  /**
+   * Number of writes waiting in the outbox
+   */
+  getPendingWriteCount() {
+    return loadOutbox().length;
+  }
+
+  /**
+   * Arm a timer for the next due outbox entry
+   */
+  scheduleOutboxReplay() {
+    if (this.outboxTimer) clearTimeout(this.outboxTimer);
+    this.outboxTimer = null;
+    const delay = msUntilNextWrite();
+    if (delay === null || this.offlineMode) return;
+    this.outboxTimer = setTimeout(() => this.replayOutbox(), delay);
+  }
+
+  /**
+   * Replay queued writes whose backoff has elapsed (or all of them with `force`).
+   * A queued projects save rejected because the cloud changed is dropped and a
+   * `needsSync` outbox event is dispatched, so the app merges its current projects instead.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Ignore backoff (connectivity or auth just came back)
+   * @returns {Promise<{ replayed: number, pending: number }>}
+   */
+  async replayOutbox({ force = false } = {}) {
+    if (this.offlineMode || this.replayingOutbox || !this.isAuthenticated()) {
+      return { replayed: 0, pending: this.getPendingWriteCount() };
+    }
+
+    this.replayingOutbox = true;
+    let replayed = 0;
+    try {
+      for (const entry of loadOutbox()) {
+        if (!force && entry.nextAttemptAt > Date.now()) continue;
+        if (entry.kind === 'projects') {
+          try {
+            await this.saveProjects(entry.payload);
+            replayed++;
+          } catch (error) {
+            if (error.code === REMOTE_CHANGED) removeWrite(entry.key, { needsSync: true });
+          }
+        } else if (entry.kind === 'sessionAnalytics') {
+          if (await this.saveSessionAnalytics(entry.payload.projectCode, entry.payload.payload)) replayed++;
+        } else {
+          removeWrite(entry.key);
+        }
+      }
+    } finally {
+      this.replayingOutbox = false;
+      this.scheduleOutboxReplay();
+    }
+
+    if (replayed > 0) console.log(`[NakamaService] ✅ Replayed ${replayed} queued write(s)`);
+    return { replayed, pending: this.getPendingWriteCount() };
+  }
+
+  /**
+   * Open the realtime socket and join this user's sync room, so saves from other
+   * devices arrive as PROJECTS_CHANGED_EVENT. Reconnects while wanted if the socket drops.
+   */
+  async connectRealtime() {
+    this.realtimeWanted = true;
+    if (this.offlineMode || this.socket || !this.isAuthenticated()) return;
+
+    const socket = this.client.createSocket(NAKAMA_CONFIG.scheme === 'https', false);
+    socket.onchannelmessage = (message) => this.handleChannelMessage(message);
+    socket.ondisconnect = () => {
+      if (this.socket !== socket) return;
+      console.warn('[NakamaService] Realtime socket disconnected');
+      this.socket = null;
+      this.syncChannel = null;
+      this.scheduleRealtimeReconnect();
+    };
+    this.socket = socket;
+
+    try {
+      await this.ensureFreshSession();
+      await socket.connect(this.session, false);
+      this.syncChannel = await socket.joinChat(syncRoomName(this.session.user_id), CHANNEL_TYPE_ROOM, false, true);
+      console.log('[NakamaService] ✅ Realtime sync connected');
+    } catch (error) {
+      console.warn('[NakamaService] Realtime connection failed:', error);
+      if (this.socket === socket) {
+        this.socket = null;
+        this.syncChannel = null;
+        socket.disconnect(false);
+        this.scheduleRealtimeReconnect();
+      }
+    }
+  }
+
+  /**
+   * Close the realtime socket and stop reconnecting
+   */
+  disconnectRealtime() {
+    this.realtimeWanted = false;
+    if (this.realtimeReconnectTimer) clearTimeout(this.realtimeReconnectTimer);
+    this.realtimeReconnectTimer = null;
+    const socket = this.socket;
+    this.socket = null;
+    this.syncChannel = null;
+    if (socket) socket.disconnect(false);
+  }
+
+  scheduleRealtimeReconnect() {
+    if (!this.realtimeWanted || this.realtimeReconnectTimer) return;
+    this.realtimeReconnectTimer = setTimeout(() => {
+      this.realtimeReconnectTimer = null;
+      if (this.realtimeWanted) this.connectRealtime();
+    }, REALTIME_RECONNECT_MS);
+  }
+
+  /**
+   * Tell the user's other open dashboards which projects were just saved
+   */
+  publishProjectsChanged(projectIds) {
+    if (!this.socket || !this.syncChannel || projectIds.length === 0) return;
+    this.socket.writeChatMessage(this.syncChannel.id, {
+      type: MESSAGE_PROJECTS_CHANGED,
+      clientId: this.clientId,
+      projectIds
+    }).catch(error => {
+      console.warn('[NakamaService] Failed to publish projects change:', error);
+    });
+  }
+
+  handleChannelMessage(message) {
+    if (!this.syncChannel || message.channel_id !== this.syncChannel.id) return;
+    const content = message.content || {};
+    if (content.type !== MESSAGE_PROJECTS_CHANGED || content.clientId === this.clientId) return;
+    console.log('[NakamaService] Projects changed on another device:', content.projectIds);
+    window.dispatchEvent(new CustomEvent(PROJECTS_CHANGED_EVENT, {
+      detail: { projectIds: Array.isArray(content.projectIds) ? content.projectIds : [] }
+    }));
+  }
+
+  /**
+   * Load whether the signed-in user has encryption on, with their key if it is remembered on this device
+   * @returns {Promise<{ userId, enabled, params, keyCheck, key }>}
+   */
+  async loadEncryption() {
+    const userId = this.session?.user_id;
+    if (this.encryption?.userId === userId) return this.encryption;
+
+    const [object] = await this.readOwnStorageObjects(COLLECTION_CRYPTO, [CRYPTO_KEY_OBJECT]);
+    const value = object ? parseStorageValue(object.value) : null;
+    const state = { userId, enabled: !!value, params: value?.params || null, keyCheck: value?.keyCheck || null, key: null };
+    const remembered = localStorage.getItem(rememberedKeyStorageKey(userId));
+    if (state.enabled && remembered) {
+      const key = await importKey(remembered).catch(() => null);
+      if (key && await verifyKey(key, state.keyCheck)) {
+        state.key = key;
+      } else {
+        // The passphrase was changed elsewhere (encryption turned off and on again)
+        localStorage.removeItem(rememberedKeyStorageKey(userId));
+      }
+    }
+    this.encryption = state;
+    return state;
+  }
+
+  /**
+   * @returns {Promise<{ enabled: boolean, unlocked: boolean }>}
+   */
+  async getEncryptionStatus() {
+    const { enabled, key } = await this.loadEncryption();
+    return { enabled, unlocked: !!key };
+  }
+
+  /**
+   * Value to store for a write: encrypted for ENCRYPTED_COLLECTIONS when encryption is on.
+   * Throws ENCRYPTION_LOCKED rather than writing plain text when the key isn't unlocked.
+   */
+  async encryptForWrite(collection, value) {
+    if (!ENCRYPTED_COLLECTIONS.includes(collection)) return value;
+    const { enabled, key } = await this.loadEncryption();
+    if (!enabled) return value;
+    if (!key) throw encryptionLockedError();
+    return encryptValue(key, value);
+  }
+
+  /**
+   * Replace encrypted values of objects just read with their plain values (in place).
+   * Plain values (saved before encryption was turned on) are left as they are.
+   */
+  async decryptObjects(collection, objects) {
+    if (!ENCRYPTED_COLLECTIONS.includes(collection)) return;
+    const encrypted = objects.filter(o => isEncryptedValue(parseStorageValue(o.value)));
+    if (encrypted.length === 0) return;
+    const { key } = await this.loadEncryption();
+    if (!key) throw encryptionLockedError();
+    for (const o of encrypted) {
+      try {
+        o.value = await decryptValue(key, parseStorageValue(o.value));
+      } catch {
+        throw new Error(`Could not decrypt ${collection}/${o.key}: it was encrypted with another key or has been altered.`);
+      }
+    }
+  }
+
+  /**
+   * Write every object of the encrypted collections again, so they are stored as encryption
+   * currently says (or in plain text with `plain`)
+   * @param {Object} [options]
+   * @param {boolean} [options.plain] - Write plain values even though encryption is still on
+   * @returns {Promise<number>} Number of objects rewritten
+   */
+  async rewriteEncryptedCollections({ plain = false } = {}) {
+    let count = 0;
+    for (const collection of ENCRYPTED_COLLECTIONS) {
+      const objects = await this.listAllStorageObjects(collection);
+      if (objects.length === 0) continue;
+      await this.writeOwnStorageObjects(objects.map(o => ({
+        collection,
+        key: o.key,
+        value: parseStorageValue(o.value),
+        permissionRead: PERMISSION_OWNER_READ
+      })), { plain });
+      count += objects.length;
+    }
+    return count;
+  }
+
+  /**
+   * Turn on encryption: derive a key from the passphrase, store its parameters and key check,
+   * and re-save the personal board and analytics encrypted.
+   * @param {string} passphrase - At least 8 characters. It can't be recovered: without it the cloud data is unreadable.
+   * @param {Object} [options]
+   * @param {boolean} [options.remember] - Keep the key on this device so the passphrase isn't asked again.
+   *   The raw key is then stored in localStorage (see rememberedKeyStorageKey), readable by any script on this origin.
+   */
+  async enableEncryption(passphrase, { remember = false } = {}) {
+    if (!this.isAuthenticated()) throw new Error('Not authenticated. Please login first.');
+    if (!passphrase || passphrase.length < 8) throw new Error('Use a passphrase of at least 8 characters.');
+    const state = await this.loadEncryption();
+    if (state.enabled) throw new Error('Encryption is already on. Unlock it with your passphrase instead.');
+
+    const params = createKeyParams();
+    const key = await deriveKey(passphrase, params, remember);
+    const keyCheck = await createKeyCheck(key);
+    await this.writeOwnStorageObjects([{
+      collection: COLLECTION_CRYPTO,
+      key: CRYPTO_KEY_OBJECT,
+      value: { params, keyCheck },
+      permissionRead: PERMISSION_OWNER_READ
+    }]);
+    this.encryption = { ...state, enabled: true, params, keyCheck, key };
+    if (remember) localStorage.setItem(rememberedKeyStorageKey(state.userId), await exportKey(key));
+
+    const rewritten = await this.rewriteEncryptedCollections();
+    console.log('[NakamaService] 🔒 Encryption enabled', { objectsEncrypted: rewritten });
+    return { rewritten };
+  }
+
+  /**
+   * Enter the passphrase on this device. Throws WRONG_PASSPHRASE if it doesn't match the stored key check.
+   * @param {string} passphrase
+   * @param {Object} [options]
+   * @param {boolean} [options.remember] - Keep the key on this device (stored raw in localStorage, see rememberedKeyStorageKey)
+   */
+  async unlockEncryption(passphrase, { remember = false } = {}) {
+    const state = await this.loadEncryption();
+    if (!state.enabled) throw new Error('Encryption is not turned on for this account.');
+    const key = await deriveKey(passphrase || '', state.params, remember);
+    if (!await verifyKey(key, state.keyCheck)) {
+      const error = new Error('Wrong passphrase – it does not match the key your cloud data is encrypted with.');
+      error.code = WRONG_PASSPHRASE;
+      throw error;
+    }
+    state.key = key;
+    if (remember) localStorage.setItem(rememberedKeyStorageKey(state.userId), await exportKey(key));
+    console.log('[NakamaService] 🔓 Encryption unlocked');
+  }
+
+  /**
+   * Forget the key on this device (the passphrase is asked again before cloud data can be read)
+   */
+  lockEncryption() {
+    if (this.encryption) this.encryption.key = null;
+    if (this.session) localStorage.removeItem(rememberedKeyStorageKey(this.session.user_id));
+  }
+
+  /**
+   * Turn off encryption: re-save everything in plain text and remove the key parameters.
+   * Must be unlocked first. Encryption stays on (with its key) until both succeeded, so a
+   * failed rewrite can be retried; objects already re-saved in plain text still read fine.
+   */
+  async disableEncryption() {
+    const state = await this.loadEncryption();
+    if (!state.enabled) return;
+    if (!state.key) throw encryptionLockedError();
+
+    await this.rewriteEncryptedCollections({ plain: true });
+    await this.withSession(session => this.client.deleteStorageObjects(session, {
+      object_ids: [{
+        collection: COLLECTION_CRYPTO,
+        key: CRYPTO_KEY_OBJECT,
+        version: this.objectVersions.get(versionKey(COLLECTION_CRYPTO, CRYPTO_KEY_OBJECT))
+      }]
+    }));
+    this.objectVersions.delete(versionKey(COLLECTION_CRYPTO, CRYPTO_KEY_OBJECT));
+    localStorage.removeItem(rememberedKeyStorageKey(state.userId));
+    this.encryption = { ...state, enabled: false, params: null, keyCheck: null, key: null };
+    console.log('[NakamaService] Encryption disabled');
+  }
+
+  /**
+   * Account details for the account panel
+   * @returns {Promise<{ userId, username, displayName, email, devices: Array<{ id, isCurrent }> }>}
+   */
+  async getAccount() {
+    if (!this.isAuthenticated()) throw new Error('Not authenticated. Please login first.');
+    const account = await this.withSession(session => this.client.getAccount(session));
+    const currentDeviceId = localStorage.getItem('zhong_device_id');
+    return {
+      userId: account.user?.id,
+      username: account.user?.username || '',
+      displayName: account.user?.display_name || '',
+      email: account.email || null,
+      devices: (account.devices || []).map(d => ({ id: d.id, isCurrent: d.id === currentDeviceId }))
+    };
+  }
+
+  async updateDisplayName(displayName) {
+    await this.withSession(session => this.client.updateAccount(session, { display_name: displayName }));
+  }
+
+  /**
+   * Change the email login's password. The current password is checked first.
+   * Nakama has no separate change-password call: linking the same email again sets the new password.
+   */
+  async changePassword(currentPassword, newPassword) {
+    const { email } = await this.getAccount();
+    if (!email) throw new Error('This account has no email login.');
+    try {
+      await this.client.authenticateEmail(email, currentPassword, false);
+    } catch (error) {
+      // 400 when the password is too short to be valid at all
+      if (error.status === 401 || error.status === 400) throw new Error('Current password is incorrect.');
+      throw error;
+    }
+    try {
+      await this.withSession(session => this.client.linkEmail(session, { email, password: newPassword }));
+    } catch (error) {
+      if (error.status === 400) throw new Error('New password must be at least 8 characters long.');
+      throw error;
+    }
+    console.log('[NakamaService] ✅ Password changed');
+  }
+
+  /**
+   * Remove a device login from the account, so that device starts a separate device session
+   */
+  async unlinkDevice(deviceId) {
+    await this.withSession(session => this.client.unlinkDevice(session, { id: deviceId }));
+    console.log('[NakamaService] Device unlinked:', deviceId);
+  }
+
+  /**
+   * Sign out on the server as well as locally.
+   * A normal sign-out revokes this session's tokens (best effort: an unreachable server still signs out here).
+   * With `everywhere`, every session of the account is revoked, on all devices; if that fails nothing is signed out.
+   * @param {Object} [options]
+   * @param {boolean} [options.everywhere]
+   */
+  async signOut({ everywhere = false } = {}) {
+    if (!this.offlineMode && this.session?.token) {
+      try {
+        // Empty tokens make Nakama drop every session of the user
+        await this.withSession(session => (everywhere
+          ? this.client.sessionLogout(session, '', '')
+          : this.client.sessionLogout(session, session.token, session.refresh_token)));
+      } catch (error) {
+        if (everywhere) throw new Error(error.message || `Could not sign out other sessions (HTTP ${error.status})`);
+        console.warn('[NakamaService] Server sign-out failed, signing out locally:', error);
+      }
+    }
+    // A remembered encryption key doesn't outlive signing out
+    this.lockEncryption();
+    this.logout();
+  }
+
   /**
    * Logout
    */
   logout() {
+    this.disconnectRealtime();
     this.session = null;
-    localStorage.removeItem('zhong_session');
+    this.encryption = null;
+    this.objectVersions.clear();
+    if (this.sessionRefreshTimer) clearTimeout(this.sessionRefreshTimer);
+    this.sessionRefreshTimer = null;
+    localStorage.removeItem(SESSION_STORAGE_KEY);
     console.log('[NakamaService] Logged out');
   }
 }
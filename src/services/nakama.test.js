@@ -0,0 +1,326 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { NakamaService, REMOTE_CHANGED, ENCRYPTION_LOCKED, WRONG_PASSPHRASE } from './nakama';
+import { LocalNakamaClient } from './local-nakama';
+import { createProject, resizeBoard, moveProject, slotCount } from '../data/projects';
+import { applyRollover } from '../utils/quarter-rollover';
+import { renameProjectCode, mergeProjectInto } from '../utils/project-rename';
+
+const EMAIL = 'sync@example.com';
+const PASSWORD = 'correct-horse';
+const DATE = new Date('2026-01-05T10:00:00.000Z');
+
+/** localStorage for one device */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    get length() { return items.size; },
+    key: index => [...items.keys()][index] ?? null,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+/**
+ * A device signed in to the shared server: its own localStorage and NakamaService.
+ * Devices take turns, so each call swaps in the device's localStorage for its duration.
+ * Signs in to the shared email account unless given another way to authenticate.
+ */
+async function signInDevice(client, authenticate = s => s.authenticateEmail(EMAIL, PASSWORD, true)) {
+  const storage = memoryStorage();
+  const service = new NakamaService({ client });
+  const run = async (call) => {
+    globalThis.localStorage = storage;
+    return call(service);
+  };
+  await run(authenticate);
+  return {
+    service,
+    run,
+    sync: async (projects) => (await run(s => s.syncProjects(projects))).projects
+  };
+}
+
+/** Default board, the same on every device */
+const board = (ringCount) => Array.from({ length: slotCount(ringCount) }, (_, id) => createProject(id, id, DATE));
+
+describe('NakamaService sync between devices', () => {
+  let client;
+  let devices;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    client = new LocalNakamaClient();
+    devices = [];
+  });
+
+  afterEach(async () => {
+    for (const d of devices) await d.run(s => s.logout());
+    vi.restoreAllMocks();
+    delete globalThis.localStorage;
+  });
+
+  const twoDevices = async () => {
+    devices = [await signInDevice(client), await signInDevice(client)];
+    return devices;
+  };
+
+  /** Project records as stored in the cloud, by key */
+  const cloudRecords = async (d) => Object.fromEntries(
+    (await d.run(s => s.listAllStorageObjects('zhong_projects')))
+      .map(o => [o.key, typeof o.value === 'string' ? JSON.parse(o.value) : o.value])
+  );
+
+  it('keeps projects removed by shrinking the board from coming back', async () => {
+    const [a, b] = await twoDevices();
+    await a.sync(board(2));
+    const onB = await b.sync(board(2));
+    expect(onB.length).toBe(19);
+
+    const small = await a.sync(resizeBoard(board(2), 1));
+    expect(small.length).toBe(7);
+
+    // The other device still has the large board, unchanged since its last sync
+    expect((await b.sync(onB)).map(p => p.id)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    const records = await cloudRecords(a);
+    expect(records.project_12).toMatchObject({ id: 12, deleted: true });
+    expect(records.project_6.deleted).toBeUndefined();
+  });
+
+  it('removes history pages that nothing points at any more', async () => {
+    const [a] = await twoDevices();
+    const knot = { version: 'v1', date: '2026-01-05', commit: '', repo: '', timestamp: null, description: 'first' };
+    const withHistory = board(1).map(p => (p.id === 3 ? { ...p, history: [knot] } : p));
+    await a.sync(withHistory);
+    const pageKeys = async () => (await a.run(s => s.listAllStorageObjects('zhong_project_history'))).map(o => o.key);
+    expect(await pageKeys()).toEqual(['3_0']);
+
+    await a.sync(board(1));
+    expect(await pageKeys()).toEqual([]);
+  });
+
+  it('keeps projects with their own Worldlines when one device swaps them and the other edits', async () => {
+    const [a, b] = await twoDevices();
+    const start = board(1).map(p => (p.id === 1 ? { ...p, name: 'Alpha', status: 'Active' } : p.id === 2 ? { ...p, name: 'Beta', status: 'Active' } : p));
+    await a.sync(start);
+    const onB = await b.sync(start);
+
+    await a.sync(moveProject(start, 1, 2, DATE));
+    const knot = { version: 'alpha-1', date: '2026-01-06', commit: '', repo: '', timestamp: '2026-01-06T09:00:00.000Z', description: 'Alpha work' };
+    const merged = await b.sync(onB.map(p => (p.name === 'Alpha' ? { ...p, history: [knot, ...p.history] } : p)));
+    const onA = await a.sync((await a.run(() => JSON.parse(localStorage.getItem('zhong_projects')))));
+
+    for (const projects of [merged, onA]) {
+      const alpha = projects.find(p => p.name === 'Alpha');
+      const beta = projects.find(p => p.name === 'Beta');
+      expect([alpha.id, beta.id]).toEqual([2, 1]);
+      expect(alpha.history.map(k => k.description)).toEqual(['Alpha work', expect.stringMatching(/^Moved from slot 1/)]);
+      expect(beta.history.map(k => k.description)).toEqual([expect.stringMatching(/^Moved from slot 2/)]);
+    }
+  });
+
+  it('keeps a quarter reset when the other device syncs its old copy', async () => {
+    const [a, b] = await twoDevices();
+    const knot = { version: 'v1', date: '2026-01-06', commit: '', repo: '', timestamp: '2026-01-06T09:00:00.000Z', description: 'first' };
+    const worked = board(1).map(p => (p.id === 1 ? {
+      ...p,
+      name: 'Alpha',
+      status: 'Active',
+      history: [knot],
+      statusLog: [{ status: 'Active', at: '2026-01-06T09:00:00.000Z' }],
+      codeAliases: ['25Q4W01']
+    } : p));
+    await a.sync(worked);
+    const onB = await b.sync(worked);
+    expect(onB.find(p => p.id === 1).codeAliases).toEqual(['25Q4W01']);
+
+    await a.sync(applyRollover(worked, { 1: 'reset' }, { year: 26, quarter: 2, label: '26Q2' }));
+    const alpha = (await b.sync(onB)).find(p => p.id === 1);
+
+    expect(alpha).toMatchObject({ projectCode: '26Q2W01', status: 'Pending', history: [], statusLog: [], codeAliases: [] });
+  });
+
+  it('brings a code rename with its aliases to the other device', async () => {
+    const [a, b] = await twoDevices();
+    const start = board(1).map(p => (p.id === 1 ? { ...p, name: 'Alpha', status: 'Active' } : p));
+    await a.sync(start);
+    const onB = await b.sync(start);
+
+    const { projects } = renameProjectCode(start, 1, '26Q1W42', DATE);
+    await a.sync(projects);
+    const alpha = (await b.sync(onB)).find(p => p.id === 1);
+
+    expect(alpha).toMatchObject({ projectCode: '26Q1W42', codeAliases: [start[1].projectCode] });
+  });
+
+  it('keeps a merged-away project and its Worldline off the other device', async () => {
+    const [a, b] = await twoDevices();
+    const knot = { version: 'beta-1', date: '2026-01-06', commit: '', repo: '', timestamp: '2026-01-06T09:00:00.000Z', description: 'Beta work' };
+    const start = board(1).map(p => (p.id === 1 ? { ...p, name: 'Alpha', status: 'Active' }
+      : p.id === 2 ? { ...p, name: 'Beta', status: 'Active', history: [knot] } : p));
+    await a.sync(start);
+    const onB = await b.sync(start);
+
+    await a.sync(mergeProjectInto(start, 2, 1, DATE).projects);
+    const merged = await b.sync(onB);
+
+    expect(merged.filter(p => p.name === 'Beta')).toEqual([]);
+    expect(merged.find(p => p.id === 2).history).toEqual([]);
+    const alpha = merged.find(p => p.id === 1);
+    expect(alpha.codeAliases).toEqual([start[2].projectCode]);
+    expect(alpha.history.map(k => k.description)).toContain('Beta work');
+  });
+
+  it('merges edits made on both devices after a rejected write', async () => {
+    const [a, b] = await twoDevices();
+    await a.sync(board(1));
+    const onB = await b.sync(board(1));
+    const edit = (projects, fields) => projects.map(p => (p.id === 1 ? { ...p, ...fields } : p));
+
+    const onA = await a.sync(edit(board(1), { name: 'From A' }));
+    // B's save is based on the project's older version, so the server refuses it
+    const fromB = edit(onB, { description: 'From B' });
+    await expect(b.run(s => s.saveProjects(fromB))).rejects.toMatchObject({ code: REMOTE_CHANGED });
+
+    expect((await b.sync(fromB))[1]).toMatchObject({ name: 'From A', description: 'From B' });
+    expect((await a.sync(onA))[1]).toMatchObject({ name: 'From A', description: 'From B' });
+  });
+
+  it('keeps the sessions of both devices when they save analytics at the same time', async () => {
+    const [a, b] = await twoDevices();
+    const session = (id, totalTokens) => ({ id, totalTokens, startTime: '2026-01-05T10:00:00.000Z' });
+    const stats = (...sessions) => ({
+      totalTokens: sessions.reduce((sum, s) => sum + s.totalTokens, 0),
+      totalPrompts: sessions.length,
+      sessionCount: sessions.length,
+      sessions
+    });
+
+    // Neither device has read the object, so the second save is rejected and merged
+    await a.run(s => s.saveSessionAnalytics('26Q1W01', stats(session('a1', 100))));
+    expect(await b.run(s => s.saveSessionAnalytics('26Q1W01', stats(session('b1', 50))))).toBe(true);
+    // A's next save is based on its own stale version, with an updated session
+    await a.run(s => s.saveSessionAnalytics('26Q1W01', stats(session('a1', 120))));
+
+    const saved = await b.run(s => s.loadSessionAnalytics('26Q1W01'));
+    expect(saved.sessions.map(s => [s.id, s.totalTokens])).toEqual([['a1', 120], ['b1', 50]]);
+    expect(saved).toMatchObject({ totalTokens: 170, sessionCount: 2 });
+  });
+
+  it('moves session analytics to a new code without counting them twice', async () => {
+    const [a] = await twoDevices();
+    const stats = (totalTokens) => ({ totalTokens, totalPrompts: 1, sessionCount: 1, sessions: [] });
+    await a.run(s => s.saveSessionAnalytics('26Q1W01', stats(100)));
+    await a.run(s => s.saveSessionAnalytics('26Q1W02', stats(50)));
+    // The old objects are emptied in the same write, so totals add up even if the delete fails
+    vi.spyOn(client, 'deleteStorageObjects').mockRejectedValueOnce(new Error('offline'));
+
+    await a.run(s => s.rekeySessionAnalytics(['26Q1W01'], '26Q1W02'));
+
+    const total = async (code) => (await a.run(s => s.loadSessionAnalytics(code)))?.totalTokens;
+    expect([await total('26Q1W02'), await total('26Q1W01')]).toEqual([150, 0]);
+    await a.run(s => s.rekeySessionAnalytics(['26Q1W01'], '26Q1W02'));
+    expect(await total('26Q1W02')).toBe(150);
+  });
+
+  it('moves a device\'s projects into an account that still has its default board', async () => {
+    const account = await signInDevice(client);
+    const device = await signInDevice(client, s => s.authenticateDevice());
+    devices = [account, device];
+    await account.sync(board(1));
+    const work = { name: 'Device work', status: 'Active', description: 'Important' };
+    await device.sync(board(1).map(p => (p.id === 3 ? { ...p, ...work } : p)));
+
+    const { summary } = await device.run(s => s.linkDeviceToEmail(EMAIL, PASSWORD, false));
+
+    expect(summary).toMatchObject({ projectsAdded: 1, projectsUpdated: 0, fieldsKept: 0 });
+    expect(summary.projects.find(p => p.id === 3)).toMatchObject(work);
+    expect((await account.sync(board(1))).find(p => p.id === 3)).toMatchObject(work);
+  });
+
+  it('writes nothing when a sync merges to what the cloud already holds', async () => {
+    const [a, b] = await twoDevices();
+    await a.sync(board(1));
+    const write = vi.spyOn(client, 'writeStorageObjects');
+    await b.sync(board(1));
+    await a.sync(board(1));
+    expect(write).not.toHaveBeenCalled();
+  });
+});
+
+describe('NakamaService encryption', () => {
+  const PASSPHRASE = 'long enough passphrase';
+  let client;
+  let devices;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    client = new LocalNakamaClient();
+    devices = [];
+  });
+
+  afterEach(async () => {
+    for (const d of devices) await d.run(s => s.logout());
+    vi.restoreAllMocks();
+    delete globalThis.localStorage;
+  });
+
+  /** Project values as the server stores them (not decrypted) */
+  const storedValues = async (d) => (await d.run(s => client.listStorageObjects(s.session, 'zhong_projects', s.session.user_id)))
+    .objects.map(o => (typeof o.value === 'string' ? JSON.parse(o.value) : o.value));
+  const rememberedKeys = (d) => d.run(() => Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+    .filter(key => key.startsWith('zhong_crypto_key_')));
+
+  it('re-saves the board encrypted and keeps the key off the device unless asked to', async () => {
+    const a = await signInDevice(client);
+    devices = [a];
+    await a.sync(board(1));
+
+    expect(await a.run(s => s.enableEncryption(PASSPHRASE))).toEqual({ rewritten: 7 });
+
+    const stored = await storedValues(a);
+    expect(stored).toHaveLength(7);
+    expect(stored.every(v => v._enc === 1 && !('name' in v))).toBe(true);
+    expect(await rememberedKeys(a)).toEqual([]);
+    expect((await a.sync(board(1))).map(p => p.name)).toEqual(board(1).map(p => p.name));
+  });
+
+  it('asks another device for the passphrase and refuses a wrong one', async () => {
+    const a = await signInDevice(client);
+    const b = await signInDevice(client);
+    devices = [a, b];
+    const named = board(1).map(p => (p.id === 2 ? { ...p, name: 'Secret work' } : p));
+    await a.sync(named);
+    await a.run(s => s.enableEncryption(PASSPHRASE));
+
+    expect(await b.run(s => s.getEncryptionStatus())).toEqual({ enabled: true, unlocked: false });
+    expect(await b.run(s => s.syncProjects(board(1)))).toMatchObject({ locked: true });
+    await expect(b.run(s => s.saveProjects(board(1)))).rejects.toMatchObject({ code: ENCRYPTION_LOCKED });
+    await expect(b.run(s => s.unlockEncryption('wrong passphrase'))).rejects.toMatchObject({ code: WRONG_PASSPHRASE });
+    expect(await b.run(s => s.getEncryptionStatus())).toEqual({ enabled: true, unlocked: false });
+
+    await b.run(s => s.unlockEncryption(PASSPHRASE, { remember: true }));
+    expect((await b.sync(board(1))).find(p => p.id === 2).name).toBe('Secret work');
+    expect(await rememberedKeys(b)).toHaveLength(1);
+  });
+
+  it('stays encrypted with its key when turning encryption off fails part way', async () => {
+    const a = await signInDevice(client);
+    devices = [a];
+    await a.sync(board(1));
+    await a.run(s => s.enableEncryption(PASSPHRASE));
+    vi.spyOn(client, 'writeStorageObjects').mockRejectedValueOnce(new Error('offline'));
+
+    await expect(a.run(s => s.disableEncryption())).rejects.toThrow('offline');
+    expect(await a.run(s => s.getEncryptionStatus())).toEqual({ enabled: true, unlocked: true });
+    expect((await storedValues(a)).every(v => v._enc === 1)).toBe(true);
+
+    await a.run(s => s.disableEncryption());
+    expect(await a.run(s => s.getEncryptionStatus())).toEqual({ enabled: false, unlocked: false });
+    expect((await storedValues(a)).map(v => v.name)).toEqual(board(1).map(p => p.name));
+  });
+});
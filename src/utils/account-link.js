@@ -0,0 +1,75 @@
+/**
+ * Account Link
+ *
+ * Helpers for moving a device session's cloud data into an email account.
+ *
+ * Signing up from a device session links the email to the device user, so the
+ * user ID (and everything stored under it) stays the same. Logging in to an
+ * existing account has a different user ID; then the device's projects and
+ * session analytics are copied into the account:
+ *
+ *   projects   merged into the account's board; the account's value wins when both
+ *              set a field differently, Worldline knots from both are kept, and a slot
+ *              the account never touched (still its default project) takes the device's project
+ *   analytics  device sessions not yet in the account are added to its totals
+ *
+ * Shared board snapshots stay published under the device user, so existing links keep working.
+ */
+
+/**
+ * Add a device's analytics for one project to the account's
+ *
+ * @param {Object|null} account - Account's analytics value ({ totalTokens, totalPrompts, sessionCount, sessions, lastUpdated })
+ * @param {Object} device - Device's analytics value
+ * @returns {{ value: Object, sessionsAdded: number }}
+ */
+export function mergeDeviceAnalytics(account, device) {
+  if (!account) {
+    return { value: device, sessionsAdded: (device.sessions || []).length };
+  }
+
+  const known = new Set((account.sessions || []).map(s => s.id));
+  const deviceSessions = device.sessions || [];
+  const added = deviceSessions.filter(s => !known.has(s.id));
+  if (added.length === 0) return { value: account, sessionsAdded: 0 };
+
+  // Prompt counts are only kept per project, so they are added only when no session is already in the account
+  const overlaps = added.length < deviceSessions.length;
+  return {
+    value: {
+      ...account,
+      totalTokens: (account.totalTokens || 0) + added.reduce((sum, s) => sum + (s.totalTokens || 0), 0),
+      totalPrompts: (account.totalPrompts || 0) + (overlaps ? 0 : device.totalPrompts || 0),
+      sessionCount: (account.sessionCount || 0) + added.length,
+      sessions: [...(account.sessions || []), ...added],
+      lastUpdated: [account.lastUpdated || '', device.lastUpdated || ''].sort().pop() || null
+    },
+    sessionsAdded: added.length
+  };
+}
+
+/**
+ * Human-readable lines for a link summary
+ *
+ * @param {Object} summary - As returned by nakamaService.linkDeviceToEmail
+ * @returns {Array<string>}
+ */
+export function describeLinkSummary(summary) {
+  if (summary.linked) {
+    return ['This device is now linked to the account. Everything saved from it stays with the account.'];
+  }
+
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const lines = [];
+  if (summary.projectsAdded > 0) lines.push(`${plural(summary.projectsAdded, 'project')} added to the account`);
+  if (summary.projectsUpdated > 0) lines.push(`${plural(summary.projectsUpdated, 'project')} merged with the account's copy`);
+  if (summary.fieldsKept > 0) lines.push(`${plural(summary.fieldsKept, 'field')} set differently on both – the account's value was kept`);
+  if (summary.analyticsProjects > 0) {
+    lines.push(`Session stats for ${plural(summary.analyticsProjects, 'project')} moved (${plural(summary.sessionsAdded, 'new session')})`);
+  }
+  if (summary.sharedSnapshots > 0) {
+    lines.push(`${plural(summary.sharedSnapshots, 'shared snapshot')} stay published from the device – existing links keep working`);
+  }
+  if (lines.length === 0) lines.push('This device had no cloud data to move.');
+  return lines;
+}
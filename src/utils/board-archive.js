@@ -0,0 +1,265 @@
+/**
+ * Board Archive
+ *
+ * Full backup of a Zhong board as a single JSON file: the projects (with their
+ * Worldline history), local Cursor sessions and token usage, the display theme
+ * and the cloud session analytics per project code.
+ *
+ *   {
+ *     format: 'zhong-board-archive',
+ *     schemaVersion: 1,
+ *     exportedAt: '2026-01-05T10:00:00.000Z',
+ *     dataSchema: { projects, sessions, tokenHistory },   // schema versions of the data (see schema-migrations)
+ *     data: {
+ *       projects: [...],                 // zhong_projects
+ *       sessions: [...],                 // cursor_sessions
+ *       tokenUsage: { entries, metadata },  // cursor_token_usage
+ *       theme: { name, swapBackgrounds, swapDots },
+ *       cloudAnalytics: { [projectCode]: { totalTokens, totalPrompts, sessionCount, sessions, lastUpdated } }
+ *     }
+ *   }
+ *
+ * Importing either replaces the board with the archive or merges the two:
+ *
+ *   replace  the archive's projects, sessions, token usage, theme and analytics are used as they are
+ *   merge    projects are merged by identity (the current board's value wins when both set a field
+ *            differently, Worldline knots from both are kept, and an untouched default project on
+ *            either side gives way to the other's real one); sessions, token entries and analytics
+ *            sessions not yet on the board are added; the current theme is kept
+ *
+ * Either way, older data in an archive is first upgraded with the same migrations as stored data.
+ *
+ * Usage:
+ *   import { createBoardArchive, parseBoardArchive, previewBoardImport, applyBoardImport } from './utils/board-archive';
+ *
+ *   const archive = parseBoardArchive(fileText);   // throws with a readable message if invalid
+ *   const preview = previewBoardImport(current, archive);
+ *   const next = applyBoardImport(current, archive, 'merge');
+ */
+
+import { mergeProjects, MERGE_FIELDS } from './project-merge';
+import { mergeDeviceAnalytics } from './account-link';
+import { isPlaceholderProject } from '../data/projects';
+import { migrate, currentSchemaVersion } from './schema-migrations';
+
+export const ARCHIVE_FORMAT = 'zhong-board-archive';
+
+/** Bump when the archive layout changes; older archives must still import */
+export const ARCHIVE_SCHEMA_VERSION = 1;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+function emptyTokenUsage() {
+  return { entries: [], metadata: { version: '1.0', created: new Date().toISOString() } };
+}
+
+/** Identity of a token entry: its entry ID, or its timestamp and size for entries logged without one */
+function tokenEntryKey(entry) {
+  return entry.metadata?.entryId || `${entry.timestamp}|${entry.tokensUsed}|${entry.project}`;
+}
+
+/**
+ * Build an archive of the current board
+ *
+ * @param {Object} board
+ * @param {Array} board.projects
+ * @param {Array} [board.sessions]
+ * @param {Object} [board.tokenUsage]
+ * @param {Object} [board.theme] - { name, swapBackgrounds, swapDots }
+ * @param {Object} [board.cloudAnalytics] - Analytics per project code
+ * @returns {Object} Archive (serialize with JSON.stringify)
+ */
+export function createBoardArchive({ projects, sessions = [], tokenUsage = null, theme = null, cloudAnalytics = {} }) {
+  return {
+    format: ARCHIVE_FORMAT,
+    schemaVersion: ARCHIVE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    dataSchema: {
+      projects: currentSchemaVersion('projects'),
+      sessions: currentSchemaVersion('sessions'),
+      tokenHistory: currentSchemaVersion('tokenHistory')
+    },
+    data: {
+      projects,
+      sessions,
+      tokenUsage: tokenUsage || emptyTokenUsage(),
+      theme,
+      cloudAnalytics
+    }
+  };
+}
+
+/**
+ * Suggested file name for an archive, e.g. zhong-board-2026-01-05.json
+ */
+export function archiveFileName(boardName = 'board', date = new Date()) {
+  const slug = boardName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'board';
+  return `zhong-${slug}-${date.toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Parse and validate an archive file
+ *
+ * @param {string} text - File contents
+ * @returns {Object} The archive, with missing optional parts filled in
+ * @throws {Error} With a message that says what is wrong with the file
+ */
+export function parseBoardArchive(text) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (!isPlainObject(archive) || archive.format !== ARCHIVE_FORMAT) {
+    throw new Error('This file is not a Zhong board archive.');
+  }
+  if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion < 1) {
+    throw new Error('The archive has no valid schema version.');
+  }
+  if (archive.schemaVersion > ARCHIVE_SCHEMA_VERSION) {
+    throw new Error(`The archive was made by a newer version of Zhong (schema ${archive.schemaVersion}; this version reads up to ${ARCHIVE_SCHEMA_VERSION}).`);
+  }
+
+  const data = archive.data;
+  if (!isPlainObject(data)) throw new Error('The archive has no data.');
+  if (!Array.isArray(data.projects)) throw new Error('The archive has no projects list.');
+  data.projects.forEach((p, i) => {
+    if (!isPlainObject(p) || p.id === undefined || p.id === null) {
+      throw new Error(`Project ${i + 1} in the archive has no ID.`);
+    }
+    if (p.history !== undefined && !Array.isArray(p.history)) {
+      throw new Error(`Project "${p.name || p.id}" has an invalid Worldline history.`);
+    }
+  });
+  if (new Set(data.projects.map(p => p.id)).size !== data.projects.length) {
+    throw new Error('The archive lists the same project ID more than once.');
+  }
+
+  const sessions = data.sessions ?? [];
+  if (!Array.isArray(sessions) || sessions.some(s => !isPlainObject(s) || !s.id)) {
+    throw new Error('The archive\'s sessions are invalid (each needs an ID).');
+  }
+  const tokenUsage = data.tokenUsage ?? emptyTokenUsage();
+  if (!isPlainObject(tokenUsage) || !Array.isArray(tokenUsage.entries)) {
+    throw new Error('The archive\'s token usage is invalid.');
+  }
+  const cloudAnalytics = data.cloudAnalytics ?? {};
+  if (!isPlainObject(cloudAnalytics) || Object.values(cloudAnalytics).some(v => !isPlainObject(v))) {
+    throw new Error('The archive\'s cloud analytics are invalid.');
+  }
+  const theme = isPlainObject(data.theme) && typeof data.theme.name === 'string' ? data.theme : null;
+
+  // Archives without dataSchema predate it: their data is treated as unversioned
+  const dataSchema = isPlainObject(archive.dataSchema) ? archive.dataSchema : {};
+  const upgrade = (kind, value) => migrate(kind, value, Number(dataSchema[kind]) || 0).data;
+
+  return {
+    ...archive,
+    data: {
+      projects: upgrade('projects', data.projects),
+      sessions: upgrade('sessions', sessions),
+      tokenUsage: upgrade('tokenHistory', tokenUsage),
+      theme,
+      cloudAnalytics
+    }
+  };
+}
+
+function projectLabel(p) {
+  return p.name || `Project ${p.id}`;
+}
+
+function sameProject(a, b) {
+  return MERGE_FIELDS.every(f => (a[f] ?? null) === (b[f] ?? null)) &&
+    JSON.stringify(a.history || []) === JSON.stringify(b.history || []);
+}
+
+/**
+ * What an import would change, for both modes
+ *
+ * @param {Object} current - Current board, same shape as archive.data
+ * @param {Object} archive - From parseBoardArchive()
+ * @returns {{
+ *   projects: { added: Array<string>, changed: Array<string>, missing: Array<string>, unchanged: number },
+ *   fieldsKept: number,
+ *   sessions: { added: number, total: number },
+ *   tokenEntries: { added: number, total: number },
+ *   analyticsProjects: number,
+ *   theme: { current: string|null, archived: string|null }
+ * }}
+ *   `missing` are projects on the board but not in the archive (removed by replace, kept by merge);
+ *   `fieldsKept` counts fields a merge keeps from the current board instead of the archive.
+ */
+export function previewBoardImport(current, archive) {
+  const { data } = archive;
+  const currentById = new Map(current.projects.map(p => [p.id, p]));
+  const archivedIds = new Set(data.projects.map(p => p.id));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  data.projects.forEach(p => {
+    const existing = currentById.get(p.id);
+    // A slot still holding its default project takes the archived one as it is
+    if (!existing || (isPlaceholderProject(existing) && !isPlaceholderProject(p))) added.push(projectLabel(p));
+    else if (sameProject(existing, p)) unchanged++;
+    else changed.push(projectLabel(p));
+  });
+  const missing = current.projects.filter(p => !archivedIds.has(p.id)).map(projectLabel);
+
+  const knownSessions = new Set(current.sessions.map(s => s.id));
+  const knownEntries = new Set(current.tokenUsage.entries.map(tokenEntryKey));
+
+  return {
+    projects: { added, changed, missing, unchanged },
+    fieldsKept: mergeProjects(null, current.projects, data.projects).conflicts.length,
+    sessions: {
+      added: data.sessions.filter(s => !knownSessions.has(s.id)).length,
+      total: data.sessions.length
+    },
+    tokenEntries: {
+      added: data.tokenUsage.entries.filter(e => !knownEntries.has(tokenEntryKey(e))).length,
+      total: data.tokenUsage.entries.length
+    },
+    analyticsProjects: Object.keys(data.cloudAnalytics).length,
+    theme: { current: current.theme?.name || null, archived: data.theme?.name || null }
+  };
+}
+
+/**
+ * The board after importing an archive
+ *
+ * @param {Object} current - Current board, same shape as archive.data
+ * @param {Object} archive - From parseBoardArchive()
+ * @param {'replace'|'merge'} mode
+ * @returns {Object} New board, same shape as archive.data
+ */
+export function applyBoardImport(current, archive, mode) {
+  const { data } = archive;
+  if (mode === 'replace') {
+    return { ...data, theme: data.theme || current.theme };
+  }
+  if (mode !== 'merge') throw new Error(`Unknown import mode: ${mode}`);
+
+  const knownSessions = new Set(current.sessions.map(s => s.id));
+  const knownEntries = new Set(current.tokenUsage.entries.map(tokenEntryKey));
+  const entries = [
+    ...current.tokenUsage.entries,
+    ...data.tokenUsage.entries.filter(e => !knownEntries.has(tokenEntryKey(e)))
+  ].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+  const cloudAnalytics = { ...current.cloudAnalytics };
+  Object.entries(data.cloudAnalytics).forEach(([code, archived]) => {
+    cloudAnalytics[code] = mergeDeviceAnalytics(cloudAnalytics[code] || null, archived).value;
+  });
+
+  return {
+    projects: mergeProjects(null, current.projects, data.projects).projects,
+    sessions: [...current.sessions, ...data.sessions.filter(s => !knownSessions.has(s.id))],
+    tokenUsage: { ...current.tokenUsage, entries },
+    theme: current.theme,
+    cloudAnalytics
+  };
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { createBoardArchive, parseBoardArchive, previewBoardImport, applyBoardImport } from './board-archive';
+import { createProject } from '../data/projects';
+
+const DATE = new Date('2026-01-05T10:00:00.000Z');
+const defaultBoard = () => Array.from({ length: 7 }, (_, id) => createProject(id, id, DATE));
+const board = (projects) => ({ projects, sessions: [], tokenUsage: { entries: [] }, theme: null, cloudAnalytics: {} });
+const archiveOf = (projects) => parseBoardArchive(JSON.stringify(createBoardArchive({ projects })));
+
+describe('applyBoardImport merge', () => {
+  const knot = { version: 'v1', date: '2026-01-05', commit: '', repo: '', timestamp: '2026-01-05T10:00:00.000Z', description: 'first' };
+  const work = { name: 'Archived work', status: 'Active', description: 'Important', history: [knot] };
+  const archived = defaultBoard().map(p => (p.id === 3 ? { ...p, ...work } : p));
+
+  it('takes the archived projects into a default board', () => {
+    const archive = archiveOf(archived);
+
+    expect(previewBoardImport(board(defaultBoard()), archive)).toMatchObject({
+      projects: { added: ['Archived work'], changed: [] },
+      fieldsKept: 0
+    });
+    const { projects } = applyBoardImport(board(defaultBoard()), archive, 'merge');
+    expect(projects.find(p => p.id === 3)).toMatchObject(work);
+    expect(projects).toHaveLength(7);
+  });
+
+  it('keeps the board\'s real projects over the archive\'s default ones', () => {
+    const current = board(archived);
+    const { projects } = applyBoardImport(current, archiveOf(defaultBoard()), 'merge');
+    expect(projects.find(p => p.id === 3)).toMatchObject(work);
+  });
+
+  it('keeps the board\'s value when both changed a real project', () => {
+    const current = board(archived.map(p => (p.id === 3 ? { ...p, status: 'Paused' } : p)));
+    const archive = archiveOf(archived.map(p => (p.id === 3 ? { ...p, status: 'Done' } : p)));
+
+    expect(previewBoardImport(current, archive).fieldsKept).toBe(1);
+    expect(applyBoardImport(current, archive, 'merge').projects.find(p => p.id === 3).status).toBe('Paused');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Board Share
+ *
+ * Public, read-only snapshots of a board for people without an account.
+ * A snapshot is stored as publicly readable objects owned by the publisher:
+ *
+ *   zhong_shared_boards/<shareId>         { name, publishedAt, parts, analytics }
+ *   zhong_shared_boards/<shareId>_<part>  { projects }, projects split to fit the object size limit
+ *
+ * The share link carries the publisher's user ID and the share ID:
+ *   https://…/?share=<userId>.<shareId>
+ */
+
+import { toCloudProject, storageValueBytes, CLOUD_MAX_OBJECT_BYTES } from './cloud-projects';
+
+/** URL query parameter that opens the app as a read-only snapshot */
+export const SHARE_PARAM = 'share';
+
+/**
+ * Random share ID; hard to guess, so only people with the link find the snapshot
+ */
+export function createShareId() {
+  const bytes = new Uint8Array(12);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function sharePartKey(shareId, part) {
+  return `${shareId}_${part}`;
+}
+
+/**
+ * Link that opens a snapshot
+ */
+export function shareUrl(ownerId, shareId, location = window.location) {
+  return `${location.origin}${location.pathname}?${SHARE_PARAM}=${ownerId}.${shareId}`;
+}
+
+/**
+ * Read the share parameter from a query string
+ *
+ * @param {string} search - e.g. window.location.search
+ * @returns {{ ownerId: string, shareId: string }|null}
+ */
+export function parseShareParam(search) {
+  const value = new URLSearchParams(search).get(SHARE_PARAM);
+  if (!value) return null;
+  const dot = value.lastIndexOf('.');
+  if (dot <= 0 || dot === value.length - 1) return null;
+  return { ownerId: value.slice(0, dot), shareId: value.slice(dot + 1) };
+}
+
+/**
+ * Split projects into parts that each fit in one storage object
+ *
+ * @param {Array} projects - Board projects
+ * @returns {Array<Array<Object>>} Parts of cloud-shaped projects
+ */
+export function snapshotParts(projects) {
+  const parts = [];
+  let part = [];
+  let partBytes = 0;
+  projects.map(toCloudProject).forEach(project => {
+    const bytes = storageValueBytes(project);
+    if (part.length > 0 && partBytes + bytes > CLOUD_MAX_OBJECT_BYTES) {
+      parts.push(part);
+      part = [];
+      partBytes = 0;
+    }
+    part.push(project);
+    partBytes += bytes;
+  });
+  if (part.length > 0) parts.push(part);
+  return parts;
+}
+
+/**
+ * Per-project totals for a snapshot. Individual session details are left out.
+ *
+ * @param {Object} statsByProjectCode - { [projectCode]: { totalTokens, totalPrompts, sessionCount, lastUpdated } }
+ */
+export function snapshotAnalytics(statsByProjectCode = {}) {
+  const analytics = {};
+  Object.entries(statsByProjectCode).forEach(([code, stats]) => {
+    if (!stats) return;
+    analytics[code] = {
+      totalTokens: stats.totalTokens || 0,
+      totalPrompts: stats.totalPrompts || 0,
+      sessionCount: stats.sessionCount || 0,
+      lastUpdated: stats.lastUpdated || null
+    };
+  });
+  return analytics;
+}
@@ -0,0 +1,109 @@
+/**
+ * Cloud Crypto
+ *
+ * Client-side encryption of storage object values (WebCrypto, AES-GCM 256).
+ * The key is derived from a passphrase with PBKDF2-SHA-256; the salt and iteration
+ * count are stored next to the data so every device derives the same key.
+ *
+ * An encrypted value replaces the object's JSON value (storage values must be objects):
+ *   { _enc: 1, iv: <base64>, data: <base64 ciphertext of the JSON value> }
+ *
+ * A key check (a known value encrypted with the key) lets a wrong passphrase fail
+ * clearly instead of surfacing as unreadable data.
+ */
+
+/** Marker (and format version) of an encrypted value */
+const ENCRYPTED_MARKER = '_enc';
+const ENCRYPTION_FORMAT = 1;
+
+const PBKDF2_ITERATIONS = 310000;
+const KEY_CHECK_TEXT = 'zhong-key-check';
+
+function toBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * New key derivation parameters (random salt) for enabling encryption
+ */
+export function createKeyParams() {
+  return { salt: toBase64(crypto.getRandomValues(new Uint8Array(16))), iterations: PBKDF2_ITERATIONS };
+}
+
+/**
+ * Derive the AES-GCM key from a passphrase
+ *
+ * @param {string} passphrase
+ * @param {{ salt: string, iterations: number }} params - From createKeyParams()
+ * @param {boolean} [extractable] - Whether the key can be exported (to remember it on this device)
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveKey(passphrase, { salt, iterations }, extractable = false) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    extractable,
+    ['encrypt', 'decrypt']
+  );
+}
+
+export async function exportKey(key) {
+  return toBase64(await crypto.subtle.exportKey('raw', key));
+}
+
+export async function importKey(raw) {
+  return crypto.subtle.importKey('raw', fromBase64(raw), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+export function isEncryptedValue(value) {
+  return !!value && typeof value === 'object' && value[ENCRYPTED_MARKER] === ENCRYPTION_FORMAT;
+}
+
+/**
+ * Encrypt a JSON value
+ *
+ * @returns {Promise<{ _enc: number, iv: string, data: string }>}
+ */
+export async function encryptValue(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { [ENCRYPTED_MARKER]: ENCRYPTION_FORMAT, iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt a value from encryptValue(). Throws if the key is wrong or the data was altered.
+ */
+export async function decryptValue(key, envelope) {
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.data)
+  );
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+export function createKeyCheck(key) {
+  return encryptValue(key, { check: KEY_CHECK_TEXT });
+}
+
+/**
+ * Whether a key opens the stored key check (i.e. the passphrase was right)
+ */
+export async function verifyKey(key, keyCheck) {
+  try {
+    const value = await decryptValue(key, keyCheck);
+    return value?.check === KEY_CHECK_TEXT;
+  } catch {
+    return false;
+  }
+}
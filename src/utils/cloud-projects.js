@@ -0,0 +1,217 @@
+/**
+ * Cloud Project Layout
+ *
+ * Maps Zhong projects to Nakama storage objects and back.
+ * Each project is stored under its own key, and its Worldline history is
+ * paged into separate objects so no single write grows with the board:
+ *
+ *   zhong_projects/project_<id>          project fields + history page count
+ *   zhong_project_history/<id>_<page>    knots, oldest first, up to HISTORY_PAGE_MAX_BYTES per page
+ *
+ * Nothing is truncated. Pages are filled oldest first, so logging a new knot only
+ * rewrites the last page. A single knot or project too large for one request is
+ * reported by findCloudLimitIssues instead of being cut down.
+ */
+
+/** Storage key prefix for per-project objects */
+export const PROJECT_KEY_PREFIX = 'project_';
+
+/** Nakama's default socket.max_request_size_bytes; one storage object must fit in one request */
+export const CLOUD_MAX_REQUEST_BYTES = 256 * 1024;
+
+/** Room left in a request for the object envelope (collection, key, permissions) */
+const OBJECT_ENVELOPE_BYTES = 512;
+
+/** Largest storage object value that can be written */
+export const CLOUD_MAX_OBJECT_BYTES = CLOUD_MAX_REQUEST_BYTES - OBJECT_ENVELOPE_BYTES;
+
+/** Target size of a history page; a page holds at least one knot */
+export const HISTORY_PAGE_MAX_BYTES = 16 * 1024;
+
+const encoder = new TextEncoder();
+
+/**
+ * Size in bytes of a value as it is sent in a write request
+ * (nakama-js JSON-encodes the value, which is then embedded as a JSON string).
+ */
+export function storageValueBytes(value) {
+  return encoder.encode(JSON.stringify(JSON.stringify(value))).length;
+}
+
+export function projectKey(id) {
+  return `${PROJECT_KEY_PREFIX}${id}`;
+}
+
+export function historyPageKey(id, page) {
+  return `${id}_${page}`;
+}
+
+/**
+ * Whether a zhong_projects storage key holds a single project
+ */
+export function isProjectKey(key) {
+  return typeof key === 'string' && key.startsWith(PROJECT_KEY_PREFIX);
+}
+
+function cloudKnot(k) {
+  return {
+    version: k.version,
+    date: k.date,
+    commit: k.commit || '',
+    repo: k.repo || '',
+    timestamp: k.timestamp,
+    createdAt: k.createdAt,
+    description: k.description || ''
+  };
+}
+
+/**
+ * Normalize a project to exactly what the cloud stores, so local copies can be
+ * compared with the last synced snapshot.
+ *
+ * @param {Object} p - Project
+ * @returns {Object} Project as stored in the cloud (full history, full strings)
+ */
+export function toCloudProject(p) {
+  return {
+    id: p.id,
+    // Identity that survives moves between slots (see projectUid); stored only once a project has one
+    ...(p.uid ? { uid: p.uid } : {}),
+    name: p.name,
+    type: p.type,
+    status: p.status,
+    description: p.description || '',
+    projectCode: p.projectCode,
+    history: Array.isArray(p.history) ? p.history.map(cloudKnot) : [],
+    // Only projects with a status change carry a log, so older records stay the same
+    ...(Array.isArray(p.statusLog) && p.statusLog.length > 0 ? { statusLog: p.statusLog } : {}),
+    // Earlier codes after a rename or rollover, likewise only when there are any
+    ...(Array.isArray(p.codeAliases) && p.codeAliases.length > 0 ? { codeAliases: p.codeAliases } : {})
+  };
+}
+
+/**
+ * Page chronological knots so each page stays under HISTORY_PAGE_MAX_BYTES.
+ * Filling is deterministic from the oldest knot, so earlier pages never shift.
+ */
+function pageKnots(chronological) {
+  const pages = [];
+  let page = [];
+  let pageBytes = 0;
+  chronological.forEach(knot => {
+    const knotBytes = storageValueBytes(knot);
+    if (page.length > 0 && pageBytes + knotBytes > HISTORY_PAGE_MAX_BYTES) {
+      pages.push(page);
+      page = [];
+      pageBytes = 0;
+    }
+    page.push(knot);
+    pageBytes += knotBytes;
+  });
+  if (page.length > 0) pages.push(page);
+  return pages;
+}
+
+/**
+ * Split a project into its record and history pages
+ *
+ * @param {Object} project - Project (newest-first history)
+ * @returns {{ record: Object, pages: Array<Array<Object>> }}
+ */
+export function splitProject(project) {
+  const { history, ...fields } = toCloudProject(project);
+  const pages = pageKnots([...history].reverse());
+  return {
+    record: { ...fields, historyCount: history.length, historyPages: pages.length },
+    pages
+  };
+}
+
+/**
+ * Rebuild a project from its record and history pages
+ *
+ * @param {Object} record - Stored project record
+ * @param {Array<Array<Object>>} pages - History pages in page order
+ * @returns {Object} Project with newest-first history
+ */
+export function joinProject(record, pages = []) {
+  const fields = { ...record };
+  delete fields.historyCount;
+  delete fields.historyPages;
+  delete fields._synced;
+  const chronological = pages.flatMap(page => (Array.isArray(page) ? page : []));
+  return { ...fields, history: chronological.reverse() };
+}
+
+/**
+ * Record written in place of a project that left the board (e.g. when it shrinks).
+ * Deleting the object would not be enough: other devices still have the project in their
+ * base, so it would come back on the next sync.
+ *
+ * @param {number} id - Slot of the removed project
+ */
+export function deletedProjectRecord(id) {
+  return { id, deleted: true, historyCount: 0, historyPages: 0 };
+}
+
+/**
+ * Storage writes needed to bring the cloud from `previous` to `project`.
+ * `stalePages` are pages past the end of the new history, left over from a longer one.
+ * Unchanged records and pages are skipped.
+ *
+ * @param {Object} project - Project to save
+ * @param {Object|undefined} previous - Project as last written to the cloud
+ * @returns {{ record: Object|null, pages: Array<{ page: number, knots: Array }>, stalePages: Array<number> }}
+ */
+export function diffProject(project, previous) {
+  const next = splitProject(project);
+  const prev = previous ? splitProject(previous) : null;
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  return {
+    record: prev && same(next.record, prev.record) ? null : next.record,
+    pages: next.pages
+      .map((knots, page) => ({ page, knots }))
+      .filter(({ page, knots }) => !prev || !same(knots, prev.pages[page])),
+    stalePages: prev ? prev.pages.map((_, page) => page).filter(page => page >= next.pages.length) : []
+  };
+}
+
+/**
+ * Parts of a project that are too large to be written to the cloud in one request.
+ *
+ * @param {Object} project - Project to check
+ * @returns {Array<{ kind: 'project'|'knot', version?: string, bytes: number, limit: number }>}
+ */
+export function findCloudLimitIssues(project) {
+  const { record, pages } = splitProject(project);
+  const issues = [];
+  const recordBytes = storageValueBytes(record);
+  if (recordBytes > CLOUD_MAX_OBJECT_BYTES) {
+    issues.push({ kind: 'project', bytes: recordBytes, limit: CLOUD_MAX_OBJECT_BYTES });
+  }
+  pages.forEach(knots => {
+    const pageBytes = storageValueBytes({ knots });
+    if (pageBytes <= CLOUD_MAX_OBJECT_BYTES) return;
+    // An oversize page only happens when one of its knots is oversize by itself
+    knots.forEach(knot => {
+      const bytes = storageValueBytes({ knots: [knot] });
+      if (bytes > CLOUD_MAX_OBJECT_BYTES) {
+        issues.push({ kind: 'knot', version: knot.version, bytes, limit: CLOUD_MAX_OBJECT_BYTES });
+      }
+    });
+  });
+  return issues;
+}
+
+/**
+ * Human-readable warning for cloud limit issues, or null when there are none
+ */
+export function describeCloudLimitIssues(issues) {
+  if (!issues || issues.length === 0) return null;
+  const kb = (n) => `${Math.ceil(n / 1024)} KB`;
+  return issues.map(i => (i.kind === 'knot'
+    ? `Worldline knot ${i.version || ''} is ${kb(i.bytes)}, over the ${kb(i.limit)} cloud limit`
+    : `Project details are ${kb(i.bytes)}, over the ${kb(i.limit)} cloud limit`
+  )).join('; ');
+}
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { toCloudProject, splitProject, joinProject, diffProject } from './cloud-projects';
+
+const project = {
+  id: 4,
+  uid: 'p_1',
+  name: 'Alpha',
+  type: 'WEB',
+  status: 'Active',
+  description: 'd',
+  projectCode: '26Q1W04',
+  statusLog: [{ from: 'Pending', status: 'Active', at: '2026-01-10T00:00:00.000Z' }],
+  history: [{ version: 'v1', date: '10/01/2026', createdAt: '2026-01-10T09:00:00.000Z', timestamp: null, description: 'first' }]
+};
+
+describe('toCloudProject', () => {
+  it('keeps the identity, status log and knot creation times', () => {
+    const cloud = toCloudProject(project);
+    expect(cloud.uid).toBe('p_1');
+    expect(cloud.statusLog).toEqual(project.statusLog);
+    expect(cloud.history[0].createdAt).toBe('2026-01-10T09:00:00.000Z');
+  });
+
+  it('adds nothing for projects without them, so their records stay the same', () => {
+    const plain = { ...project, uid: undefined, statusLog: [], history: [{ version: 'v1', date: '1/10/2026', timestamp: null }] };
+    expect(Object.keys(toCloudProject(plain))).toEqual(['id', 'name', 'type', 'status', 'description', 'projectCode', 'history']);
+    expect(JSON.stringify(toCloudProject(plain).history[0])).not.toContain('createdAt');
+  });
+
+  it('survives a round trip through records and pages', () => {
+    const { record, pages } = splitProject(project);
+    expect(joinProject(record, pages)).toEqual(toCloudProject(project));
+    expect(diffProject(project, project)).toEqual({ record: null, pages: [], stalePages: [] });
+  });
+});
@@ -19,6 +19,8 @@
  *   const history = getTokenHistory();
  */
 
+import { loadMigratedFile, saveMigratedFile } from './schema-migrations.js';
+
 const TOKEN_LOG_FILE = 'cursor-token-usage.json';
 const MAX_ENTRIES = 10000; // Prevent unbounded growth
 
@@ -66,10 +68,8 @@ function loadHistory() {
       if (modules) {
         const { fs, path, os } = modules;
         const filePath = path.join(os.homedir(), '.cursor', TOKEN_LOG_FILE);
-        if (fs.existsSync(filePath)) {
-          const data = fs.readFileSync(filePath, 'utf8');
-          return JSON.parse(data);
-        }
+        const { data } = loadMigratedFile('tokenHistory', filePath, fs);
+        if (data) return data;
       }
     }
   } catch (error) {
@@ -123,7 +123,7 @@ function saveHistory(data) {
           fs.mkdirSync(dir, { recursive: true });
         }
         
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+        saveMigratedFile('tokenHistory', filePath, fs, data);
       }
     }
     
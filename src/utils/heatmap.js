@@ -0,0 +1,166 @@
+/**
+ * Heatmap Overlays
+ *
+ * Recolor and resize the hexes by one measure of where effort goes:
+ *
+ *   tokens     total tokens of the project's sessions
+ *   prompts    total prompts
+ *   hours      hours spent in sessions (start to end of each finished session)
+ *   staleness  days since the newest Worldline knot
+ *   status     the project's status, one color each
+ *
+ * Session measures come from the same per-projectCode analytics the dots show
+ * ({ totalTokens, totalPrompts, totalHours?, sessions? }). They vary over orders of
+ * magnitude, so they are colored on a log scale; days are linear.
+ *
+ * Usage:
+ *   import { buildOverlay } from './utils/heatmap';
+ *
+ *   const overlay = buildOverlay('tokens', projects, statsByProjectCode);
+ *   overlay.byId[5];      // { color, scale, label } or undefined for hexes left as they are
+ *   overlay.legend;       // { kind: 'scale', min, max, stops } or { kind: 'categories', items }
+ */
+
+import { isPlaceholderProject } from '../data/projects';
+
+export const OVERLAY_MODES = {
+  none: { label: 'Off' },
+  tokens: { label: 'Tokens', scale: 'log' },
+  prompts: { label: 'Prompts', scale: 'log' },
+  hours: { label: 'Session hours', scale: 'log' },
+  staleness: { label: 'Days since last knot', scale: 'linear' },
+  status: { label: 'Status' }
+};
+
+/** Low to high: cool blue through yellow to red */
+export const SCALE_STOPS = ['#2c7bb6', '#abd9e9', '#ffffbf', '#fdae61', '#d7191c'];
+
+export const STATUS_COLORS = {
+  'Active': '#ffd700',
+  'In Progress': '#2196f3',
+  'Completed': '#4caf50',
+  'Blocked': '#f44336',
+  'Paused': '#ff9800',
+  'Pending': '#9e9e9e'
+};
+
+/** Hexes with nothing to measure */
+export const NO_DATA_COLOR = 'rgba(128,128,128,0.35)';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/**
+ * Color at t (0..1) on the scale
+ */
+export function scaleColor(t) {
+  const clamped = Math.min(1, Math.max(0, t));
+  const position = clamped * (SCALE_STOPS.length - 1);
+  const i = Math.min(SCALE_STOPS.length - 2, Math.floor(position));
+  const a = hexToRgb(SCALE_STOPS[i]);
+  const b = hexToRgb(SCALE_STOPS[i + 1]);
+  const f = position - i;
+  const rgb = a.map((c, k) => Math.round(c + (b[k] - c) * f));
+  return `rgb(${rgb.join(',')})`;
+}
+
+/** Hours of the finished sessions in a list */
+export function sessionHours(sessions = []) {
+  return sessions.reduce((sum, s) => {
+    const start = Date.parse(s.startTime);
+    const end = Date.parse(s.endTime);
+    return Number.isFinite(start) && Number.isFinite(end) && end > start ? sum + (end - start) / 3600000 : sum;
+  }, 0);
+}
+
+/** When the newest Worldline knot was made, or null if there is none (or its date can't be read) */
+export function lastKnotTime(project) {
+  const knot = project.history?.[0];
+  if (!knot) return null;
+  const time = Date.parse(knot.timestamp || knot.date);
+  return Number.isFinite(time) ? time : null;
+}
+
+/** Compact label for a value on a dot */
+function formatValue(mode, value) {
+  if (mode === 'staleness') return `${value}d`;
+  if (mode === 'hours') return value >= 10 ? `${Math.round(value)}h` : `${value.toFixed(1)}h`;
+  if (value >= 1e6) return (value / 1e6).toFixed(1) + 'M';
+  if (value >= 1e3) return (value / 1e3).toFixed(1) + 'k';
+  return String(value);
+}
+
+/** Measured value of a project in a mode, or null when there is nothing to measure */
+function measure(mode, project, stats, now) {
+  if (mode === 'staleness') {
+    const time = lastKnotTime(project);
+    return time === null ? null : Math.max(0, Math.floor((now - time) / DAY_MS));
+  }
+  if (!stats) return null;
+  if (mode === 'tokens') return stats.totalTokens || 0;
+  if (mode === 'prompts') return stats.totalPrompts || 0;
+  if (mode === 'hours') return stats.totalHours ?? sessionHours(stats.sessions);
+  return null;
+}
+
+/**
+ * Colors, sizes and labels of the hexes for an overlay mode
+ *
+ * @param {string} mode - Key of OVERLAY_MODES
+ * @param {Array} projects
+ * @param {Object} statsByProjectCode - Session analytics per projectCode
+ * @param {number} [now] - Current time in ms (for staleness)
+ * @returns {{ byId: Object<number, { color: string, scale: number, label: string }>, legend: Object }|null}
+ *   null for mode 'none'. The Zhong center and untouched placeholders are not in byId.
+ *   scale is a size factor for the hex (0.75..1.15).
+ */
+export function buildOverlay(mode, projects, statsByProjectCode = {}, now = Date.now()) {
+  const config = OVERLAY_MODES[mode];
+  if (!config || mode === 'none') return null;
+  const measured = projects.filter(p => p.id !== 0 && !isPlaceholderProject(p));
+
+  if (mode === 'status') {
+    const byId = {};
+    measured.forEach(p => {
+      byId[p.id] = { color: STATUS_COLORS[p.status] || NO_DATA_COLOR, scale: 1, label: '' };
+    });
+    const items = Object.entries(STATUS_COLORS).map(([label, color]) => ({ label, color }));
+    return { byId, legend: { kind: 'categories', items } };
+  }
+
+  const values = new Map();
+  measured.forEach(p => {
+    const value = measure(mode, p, p.projectCode ? statsByProjectCode[p.projectCode] : null, now);
+    if (value !== null) values.set(p.id, value);
+  });
+  const max = Math.max(0, ...values.values());
+  const position = config.scale === 'log'
+    ? (v) => (max > 0 ? Math.log1p(v) / Math.log1p(max) : 0)
+    : (v) => (max > 0 ? v / max : 0);
+
+  const byId = {};
+  measured.forEach(p => {
+    if (!values.has(p.id)) {
+      byId[p.id] = { color: NO_DATA_COLOR, scale: 0.75, label: '' };
+      return;
+    }
+    const value = values.get(p.id);
+    const t = position(value);
+    byId[p.id] = { color: scaleColor(t), scale: 0.75 + 0.4 * t, label: formatValue(mode, value) };
+  });
+
+  return {
+    byId,
+    legend: {
+      kind: 'scale',
+      min: formatValue(mode, 0),
+      max: formatValue(mode, mode === 'hours' ? max : Math.round(max)),
+      stops: SCALE_STOPS,
+      logScale: config.scale === 'log'
+    }
+  };
+}
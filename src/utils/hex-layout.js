@@ -0,0 +1,98 @@
+/**
+ * Hex Layout
+ *
+ * Where each slot of the board sits and which side of the yin-yang it belongs to.
+ * Slot IDs are project IDs: slot 0 is the Zhong center, then the rings spiral
+ * outwards clockwise from the top (ring k holds 6k slots).
+ *
+ * The grid and the project detail panel both read the side from here, so they
+ * can't disagree about a slot.
+ *
+ * Usage:
+ *   import { layoutSlots, slotPositionType } from './utils/hex-layout';
+ *
+ *   layoutSlots(3, 60);          // [{ id, q, r, x, y, type }, ...] with x/y in pixels
+ *   slotPositionType(7, 3);      // 'YANG'
+ */
+
+/**
+ * Axial coordinates (q, r) of every slot, center first, then ring by ring
+ */
+export function generateSpiral(ringCount) {
+  const results = [{ q: 0, r: 0 }];
+  for (let k = 1; k <= ringCount; k++) {
+    let q = 0;
+    let r = -k;
+
+    for (let i = 0; i < k; i++) { q++; results.push({ q, r }); }      // Move Right
+    for (let i = 0; i < k; i++) { r++; results.push({ q, r }); }      // Move Down Right
+    for (let i = 0; i < k; i++) { q--; r++; results.push({ q, r }); } // Move Down Left
+    for (let i = 0; i < k; i++) { q--; results.push({ q, r }); }      // Move Left
+    for (let i = 0; i < k; i++) { r--; results.push({ q, r }); }      // Move Up Left
+    for (let i = 0; i < k; i++) { q++; r--; results.push({ q, r }); } // Move Up Right
+  }
+  return results;
+}
+
+/**
+ * Convert axial coordinates to a pixel position (pointy-top hexes, center at 0,0)
+ */
+export function hexToPixel(q, r, size = 1) {
+  return {
+    x: size * (Math.sqrt(3) * q + Math.sqrt(3) / 2 * r),
+    y: size * (3 / 2 * r)
+  };
+}
+
+/**
+ * YIN/YANG side of a slot from its position in the yin-yang figure (pixel position in hex units):
+ * the outer circle has radius R = (rings + 0.5)·√3, each side's head is a circle of radius R/2
+ * around (0, ∓R/2), and its eye (radius R/6) takes the other side. Slots on the S-curve go by x.
+ * For 3 rings this gives the original hand-placed layout (eyes at (1,-2) and (-1,2)).
+ *
+ * @returns {'ZHONG'|'YANG'|'YIN'}
+ */
+export function slotType(id, x, y, ringCount) {
+  if (id === 0) return 'ZHONG';
+  const R = (ringCount + 0.5) * Math.sqrt(3);
+  const toTopHead = Math.hypot(x, y + R / 2);
+  const toBottomHead = Math.hypot(x, y - R / 2);
+  if (toTopHead <= R / 6) return 'YIN';
+  if (toBottomHead <= R / 6) return 'YANG';
+  if (toTopHead < R / 2 - 0.5) return 'YANG';
+  if (toBottomHead < R / 2 - 0.5) return 'YIN';
+  if (x < -1e-9) return 'YANG';
+  if (x > 1e-9) return 'YIN';
+  return y < 0 ? 'YANG' : 'YIN';
+}
+
+/**
+ * Every slot of a board
+ *
+ * @param {number} ringCount
+ * @param {number} [hexSize] - Hex spacing in pixels (x/y are in hex units when omitted)
+ * @returns {Array<{ id: number, q: number, r: number, x: number, y: number, type: string }>}
+ */
+export function layoutSlots(ringCount, hexSize = 1) {
+  return generateSpiral(ringCount).map(({ q, r }, id) => {
+    const unit = hexToPixel(q, r);
+    return {
+      id,
+      q,
+      r,
+      x: unit.x * hexSize,
+      y: unit.y * hexSize,
+      type: slotType(id, unit.x, unit.y, ringCount)
+    };
+  });
+}
+
+/**
+ * Side of one slot, or null if the board has no such slot
+ */
+export function slotPositionType(id, ringCount) {
+  const coord = generateSpiral(ringCount)[id];
+  if (!coord) return null;
+  const { x, y } = hexToPixel(coord.q, coord.r);
+  return slotType(id, x, y, ringCount);
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { generateSpiral, layoutSlots, slotPositionType } from './hex-layout';
+
+/** Sides of slots 1-36 on the original hand-placed 3-ring board */
+const BASELINE_3_RINGS = [
+  'YANG', 'YIN', 'YIN', 'YIN', 'YANG', 'YANG',
+  'YIN', 'YANG', 'YIN', 'YIN', 'YIN', 'YIN', 'YANG', 'YIN', 'YANG', 'YANG', 'YANG', 'YANG',
+  'YANG', 'YANG', 'YIN', 'YIN', 'YIN', 'YIN', 'YIN', 'YIN', 'YIN', 'YIN', 'YIN', 'YANG',
+  'YANG', 'YANG', 'YANG', 'YANG', 'YANG', 'YANG'
+];
+
+describe('generateSpiral', () => {
+  it('has the center and 6k slots per ring', () => {
+    expect(generateSpiral(0)).toEqual([{ q: 0, r: 0 }]);
+    expect(generateSpiral(3)).toHaveLength(37);
+    expect(generateSpiral(3).slice(1, 3)).toEqual([{ q: 1, r: -1 }, { q: 1, r: 0 }]);
+  });
+});
+
+describe('slotPositionType', () => {
+  it('keeps the original 3-ring layout for every slot', () => {
+    expect(slotPositionType(0, 3)).toBe('ZHONG');
+    expect(Array.from({ length: 36 }, (_, i) => slotPositionType(i + 1, 3))).toEqual(BASELINE_3_RINGS);
+  });
+
+  it('puts the eyes on the other side of their heads', () => {
+    const slots = layoutSlots(3);
+    expect(slots.find(s => s.q === 1 && s.r === -2).type).toBe('YIN');
+    expect(slots.find(s => s.q === -1 && s.r === 2).type).toBe('YANG');
+  });
+
+  it('returns null for a slot the board does not have', () => {
+    expect(slotPositionType(37, 3)).toBeNull();
+  });
+
+  it.each([1, 2, 3, 4, 5])('balances yin and yang on a %i-ring board', ringCount => {
+    const slots = layoutSlots(ringCount);
+    const count = type => slots.filter(s => s.type === type).length;
+    expect(count('ZHONG')).toBe(1);
+    expect(count('YIN')).toBe(count('YANG'));
+    // Point symmetry: the slot opposite any slot is on the other side
+    slots.filter(s => s.id !== 0).forEach(s => {
+      const opposite = slots.find(o => o.q === -s.q && o.r === -s.r);
+      expect(opposite.type).not.toBe(s.type);
+    });
+  });
+});
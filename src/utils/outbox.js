@@ -0,0 +1,95 @@
+/**
+ * Outbox
+ *
+ * Persistent queue (localStorage) of cloud writes that failed, so they can be
+ * replayed once the network or the session comes back.
+ *
+ * Entries are keyed: queueing a write for a key that is already pending
+ * replaces its payload, so only the latest state per key is replayed
+ * (e.g. one 'projects' entry, one 'analytics:<projectCode>' entry per project).
+ *
+ * Entry shape:
+ *   { key, kind, payload, attempts, nextAttemptAt, lastError, queuedAt }
+ */
+
+const OUTBOX_KEY = 'zhong_outbox';
+
+/** Event dispatched on window whenever the outbox changes */
+export const OUTBOX_EVENT = 'zhong-outbox';
+
+const BACKOFF_BASE_MS = 5 * 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+/**
+ * Delay before retry number `attempts` (5s, 10s, 20s, ... capped at 5 minutes)
+ */
+export function backoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * Load pending outbox entries
+ */
+export function loadOutbox() {
+  try {
+    const raw = localStorage.getItem(OUTBOX_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveOutbox(entries, detail = {}) {
+  if (entries.length > 0) {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+  } else {
+    localStorage.removeItem(OUTBOX_KEY);
+  }
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(OUTBOX_EVENT, { detail: { pending: entries.length, ...detail } }));
+  }
+}
+
+/**
+ * Queue a failed write, replacing any pending entry with the same key
+ *
+ * @param {Object} write
+ * @param {string} write.key - Dedupe key (e.g. 'projects', 'analytics:26Q1W01')
+ * @param {string} write.kind - 'projects' | 'sessionAnalytics'
+ * @param {*} write.payload - Data to write on replay
+ * @param {string} [write.error] - Why the write failed
+ */
+export function enqueueWrite({ key, kind, payload, error }) {
+  const entries = loadOutbox();
+  const existing = entries.find(e => e.key === key);
+  const attempts = (existing?.attempts || 0) + 1;
+  const entry = {
+    key,
+    kind,
+    payload,
+    attempts,
+    nextAttemptAt: Date.now() + backoffDelay(attempts),
+    lastError: error || null,
+    queuedAt: existing?.queuedAt || new Date().toISOString()
+  };
+  saveOutbox([...entries.filter(e => e.key !== key), entry]);
+  return entry;
+}
+
+/**
+ * Remove a pending entry (written successfully or superseded)
+ */
+export function removeWrite(key, detail) {
+  const entries = loadOutbox();
+  if (!entries.some(e => e.key === key)) return;
+  saveOutbox(entries.filter(e => e.key !== key), detail);
+}
+
+/**
+ * Milliseconds until the next entry is due (0 if one is due now), or null if the outbox is empty
+ */
+export function msUntilNextWrite(now = Date.now()) {
+  const entries = loadOutbox();
+  if (entries.length === 0) return null;
+  return Math.max(0, Math.min(...entries.map(e => e.nextAttemptAt)) - now);
+}
@@ -0,0 +1,399 @@
+/**
+ * Project Merge
+ *
+ * Three-way merge of Zhong project lists used by cloud sync.
+ * Compares a stored base snapshot (the last state both sides agreed on)
+ * with the local and remote copies, per project and per field.
+ *
+ * - Projects are matched by their identity (projectUid), not by slot, so a project moved
+ *   to another slot keeps its fields and Worldline. A project removed on one side and
+ *   unchanged on the other is removed. If two projects end up in one slot, one moves out.
+ * - A field changed on one side only takes that side's value.
+ * - A field changed on both sides to different values is a conflict;
+ *   the local value is kept in the merged result until it is resolved.
+ * - Worldline knots are diffed against the base the same way: knots added
+ *   on either side are kept, knots removed on one side are removed, and a
+ *   knot edited on one side and edited differently or removed on the other
+ *   is a conflict (field `knot:<version>`; the edited knot stays until resolved).
+ * - Without a base (first sync, account link, archive import) projects and knots are unioned,
+ *   and an untouched placeholder (isPlaceholderProject) gives way to the other side's real project.
+ * - Status change logs (see time-travel) and code aliases are merged the same way as lists:
+ *   entries added on either side are kept, entries removed on one side are removed.
+ *
+ * Usage:
+ *   import { mergeProjects } from './utils/project-merge';
+ *
+ *   const { projects, conflicts } = mergeProjects(base, local, remote);
+ */
+
+import { toCloudProject } from './cloud-projects';
+import { projectUid, isPlaceholderProject } from '../data/projects';
+import { knotTime } from './time-travel';
+
+/**
+ * Project fields merged one by one (history is handled separately)
+ */
+export const MERGE_FIELDS = ['name', 'status', 'description', 'type', 'projectCode'];
+
+/**
+ * Normalize a projects payload to an array.
+ * Accepts a plain array or the `{ projects, _version }` wrapper stored in Nakama.
+ *
+ * @param {Array|Object|null} data - Projects payload
+ * @returns {Array} Projects array (empty if payload is missing)
+ */
+export function toProjectArray(data) {
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.projects)) return data.projects;
+  return [];
+}
+
+/**
+ * Get the version stamp of a projects payload, if any
+ *
+ * @param {Array|Object|null} data - Projects payload
+ * @returns {string|null} `_version` (or `_synced`) of a wrapped payload
+ */
+export function getPayloadVersion(data) {
+  if (!data || Array.isArray(data)) return null;
+  return data._version || data._synced || null;
+}
+
+function indexByUid(list) {
+  const map = new Map();
+  list.forEach(p => {
+    if (p && p.id !== undefined && p.id !== null) map.set(projectUid(p), p);
+  });
+  return map;
+}
+
+/** Whether a project is the same as its base copy (nothing changed on that side) */
+function sameProject(a, b) {
+  return JSON.stringify(toCloudProject(a)) === JSON.stringify(toCloudProject(b));
+}
+
+function sameValue(a, b) {
+  return (a ?? null) === (b ?? null);
+}
+
+function knotKey(knot) {
+  return knot?.version || '';
+}
+
+function sameKnot(a, b) {
+  return knotKey(a) === knotKey(b) &&
+    (a.description || '') === (b.description || '') &&
+    (a.commit || '') === (b.commit || '');
+}
+
+/** Stable sort: knots without a parseable time keep their relative order */
+function sortNewestFirst(knots) {
+  return knots
+    .map((knot, index) => ({ knot, index, time: knotTime(knot) ?? 0 }))
+    .sort((a, b) => (b.time - a.time) || (a.index - b.index))
+    .map(({ knot }) => knot);
+}
+
+/**
+ * Union two Worldline histories by knot version.
+ * Knots with the same version but different content (two devices logging
+ * the "next" update independently) are both kept. Result is newest first.
+ *
+ * @param {Array} localHistory - Local knots (newest first)
+ * @param {Array} remoteHistory - Remote knots (newest first)
+ * @returns {Array} Merged knots
+ */
+export function mergeHistory(localHistory = [], remoteHistory = []) {
+  const local = Array.isArray(localHistory) ? localHistory : [];
+  const remote = Array.isArray(remoteHistory) ? remoteHistory : [];
+  const merged = [...local];
+
+  remote.forEach(knot => {
+    if (!merged.some(k => sameKnot(k, knot))) merged.push(knot);
+  });
+
+  return sortNewestFirst(merged);
+}
+
+/** Prefix of the conflict field for an edited Worldline knot */
+export const KNOT_FIELD_PREFIX = 'knot:';
+
+/**
+ * Three-way merge of Worldline histories against their base.
+ * Knots are matched by content (version, description, commit); a knot whose version is in
+ * the base but whose content is not was edited.
+ *
+ * @param {Array} baseHistory - Knots both sides last agreed on
+ * @param {Array} localHistory - Local knots (newest first)
+ * @param {Array} remoteHistory - Remote knots (newest first)
+ * @returns {{ history: Array, conflicts: Array<{ version: string, base: Object, local: Object|null, remote: Object|null }> }}
+ *   conflicts: knots edited on one side and edited differently (or removed) on the other
+ */
+export function mergeWorldline(baseHistory = [], localHistory = [], remoteHistory = []) {
+  const base = Array.isArray(baseHistory) ? baseHistory : [];
+  const local = Array.isArray(localHistory) ? localHistory : [];
+  const remote = Array.isArray(remoteHistory) ? remoteHistory : [];
+  const inBase = (knot) => base.some(b => sameKnot(b, knot));
+  // Knots that are not in the base: added, or an edit of a base knot with the same version
+  const localNew = local.filter(k => !inBase(k));
+  const remoteNew = remote.filter(k => !inBase(k));
+  const usedAsEdit = new Set();
+  const editOf = (list, knot) => list.find(k => knotKey(k) === knotKey(knot) && !usedAsEdit.has(k));
+
+  const merged = [];
+  const conflicts = [];
+  base.forEach(knot => {
+    const inLocal = local.some(k => sameKnot(k, knot));
+    const inRemote = remote.some(k => sameKnot(k, knot));
+    if (inLocal && inRemote) {
+      merged.push(knot);
+      return;
+    }
+    const localEdit = inLocal ? null : editOf(localNew, knot);
+    const remoteEdit = inRemote ? null : editOf(remoteNew, knot);
+    if (localEdit) usedAsEdit.add(localEdit);
+    if (remoteEdit) usedAsEdit.add(remoteEdit);
+
+    if (inLocal) {
+      // Unchanged here: take the remote edit, or drop the knot if it was removed there
+      if (remoteEdit) merged.push(remoteEdit);
+    } else if (inRemote) {
+      if (localEdit) merged.push(localEdit);
+    } else if (localEdit && remoteEdit && sameKnot(localEdit, remoteEdit)) {
+      merged.push(localEdit);
+    } else if (localEdit || remoteEdit) {
+      // Edited on one side and edited differently or removed on the other
+      merged.push(localEdit || remoteEdit);
+      conflicts.push({ version: knotKey(knot), base: knot, local: localEdit || null, remote: remoteEdit || null });
+    }
+    // Removed on both sides: dropped
+  });
+
+  // Knots added on either side (the same knot added on both is kept once)
+  localNew.filter(k => !usedAsEdit.has(k)).forEach(k => merged.push(k));
+  remoteNew.filter(k => !usedAsEdit.has(k)).forEach(k => {
+    if (!merged.some(m => sameKnot(m, k))) merged.push(k);
+  });
+
+  return { history: sortNewestFirst(merged), conflicts };
+}
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Three-way merge of a list: an entry removed on either side since the base
+ * stays removed, entries added on either side are kept once. Without a base
+ * this is the union.
+ *
+ * @param {Array|undefined} base - Base snapshot of the list
+ * @param {Array|undefined} local - Local list
+ * @param {Array|undefined} remote - Remote list
+ * @param {Function} keyOf - Entry identity
+ * @returns {Array} Local entries first, then the remote additions
+ */
+export function mergeList(base, local, remote, keyOf = (entry) => entry) {
+  const baseKeys = new Set(asList(base).map(keyOf));
+  const localKeys = new Set(asList(local).map(keyOf));
+  const remoteKeys = new Set(asList(remote).map(keyOf));
+  const seen = new Set();
+
+  return [...asList(local), ...asList(remote)].filter(entry => {
+    const key = keyOf(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return !baseKeys.has(key) || (localKeys.has(key) && remoteKeys.has(key));
+  });
+}
+
+/**
+ * Merge two status change logs against their base (oldest first)
+ */
+export function mergeStatusLog(baseLog, localLog, remoteLog) {
+  return mergeList(baseLog, localLog, remoteLog, e => `${e.at}|${e.status}`)
+    .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+}
+
+/**
+ * Merge a single project
+ *
+ * @param {Object|undefined} base - Base snapshot of the project
+ * @param {Object|undefined} local - Local copy
+ * @param {Object|undefined} remote - Remote copy
+ * @returns {{ project: Object, conflicts: Array<Object> }}
+ */
+export function mergeProject(base, local, remote) {
+  if (!local) return { project: remote, conflicts: [] };
+  if (!remote) return { project: local, conflicts: [] };
+
+  const project = { ...remote, ...local };
+  const conflicts = [];
+
+  // A project moved to another slot on one side moves; if both moved it, the local slot wins
+  if (base && local.id === base.id) project.id = remote.id;
+
+  MERGE_FIELDS.forEach(field => {
+    const l = local[field];
+    const r = remote[field];
+    if (sameValue(l, r)) return;
+
+    const b = base ? base[field] : undefined;
+    if (base && sameValue(l, b)) {
+      project[field] = r;
+    } else if (base && sameValue(r, b)) {
+      project[field] = l;
+    } else {
+      project[field] = l;
+      conflicts.push({
+        projectUid: projectUid(project),
+        projectId: project.id,
+        projectName: local.name || remote.name,
+        field,
+        base: b ?? null,
+        local: l ?? null,
+        remote: r ?? null
+      });
+    }
+  });
+
+  if (base) {
+    const worldline = mergeWorldline(base.history, local.history, remote.history);
+    project.history = worldline.history;
+    worldline.conflicts.forEach(c => conflicts.push({
+      projectUid: projectUid(project),
+      projectId: project.id,
+      projectName: local.name || remote.name,
+      field: `${KNOT_FIELD_PREFIX}${c.version}`,
+      base: c.base.description || '',
+      local: c.local ? c.local.description || '' : null,
+      remote: c.remote ? c.remote.description || '' : null
+    }));
+  } else {
+    project.history = mergeHistory(local.history, remote.history);
+  }
+  // Entries cleared on one side (a quarter reset) stay cleared
+  if (local.statusLog || remote.statusLog) {
+    project.statusLog = mergeStatusLog(base?.statusLog, local.statusLog, remote.statusLog);
+  }
+  if (local.codeAliases || remote.codeAliases) {
+    project.codeAliases = mergeList(base?.codeAliases, local.codeAliases, remote.codeAliases)
+      .filter(code => code !== project.projectCode);
+  }
+
+  return { project, conflicts };
+}
+
+/**
+ * Three-way merge of project lists.
+ *
+ * @param {Array|Object|null} base - Last synced snapshot (array or wrapped payload)
+ * @param {Array|Object} local - Local projects (array or wrapped payload)
+ * @param {Array|Object} remote - Remote projects (array or wrapped payload)
+ * @returns {{ projects: Array<Object>, conflicts: Array<Object> }}
+ *   conflicts: `{ projectUid, projectId, projectName, field, base, local, remote }`, where
+ *   projectId is the slot the project ends up in and projectUid its identity (see projectUid)
+ */
+export function mergeProjects(base, local, remote) {
+  const baseByUid = indexByUid(toProjectArray(base));
+  const localByUid = indexByUid(toProjectArray(local));
+  const remoteByUid = indexByUid(toProjectArray(remote));
+
+  const projects = [];
+  const conflicts = [];
+
+  new Set([...localByUid.keys(), ...remoteByUid.keys()]).forEach(uid => {
+    const b = baseByUid.get(uid);
+    const l = localByUid.get(uid);
+    const r = remoteByUid.get(uid);
+    // Removed on one side and left as it was on the other: stays removed
+    if (b && !r && l && sameProject(l, b)) return;
+    if (b && !l && r && sameProject(r, b)) return;
+    // Nothing to compare with: a default project has nothing to keep against a real one
+    if (!b && l && r && isPlaceholderProject(l) !== isPlaceholderProject(r)) {
+      projects.push(isPlaceholderProject(l) ? r : l);
+      return;
+    }
+    const result = mergeProject(b, l, r);
+    projects.push(result.project);
+    conflicts.push(...result.conflicts);
+  });
+
+  const merged = sortBySlot(resolveSlotCollisions(projects, baseByUid, localByUid));
+  // A project moved out of a slot collision has a new slot; its conflicts follow it
+  const slotOf = new Map(merged.map(p => [projectUid(p), p.id]));
+  return {
+    projects: merged,
+    conflicts: conflicts.map(c => (slotOf.has(c.projectUid) ? { ...c, projectId: slotOf.get(c.projectUid) } : c))
+  };
+}
+
+function sortBySlot(projects) {
+  return projects.sort((a, b) => (typeof a.id === 'number' && typeof b.id === 'number') ? a.id - b.id : String(a.id).localeCompare(String(b.id)));
+}
+
+/**
+ * Keep one project per slot. Two can end up in one when each side put a different project
+ * there (a move, or a slot filled on both sides). A real project beats a placeholder; of two
+ * placeholders the one from the base (else the lowest uid) stays; of two real projects the one
+ * this side has there stays, and the other moves to the first placeholder slot, or past the end.
+ */
+function resolveSlotCollisions(projects, baseByUid, localByUid) {
+  const bySlot = new Map();
+  projects.forEach(p => bySlot.set(p.id, [...(bySlot.get(p.id) || []), p]));
+  if ([...bySlot.values()].every(list => list.length === 1)) return projects;
+
+  const byUid = (a, b) => projectUid(a).localeCompare(projectUid(b));
+  const wasHere = (map, id) => p => map.get(projectUid(p))?.id === id;
+  const kept = [];
+  const displaced = [];
+  bySlot.forEach((list, id) => {
+    if (list.length === 1) {
+      kept.push(list[0]);
+      return;
+    }
+    const real = list.filter(p => !isPlaceholderProject(p)).sort(byUid);
+    if (real.length === 0) {
+      const sorted = [...list].sort(byUid);
+      kept.push(sorted.find(wasHere(baseByUid, id)) || sorted[0]);
+      return;
+    }
+    const stays = real.find(wasHere(localByUid, id)) || real[0];
+    kept.push(stays);
+    displaced.push(...real.filter(p => p !== stays));
+  });
+
+  displaced.forEach(project => {
+    const free = sortBySlot(kept.filter(isPlaceholderProject))[0];
+    if (free) kept.splice(kept.indexOf(free), 1);
+    // It keeps its identity, which would otherwise follow the slot
+    kept.push({ ...project, uid: projectUid(project), id: free ? free.id : Math.max(...kept.map(p => Number(p.id) || 0)) + 1 });
+  });
+  return kept;
+}
+
+/**
+ * Apply conflict resolutions to merged projects.
+ *
+ * @param {Array} projects - Merged projects (as returned by mergeProjects)
+ * @param {Array<{ projectUid, projectId, field, value }>} resolutions - Chosen value per conflicting
+ *   field, matched to its project by identity (by slot for resolutions without one)
+ * @returns {Array} Projects with the chosen values applied
+ */
+export function applyResolutions(projects, resolutions = []) {
+  return projects.map(p => {
+    const own = resolutions.filter(r => (r.projectUid ? r.projectUid === projectUid(p) : r.projectId === p.id));
+    if (own.length === 0) return p;
+    const next = { ...p };
+    own.forEach(r => {
+      if (!r.field.startsWith(KNOT_FIELD_PREFIX)) {
+        next[r.field] = r.value;
+        return;
+      }
+      // A knot resolved to null (the side that removed it) is removed; otherwise its description is set
+      const version = r.field.slice(KNOT_FIELD_PREFIX.length);
+      next.history = r.value === null
+        ? (next.history || []).filter(k => knotKey(k) !== version)
+        : (next.history || []).map(k => (knotKey(k) === version ? { ...k, description: r.value } : k));
+    });
+    return next;
+  });
+}
@@ -0,0 +1,304 @@
+import { describe, it, expect } from 'vitest';
+import { mergeProjects, mergeWorldline, mergeList, applyResolutions } from './project-merge';
+import { toCloudProject } from './cloud-projects';
+import { projectUid, moveProject, createProject } from '../data/projects';
+import { applyRollover } from './quarter-rollover';
+
+const knot = (version, description, day) => ({
+  version,
+  date: `2026-01-${String(day).padStart(2, '0')}`,
+  commit: 'No Commit ID',
+  repo: '',
+  timestamp: `2026-01-${String(day).padStart(2, '0')}T12:00:00.000Z`,
+  description
+});
+
+const project = (id, fields = {}) => ({
+  id,
+  name: `Project ${id}`,
+  type: 'dev',
+  status: 'active',
+  description: '',
+  projectCode: `26Q1W${String(id).padStart(2, '0')}`,
+  history: [],
+  ...fields
+});
+
+const versions = (history) => history.map(k => k.version);
+
+describe('mergeProjects', () => {
+  it('takes one-sided field edits from either side without conflicts', () => {
+    const base = [project(1), project(2)];
+    const local = [project(1, { name: 'Local name' }), project(2)];
+    const remote = [project(1), project(2, { status: 'done' })];
+
+    const { projects, conflicts } = mergeProjects(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(projects.map(p => [p.id, p.name, p.status])).toEqual([
+      [1, 'Local name', 'active'],
+      [2, 'Project 2', 'done']
+    ]);
+  });
+
+  it('reports a conflict per field edited differently on both sides and keeps the local value', () => {
+    const base = [project(1, { name: 'Base', description: 'base' })];
+    const local = [project(1, { name: 'Local', description: 'same' })];
+    const remote = [project(1, { name: 'Remote', description: 'same' })];
+
+    const { projects, conflicts } = mergeProjects(base, local, remote);
+
+    expect(conflicts).toEqual([
+      { projectUid: 'slot-1', projectId: 1, projectName: 'Local', field: 'name', base: 'Base', local: 'Local', remote: 'Remote' }
+    ]);
+    expect(projects[0].name).toBe('Local');
+    expect(projects[0].description).toBe('same');
+  });
+
+  it('treats every differing field as a conflict without a base', () => {
+    const { conflicts } = mergeProjects(null, [project(1, { status: 'paused' })], [project(1, { status: 'done' })]);
+    expect(conflicts.map(c => c.field)).toEqual(['status']);
+  });
+
+  it('matches projects by identity, not by slot', () => {
+    const a = project(1, { uid: 'a', name: 'Alpha' });
+    const b = project(2, { uid: 'b', name: 'Beta' });
+    const base = [a, b];
+    // Local swapped the slots; remote renamed Alpha
+    const local = [{ ...b, id: 1 }, { ...a, id: 2 }];
+    const remote = [{ ...a, name: 'Alpha 2' }, b];
+
+    const { projects, conflicts } = mergeProjects(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(projects.map(p => [p.id, p.uid, p.name])).toEqual([
+      [1, 'b', 'Beta'],
+      [2, 'a', 'Alpha 2']
+    ]);
+  });
+
+  it('knows projects without a stored identity by their slot', () => {
+    expect(projectUid(project(4))).toBe('slot-4');
+    expect(projectUid(project(4, { uid: 'x' }))).toBe('x');
+  });
+
+  it('drops a project removed on one side and unchanged on the other', () => {
+    const base = [project(1), project(2)];
+    const { projects } = mergeProjects(base, [project(1)], [project(1), project(2)]);
+    expect(projects.map(p => p.id)).toEqual([1]);
+  });
+
+  it('keeps a project removed on one side but edited on the other', () => {
+    const base = [project(1), project(2)];
+    const { projects } = mergeProjects(base, [project(1)], [project(1), project(2, { name: 'Edited' })]);
+    expect(projects.map(p => p.name)).toEqual(['Project 1', 'Edited']);
+  });
+
+  it('lets a real project replace an untouched placeholder without a base', () => {
+    const placeholder = createProject(3, 3, new Date('2026-01-05T10:00:00.000Z'));
+    const real = { ...placeholder, name: 'Device work', status: 'Active', description: 'Important' };
+
+    for (const [local, remote] of [[placeholder, real], [real, placeholder]]) {
+      const { projects, conflicts } = mergeProjects(null, [local], [remote]);
+      expect(conflicts).toEqual([]);
+      expect(projects).toEqual([real]);
+    }
+  });
+
+    it('accepts the base snapshot in its stored cloud form', () => {
+    const base = [project(1, { history: [knot('v1', 'first', 1)] })].map(toCloudProject);
+    const local = [project(1, { history: [knot('v1', 'first', 1)] })];
+    const { projects, conflicts } = mergeProjects(base, local, []);
+    expect(conflicts).toEqual([]);
+    expect(projects).toEqual([]);
+  });
+});
+
+describe('mergeWorldline', () => {
+  const k1 = knot('v1', 'first', 1);
+  const k2 = knot('v2', 'second', 2);
+  const k3 = knot('v3', 'third', 3);
+
+  it('keeps knots appended concurrently on both sides, newest first', () => {
+    const local = [knot('v4', 'local append', 4), k2, k1];
+    const remote = [knot('v5', 'remote append', 5), k2, k1];
+
+    const { history, conflicts } = mergeWorldline([k2, k1], local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(versions(history)).toEqual(['v5', 'v4', 'v2', 'v1']);
+  });
+
+  it('keeps a knot added identically on both sides once', () => {
+    const { history } = mergeWorldline([k1], [k2, k1], [k2, k1]);
+    expect(versions(history)).toEqual(['v2', 'v1']);
+  });
+
+  it('propagates a deletion from either side', () => {
+    expect(versions(mergeWorldline([k3, k2, k1], [k3, k1], [k3, k2, k1]).history)).toEqual(['v3', 'v1']);
+    expect(versions(mergeWorldline([k3, k2, k1], [k3, k2, k1], [k2, k1]).history)).toEqual(['v2', 'v1']);
+  });
+
+  it('takes a one-sided knot edit', () => {
+    const edited = { ...k2, description: 'second, edited' };
+    const { history, conflicts } = mergeWorldline([k2, k1], [k2, k1], [edited, k1]);
+    expect(conflicts).toEqual([]);
+    expect(history).toEqual([edited, k1]);
+  });
+
+  it('reports an edit on one side and a delete on the other', () => {
+    const edited = { ...k2, description: 'second, edited' };
+    const { history, conflicts } = mergeWorldline([k2, k1], [edited, k1], [k1]);
+    expect(conflicts).toEqual([{ version: 'v2', base: k2, local: edited, remote: null }]);
+    expect(history).toEqual([edited, k1]);
+  });
+
+  it('reports different edits of the same knot', () => {
+    const local = { ...k2, description: 'local edit' };
+    const remote = { ...k2, description: 'remote edit' };
+    const { conflicts } = mergeWorldline([k2], [local], [remote]);
+    expect(conflicts).toEqual([{ version: 'v2', base: k2, local, remote }]);
+  });
+
+  it('does not report the same edit made on both sides', () => {
+    const edited = { ...k2, description: 'same edit' };
+    expect(mergeWorldline([k2], [edited], [{ ...edited }])).toEqual({ history: [edited], conflicts: [] });
+  });
+
+  it('drops a knot deleted on both sides', () => {
+    expect(mergeWorldline([k2, k1], [k1], [k1]).history).toEqual([k1]);
+  });
+});
+
+describe('mergeProjects Worldline conflicts', () => {
+  const k1 = knot('v1', 'first', 1);
+
+  it('surfaces knot conflicts and resolves them to an edit or a delete', () => {
+    const base = [project(1, { history: [k1] })];
+    const local = [project(1, { history: [{ ...k1, description: 'edited' }] })];
+    const remote = [project(1, { history: [] })];
+
+    const { projects, conflicts } = mergeProjects(base, local, remote);
+
+    expect(conflicts).toEqual([
+      { projectUid: 'slot-1', projectId: 1, projectName: 'Project 1', field: 'knot:v1', base: 'first', local: 'edited', remote: null }
+    ]);
+    expect(applyResolutions(projects, [{ projectId: 1, field: 'knot:v1', value: null }])[0].history).toEqual([]);
+    expect(applyResolutions(projects, [{ projectId: 1, field: 'knot:v1', value: 'kept' }])[0].history[0].description).toBe('kept');
+  });
+});
+
+describe('applyResolutions after a move', () => {
+  const resolve = (projects, conflicts, side) =>
+    applyResolutions(projects, conflicts.map(c => ({ projectUid: c.projectUid, projectId: c.projectId, field: c.field, value: c[side] })));
+
+  it('applies the choice to the project that moved, not to the one now in its old slot', () => {
+    const alpha = project(3, { uid: 'a', name: 'Alpha', description: 'base' });
+    const beta = project(5, { uid: 'b', name: 'Beta', description: 'beta' });
+    const local = [{ ...alpha, description: 'local' }, beta];
+    // The other device swapped the two and edited Alpha
+    const remote = [{ ...beta, id: 3 }, { ...alpha, id: 5, description: 'remote' }];
+
+    const { projects, conflicts } = mergeProjects([alpha, beta], local, remote);
+
+    expect(conflicts.map(c => [c.projectUid, c.projectId, c.field])).toEqual([['a', 5, 'description']]);
+    expect(resolve(projects, conflicts, 'remote').map(p => [p.id, p.name, p.description])).toEqual([
+      [3, 'Beta', 'beta'],
+      [5, 'Alpha', 'remote']
+    ]);
+  });
+
+  it('follows a project moved out of a slot collision', () => {
+    const DATE = new Date('2026-01-05T10:00:00.000Z');
+    const gamma = { ...createProject(4, 4, DATE), uid: 'g', name: 'Gamma', status: 'Active' };
+    const base = [...[1, 2, 3].map(id => createProject(id, id, DATE)), gamma];
+    // Here slot 2 gets a new project and Gamma is renamed; there Gamma moves to slot 2 and is renamed too
+    const local = base.map(p => (p.id === 2 ? { ...p, uid: 'n', name: 'New', status: 'Active' } : p.uid === 'g' ? { ...p, name: 'Gamma here' } : p));
+    const remote = base.filter(p => p.id !== 2).map(p => (p.uid === 'g' ? { ...p, id: 2, name: 'Gamma there' } : p));
+
+    const { projects, conflicts } = mergeProjects(base, local, remote);
+    const moved = projects.find(p => p.uid === 'g');
+
+    expect(moved.id).not.toBe(2);
+    expect(conflicts.map(c => [c.projectUid, c.projectId, c.field])).toEqual([['g', moved.id, 'name']]);
+    expect(resolve(projects, conflicts, 'remote').map(p => p.name)).toContain('Gamma there');
+    expect(resolve(projects, conflicts, 'remote').find(p => p.id === 2).name).toBe('New');
+  });
+});
+
+describe('mergeProjects slot moves', () => {
+  const DATE = new Date('2026-01-05T10:00:00.000Z');
+  const real = (id, name) => ({ ...createProject(id, id, DATE), name, status: 'Active' });
+
+  it('keeps each project with its own Worldline after a swap and a remote append', () => {
+    const base = [real(1, 'Alpha'), real(2, 'Beta')];
+    const swapped = moveProject(base, 1, 2, DATE);
+    const remote = base.map(p => (p.id === 1 ? { ...p, history: [knot('a1', 'Alpha work', 6)] } : p));
+
+    const { projects, conflicts } = mergeProjects(base, swapped, remote);
+
+    expect(conflicts).toEqual([]);
+    const alpha = projects.find(p => p.name === 'Alpha');
+    const beta = projects.find(p => p.name === 'Beta');
+    expect([alpha.id, alpha.uid, beta.id, beta.uid]).toEqual([2, 'slot-1', 1, 'slot-2']);
+    expect(alpha.history.map(k => k.description)).toEqual(['Alpha work', expect.stringMatching(/^Moved from slot 1 .* to slot 2/)]);
+    expect(beta.history.map(k => k.description)).toEqual([expect.stringMatching(/^Moved from slot 2 .* to slot 1/)]);
+  });
+
+  it('keeps the real project when a placeholder lands in the same slot', () => {
+    const base = [real(1, 'Alpha'), createProject(2, 2, DATE)];
+    const local = moveProject(base, 1, 2, DATE);
+    const remote = [real(1, 'Alpha'), { ...createProject(2, 2, DATE), uid: 'new' }];
+    expect(mergeProjects(base, local, remote).projects.map(p => [p.id, p.name])).toEqual([[1, 'Project 2'], [2, 'Alpha']]);
+  });
+
+  it('moves the other side\'s real project out of a slot this side filled', () => {
+    const base = [real(1, 'Alpha'), createProject(2, 2, DATE), createProject(3, 3, DATE)];
+    const local = base.map(p => (p.id === 2 ? { ...real(2, 'Local'), uid: 'l' } : p));
+    const remote = base.map(p => (p.id === 2 ? { ...real(2, 'Remote'), uid: 'r' } : p));
+
+    const { projects } = mergeProjects(base, local, remote);
+
+    expect(projects.map(p => [p.id, p.name])).toEqual([[1, 'Alpha'], [2, 'Local'], [3, 'Remote']]);
+  });
+});
+
+describe('mergeList', () => {
+  it('keeps additions from both sides and removals from either', () => {
+    expect(mergeList(['a', 'b', 'c'], ['a', 'c', 'd'], ['a', 'b', 'e'])).toEqual(['a', 'd', 'e']);
+  });
+
+  it('is the union without a base', () => {
+    expect(mergeList(undefined, ['a'], ['b', 'a'])).toEqual(['a', 'b']);
+  });
+});
+
+describe('mergeProjects quarter reset', () => {
+  const log = [{ status: 'Active', at: '2026-01-06T09:00:00.000Z' }];
+  const worked = project(1, {
+    status: 'Active',
+    history: [knot('v1', 'first', 1)],
+    statusLog: log,
+    codeAliases: ['25Q4W01']
+  });
+
+  it('keeps a reset project cleared when the other side still has the old copy', () => {
+    const reset = applyRollover([worked], { 1: 'reset' }, { year: 26, quarter: 2, label: '26Q2' });
+    const base = [worked].map(toCloudProject);
+
+    const { projects, conflicts } = mergeProjects(base, [worked], reset);
+
+    expect(conflicts).toEqual([]);
+    expect(projects[0]).toMatchObject({ projectCode: '26Q2W01', status: 'Pending', history: [], statusLog: [], codeAliases: [] });
+  });
+
+  it('still merges status changes and aliases added on both sides', () => {
+    const local = { ...worked, statusLog: [...log, { status: 'Done', at: '2026-01-08T09:00:00.000Z' }], codeAliases: ['25Q4W01', '26Q1W09'] };
+    const remote = { ...worked, statusLog: [{ status: 'Paused', at: '2026-01-07T09:00:00.000Z' }, ...log] };
+
+    const [merged] = mergeProjects([worked].map(toCloudProject), [local], [remote]).projects;
+
+    expect(merged.statusLog.map(e => e.status)).toEqual(['Active', 'Paused', 'Done']);
+    expect(merged.codeAliases).toEqual(['25Q4W01', '26Q1W09']);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Project Code Rename
+ *
+ * Sessions, cloud analytics and dot stats are all keyed on a project's code, so
+ * changing the code has to take them along:
+ *
+ *   rename  the project gets a new code; the old one is kept in `codeAliases`
+ *   merge   a project is folded into another: the target keeps its code, gains the
+ *           source's codes as aliases and its Worldline knots, and the source's slot
+ *           becomes a placeholder
+ *
+ * Both return the codes that moved, so the caller can re-key the sessions
+ * (cascadeSessions) and the cloud analytics (nakamaService.rekeySessionAnalytics).
+ *
+ * Usage:
+ *   import { renameProjectCode, cascadeSessions } from './utils/project-rename';
+ *
+ *   const { projects, fromCodes, target } = renameProjectCode(board, 12, '26Q2W12');
+ *   const { sessions } = cascadeSessions(allSessions, fromCodes, target);
+ */
+
+import { parseProjectId } from './project-id';
+import { generateVersion } from './versioning';
+import { mergeHistory } from './project-merge';
+import { reassignSessions } from './session-reassign';
+import { createProject, projectCodesOf, usedProjectNumbers, freeProjectNumber, newProjectUid } from '../data/projects';
+
+function codeKnot(project, description, date) {
+  const history = project.history || [];
+  return {
+    version: generateVersion(date, project.id, history.length + 1),
+    date: date.toLocaleDateString(),
+    createdAt: date.toISOString(),
+    commit: 'No Commit ID',
+    repo: '',
+    timestamp: null,
+    description
+  };
+}
+
+/** Session target (see session-reassign) for a project */
+const targetOf = (project) => ({ projectCode: project.projectCode, projectId: project.id, projectName: project.name });
+
+/**
+ * Check a new code for a project
+ *
+ * @throws {Error} If it is malformed, or another project has it (as its code or an alias)
+ */
+export function validateProjectCode(projects, projectId, code) {
+  if (!parseProjectId(code || '')) {
+    throw new Error(`"${code}" is not a project code (format YYQ#XNN, e.g. 26Q1W05).`);
+  }
+  const owner = projects.find(p => p.id !== projectId && projectCodesOf(p).includes(code));
+  if (owner) {
+    throw new Error(`${code} already belongs to ${owner.name || `Project ${owner.id}`}. Merge into it instead.`);
+  }
+}
+
+/**
+ * Give a project a new code, keeping the old one as an alias
+ *
+ * @returns {{ projects: Array, fromCodes: Array<string>, target: Object }}
+ *   fromCodes: codes whose sessions and analytics move to the new one
+ */
+export function renameProjectCode(projects, projectId, newCode, date = new Date()) {
+  const project = projects.find(p => p.id === projectId);
+  if (!project) throw new Error(`No project in slot ${projectId}.`);
+  if (project.projectCode === newCode) return { projects, fromCodes: [], target: targetOf(project) };
+  validateProjectCode(projects, projectId, newCode);
+
+  const fromCodes = projectCodesOf(project).filter(code => code !== newCode);
+  const renamed = {
+    ...project,
+    projectCode: newCode,
+    codeAliases: fromCodes,
+    history: [codeKnot(project, `Code renamed from ${project.projectCode} to ${newCode}`, date), ...(project.history || [])]
+  };
+  return {
+    projects: projects.map(p => (p.id === projectId ? renamed : p)),
+    fromCodes,
+    target: targetOf(renamed)
+  };
+}
+
+/**
+ * Fold one project into another
+ *
+ * @returns {{ projects: Array, fromCodes: Array<string>, target: Object }}
+ */
+export function mergeProjectInto(projects, sourceId, targetId, date = new Date()) {
+  const source = projects.find(p => p.id === sourceId);
+  const target = projects.find(p => p.id === targetId);
+  if (!source || !target) throw new Error('Both projects must be on the board.');
+  if (sourceId === targetId) throw new Error('A project can\'t be merged into itself.');
+  if (sourceId === 0) throw new Error('The Zhong center can\'t be merged into another project.');
+
+  const fromCodes = projectCodesOf(source);
+  const history = mergeHistory(target.history, source.history);
+  const merged = {
+    ...target,
+    codeAliases: [...new Set([...(target.codeAliases || []), ...fromCodes])].filter(code => code !== target.projectCode),
+    history: [
+      codeKnot({ ...target, history }, `Merged ${source.name || `Project ${source.id}`} (${fromCodes.join(', ')}) into this project`, date),
+      ...history
+    ]
+  };
+
+  // The emptied slot needs a code no project (or alias) uses
+  const rest = projects.filter(p => p.id !== sourceId && p.id !== targetId);
+  const number = freeProjectNumber(usedProjectNumbers([...rest, merged]), sourceId);
+
+  return {
+    projects: projects.map(p => (p.id === targetId ? merged : p.id === sourceId ? { ...createProject(sourceId, number), uid: newProjectUid() } : p)),
+    fromCodes,
+    target: targetOf(merged)
+  };
+}
+
+/**
+ * Move the sessions of the given codes to a project
+ *
+ * @param {Array} sessions
+ * @param {Array<string>} fromCodes
+ * @param {Object} target - From renameProjectCode / mergeProjectInto
+ * @returns {{ sessions: Array, moved: Array<string> }}
+ */
+export function cascadeSessions(sessions, fromCodes, target) {
+  return reassignSessions(sessions, s => fromCodes.includes(s.projectCode), target);
+}
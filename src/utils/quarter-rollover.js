@@ -0,0 +1,166 @@
+/**
+ * Quarter Rollover
+ *
+ * Project codes carry the quarter they were made in (26Q1W05). Closing a quarter
+ * moves the board to the next one explicitly:
+ *
+ *   carry   the project keeps everything and gets the new quarter's code (26Q2W05);
+ *           its old code is kept in `codeAliases`, so its sessions and analytics still count
+ *   retire  the project leaves the board; its slot gets a fresh placeholder
+ *   reset   the project stays in its slot with a new code, a cleared Worldline and
+ *           status Pending (the old code's sessions stay with the closed quarter)
+ *
+ * Placeholders are re-coded for the new quarter. The board as it was at the close is
+ * kept as a snapshot in localStorage (`zhong_quarter_snapshots`), and can be downloaded
+ * as a board archive.
+ *
+ * Usage:
+ *   import { boardQuarter, nextQuarter, planRollover, applyRollover } from './utils/quarter-rollover';
+ *
+ *   const from = boardQuarter(projects);          // { year: 26, quarter: 1, label: '26Q1' }
+ *   const to = nextQuarter(from);
+ *   const actions = planRollover(projects);        // { [projectId]: 'carry' | 'retire' | 'reset' }
+ *   const next = applyRollover(projects, actions, to);
+ */
+
+import { parseProjectId } from './project-id';
+import { generateVersion } from './versioning';
+import { createProject, isPlaceholderProject, projectNumberOf, newProjectUid } from '../data/projects';
+
+const SNAPSHOTS_KEY = 'zhong_quarter_snapshots';
+
+export const ROLLOVER_ACTIONS = {
+  carry: 'Carry over',
+  retire: 'Retire',
+  reset: 'Reset'
+};
+
+/** Quarter label, e.g. 26Q1 */
+const labelOf = (year, quarter) => `${String(year).padStart(2, '0')}Q${quarter}`;
+
+/**
+ * Quarter of a date
+ *
+ * @returns {{ year: number, quarter: number, label: string }} year is two-digit
+ */
+export function quarterOf(date = new Date()) {
+  const year = date.getFullYear() % 100;
+  const quarter = Math.floor(date.getMonth() / 3) + 1;
+  return { year, quarter, label: labelOf(year, quarter) };
+}
+
+export function nextQuarter({ year, quarter }) {
+  const next = quarter === 4 ? { year: (year + 1) % 100, quarter: 1 } : { year, quarter: quarter + 1 };
+  return { ...next, label: labelOf(next.year, next.quarter) };
+}
+
+/** First day of a quarter (two-digit year, 20YY) */
+export function quarterStartDate({ year, quarter }) {
+  return new Date(2000 + year, (quarter - 1) * 3, 1);
+}
+
+/**
+ * Quarter the board is in: the one most of its real projects' codes carry
+ * (the current quarter if no code can be read)
+ */
+export function boardQuarter(projects) {
+  const counts = new Map();
+  projects.filter(p => p.id !== 0 && !isPlaceholderProject(p)).forEach(p => {
+    const parsed = p.projectCode ? parseProjectId(p.projectCode) : null;
+    if (!parsed) return;
+    const label = labelOf(parsed.year % 100, parsed.quarter);
+    counts.set(label, (counts.get(label) || 0) + 1);
+  });
+  if (counts.size === 0) return quarterOf();
+  const [label] = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+  return { year: Number(label.slice(0, 2)), quarter: Number(label.slice(3)), label };
+}
+
+/**
+ * A project code moved to another quarter, keeping its platform and number (26Q1W05 -> 26Q2W05)
+ */
+export function recodeForQuarter(projectCode, { year, quarter }) {
+  if (!parseProjectId(projectCode || '')) return projectCode;
+  return `${labelOf(year, quarter)}${projectCode.slice(4)}`;
+}
+
+/**
+ * Default action per project: real projects carry over (placeholders are always re-coded)
+ *
+ * @returns {Object<number, 'carry'|'retire'|'reset'>}
+ */
+export function planRollover(projects) {
+  const actions = {};
+  projects.filter(p => !isPlaceholderProject(p)).forEach(p => { actions[p.id] = 'carry'; });
+  return actions;
+}
+
+/**
+ * The board in the new quarter
+ *
+ * @param {Array} projects
+ * @param {Object<number, 'carry'|'retire'|'reset'>} actions - Per real project (default carry)
+ * @param {{ year: number, quarter: number, label: string }} to - Quarter being opened
+ * @param {Date} [date] - When the rollover happens (for the knots it adds)
+ * @returns {Array}
+ */
+export function applyRollover(projects, actions, to, date = new Date()) {
+  const codeDate = quarterStartDate(to);
+
+  return projects.map(project => {
+    if (isPlaceholderProject(project)) {
+      return { ...createProject(project.id, projectNumberOf(project), codeDate), ...(project.uid ? { uid: project.uid } : {}) };
+    }
+
+    const action = project.id === 0 ? 'carry' : (actions[project.id] || 'carry');
+    const projectCode = recodeForQuarter(project.projectCode, to);
+
+    if (action === 'retire') {
+      return { ...createProject(project.id, projectNumberOf(project), codeDate), uid: newProjectUid() };
+    }
+    if (action === 'reset') {
+      return { ...project, projectCode, status: 'Pending', history: [], statusLog: [], codeAliases: [] };
+    }
+
+    if (projectCode === project.projectCode) return project;
+    const history = project.history || [];
+    const knot = {
+      version: generateVersion(date, project.id, history.length + 1),
+      date: date.toLocaleDateString(),
+      createdAt: date.toISOString(),
+      commit: 'No Commit ID',
+      repo: '',
+      timestamp: null,
+      description: `Carried over to ${to.label} (${project.projectCode} → ${projectCode})`
+    };
+    return {
+      ...project,
+      projectCode,
+      codeAliases: [...new Set([...(project.codeAliases || []), project.projectCode])],
+      history: [knot, ...history]
+    };
+  });
+}
+
+/**
+ * Snapshots of closed quarters, oldest first
+ *
+ * @returns {Array<{ quarter: string, closedAt: string, projects: Array, cloudAnalytics: Object }>}
+ */
+export function loadQuarterSnapshots(storage = localStorage) {
+  try {
+    const raw = storage.getItem(SNAPSHOTS_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Keep the board of a closed quarter (a quarter closed again replaces its snapshot)
+ */
+export function saveQuarterSnapshot(snapshot, storage = localStorage) {
+  const list = loadQuarterSnapshots(storage).filter(s => s.quarter !== snapshot.quarter);
+  storage.setItem(SNAPSHOTS_KEY, JSON.stringify([...list, snapshot]));
+}
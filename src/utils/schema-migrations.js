@@ -0,0 +1,208 @@
+/**
+ * Schema Migrations
+ *
+ * Versioned upgrades for the data Zhong persists on this machine:
+ *
+ *   projects      localStorage zhong_projects
+ *   sessions      localStorage cursor_sessions, ~/.cursor/sessions.json
+ *   tokenHistory  localStorage cursor_token_usage, ~/.cursor/cursor-token-usage.json
+ *
+ * The blobs keep their shape (other code reads them as they are), so the schema
+ * version is stamped next to each one: `<key>_schema` in localStorage and
+ * `<name>.schema.json` beside a file. Unstamped data is version 0.
+ *
+ * Each migration upgrades one kind of data from `version - 1` to `version`.
+ * They run in order, in the browser (migrateLocalStorage, at startup) and in the
+ * Node scripts (loadMigratedFile, which only reads; saveMigratedFile writes the data
+ * and its stamp). Migrations are pure functions of the data that change its shape,
+ * never which project a record belongs to (use scripts/reassign-sessions.js for that).
+ * They must leave data that is already upgraded unchanged: data written before it
+ * was stamped can be newer than version 0.
+ *
+ * Adding a migration: append `{ version: <last + 1>, description, up }` to its kind.
+ * No other code needs to change.
+ *
+ * Usage:
+ *   import { migrate, migrateLocalStorage, loadMigratedFile, saveMigratedFile } from './utils/schema-migrations.js';
+ *
+ *   migrateLocalStorage();                       // browser, before the app reads its data
+ *   const { data } = loadMigratedFile('sessions', sessionsFile, fs, []);   // Node, file untouched
+ *   saveMigratedFile('sessions', sessionsFile, fs, data);                  // Node, writes data and stamp
+ */
+
+import { generateProjectId } from './project-id.js';
+
+/** Where each kind of data lives in localStorage */
+export const STORAGE_KEYS = {
+  projects: 'zhong_projects',
+  sessions: 'cursor_sessions',
+  tokenHistory: 'cursor_token_usage'
+};
+
+/** Apply fn to each object of a list, leaving anything else (and a non-list) as it is */
+const mapArray = (data, fn) => (Array.isArray(data) ? data.map(item => (item && typeof item === 'object' ? fn(item) : item)) : data);
+
+/**
+ * Migrations per kind, in version order
+ */
+export const MIGRATIONS = {
+  projects: [
+    {
+      version: 1,
+      description: 'Give every project a projectCode',
+      up: projects => mapArray(projects, project => (project.projectCode ? project : {
+        ...project,
+        projectCode: generateProjectId({ date: new Date(), type: project.type || 'WEB', projectNumber: project.id })
+      }))
+    },
+    {
+      version: 2,
+      description: 'Default missing name, status, description and history',
+      up: projects => mapArray(projects, project => ({
+        ...project,
+        name: project.name ?? `Project ${project.id}`,
+        status: project.status ?? 'Pending',
+        description: project.description ?? '',
+        history: Array.isArray(project.history) ? project.history : []
+      }))
+    }
+  ],
+
+  sessions: [
+    {
+      version: 1,
+      description: 'Fill in missing session fields',
+      up: sessions => mapArray(sessions, session => ({
+        ...session,
+        endTime: session.endTime ?? null,
+        projectCode: session.projectCode ?? null,
+        description: session.description ?? '',
+        tokenEntries: session.tokenEntries ?? [],
+        totalTokens: session.totalTokens ?? 0,
+        activities: session.activities ?? [],
+        tags: session.tags ?? [],
+        metadata: session.metadata ?? {}
+      }))
+    }
+  ],
+
+  tokenHistory: [
+    {
+      version: 1,
+      description: 'Ensure entries and metadata, and give every entry a metadata object',
+      up: history => {
+        const value = history && typeof history === 'object' && !Array.isArray(history) ? history : {};
+        return {
+          ...value,
+          entries: (Array.isArray(value.entries) ? value.entries : []).map(e => ({ ...e, metadata: e.metadata ?? {} })),
+          metadata: value.metadata ?? { version: '1.0', created: new Date().toISOString() }
+        };
+      }
+    }
+  ]
+};
+
+/**
+ * Latest schema version of a kind of data
+ */
+export function currentSchemaVersion(kind) {
+  const migrations = MIGRATIONS[kind];
+  if (!migrations) throw new Error(`Unknown data kind: ${kind}`);
+  return migrations.length ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Upgrade data to the latest schema version
+ *
+ * @param {string} kind - Key of MIGRATIONS
+ * @param {*} data - Data at `fromVersion`
+ * @param {number} [fromVersion] - Version the data is stamped with (0 if unstamped)
+ * @returns {{ data: *, version: number, applied: Array<string> }} applied: descriptions of the migrations run
+ * @throws {Error} If the data was written by a newer version of Zhong
+ */
+export function migrate(kind, data, fromVersion = 0) {
+  const version = currentSchemaVersion(kind);
+  if (fromVersion > version) {
+    throw new Error(`${kind} data has schema version ${fromVersion}, newer than this version of Zhong understands (${version}).`);
+  }
+  const pending = MIGRATIONS[kind].filter(m => m.version > fromVersion);
+  return {
+    data: pending.reduce((value, m) => m.up(value), data),
+    version,
+    applied: pending.map(m => `${kind} v${m.version}: ${m.description}`)
+  };
+}
+
+/** localStorage key holding the schema version of a stored blob */
+export function schemaKeyFor(storageKey) {
+  return `${storageKey}_schema`;
+}
+
+/**
+ * Upgrade every blob in localStorage and stamp its schema version.
+ * Kinds with nothing stored are stamped at the latest version, since whatever gets written next is current.
+ *
+ * @param {Storage} [storage]
+ * @returns {Array<string>} Descriptions of the migrations run
+ */
+export function migrateLocalStorage(storage = localStorage) {
+  const applied = [];
+  Object.entries(STORAGE_KEYS).forEach(([kind, key]) => {
+    const schemaKey = schemaKeyFor(key);
+    const raw = storage.getItem(key);
+    const fromVersion = Number(storage.getItem(schemaKey)) || 0;
+    if (raw === null) {
+      storage.setItem(schemaKey, String(currentSchemaVersion(kind)));
+      return;
+    }
+    try {
+      const result = migrate(kind, JSON.parse(raw), fromVersion);
+      if (result.applied.length > 0) storage.setItem(key, JSON.stringify(result.data));
+      storage.setItem(schemaKey, String(result.version));
+      applied.push(...result.applied);
+    } catch (error) {
+      // Leave the data as it is; the code reading it falls back as before
+      console.error(`[SchemaMigrations] Could not migrate ${key}:`, error);
+    }
+  });
+  if (applied.length > 0) console.log('[SchemaMigrations] Upgraded stored data:', applied);
+  return applied;
+}
+
+/** Path of the schema stamp beside a data file, e.g. sessions.json -> sessions.schema.json */
+export function schemaFilePath(filePath) {
+  return `${filePath.replace(/\.json$/, '')}.schema.json`;
+}
+
+/**
+ * Read a JSON data file and upgrade it in memory. Node only.
+ * The file and its stamp are left as they are; callers that write the data back use saveMigratedFile.
+ *
+ * @param {string} kind - Key of MIGRATIONS
+ * @param {string} filePath
+ * @param {Object} fs - Node's fs module (passed in so this file stays loadable in the browser)
+ * @param {*} [fallback] - Returned as the data when the file doesn't exist
+ * @returns {{ data: *, version: number, applied: Array<string> }}
+ */
+export function loadMigratedFile(kind, filePath, fs, fallback = null) {
+  if (!fs.existsSync(filePath)) return { data: fallback, version: currentSchemaVersion(kind), applied: [] };
+
+  const stampPath = schemaFilePath(filePath);
+  const fromVersion = fs.existsSync(stampPath)
+    ? Number(JSON.parse(fs.readFileSync(stampPath, 'utf8')).schemaVersion) || 0
+    : 0;
+  return migrate(kind, JSON.parse(fs.readFileSync(filePath, 'utf8')), fromVersion);
+}
+
+/**
+ * Write upgraded data (as returned by loadMigratedFile) and stamp it with the latest version. Node only.
+ *
+ * @param {string} kind - Key of MIGRATIONS
+ * @param {string} filePath
+ * @param {Object} fs - Node's fs module
+ * @param {*} data
+ */
+export function saveMigratedFile(kind, filePath, fs, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+  fs.writeFileSync(schemaFilePath(filePath), JSON.stringify({ schemaVersion: currentSchemaVersion(kind) }, null, 2), 'utf8');
+}
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  MIGRATIONS,
+  migrate,
+  currentSchemaVersion,
+  migrateLocalStorage,
+  loadMigratedFile,
+  saveMigratedFile,
+  schemaFilePath,
+  schemaKeyFor,
+  STORAGE_KEYS
+} from './schema-migrations.js';
+
+const step = (kind, version) => MIGRATIONS[kind].find(m => m.version === version).up;
+
+function memoryStorage(items = {}) {
+  const data = new Map(Object.entries(items));
+  return {
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key)
+  };
+}
+
+const legacyProject = { id: 3, type: 'WEB' };
+const legacySession = { id: 's1', startTime: '2026-01-05T10:00:00.000Z', projectCode: '26Q1W21', tags: ['WEB', 'Project-21'] };
+
+describe('projects migrations', () => {
+  it('v1 gives a project without a code one from its slot', () => {
+    const [project] = step('projects', 1)([legacyProject]);
+    expect(project.projectCode).toMatch(/^\d{2}Q[1-4]W03$/);
+    expect(step('projects', 1)([{ ...legacyProject, projectCode: '26Q1W07' }])[0].projectCode).toBe('26Q1W07');
+  });
+
+  it('v2 defaults the missing fields and keeps the set ones', () => {
+    expect(step('projects', 2)([{ id: 3 }])[0]).toEqual({ id: 3, name: 'Project 3', status: 'Pending', description: '', history: [] });
+    const complete = { id: 1, name: 'Zhong', status: 'active', description: 'd', history: [{ version: 'v1' }] };
+    expect(step('projects', 2)([complete])[0]).toEqual(complete);
+  });
+});
+
+describe('sessions migrations', () => {
+  it('v1 fills in the missing session fields', () => {
+    expect(step('sessions', 1)([{ id: 's1', startTime: 't' }])[0]).toEqual({
+      id: 's1',
+      startTime: 't',
+      endTime: null,
+      projectCode: null,
+      description: '',
+      tokenEntries: [],
+      totalTokens: 0,
+      activities: [],
+      tags: [],
+      metadata: {}
+    });
+  });
+
+  it('keeps each session\'s project', () => {
+    expect(currentSchemaVersion('sessions')).toBe(1);
+    expect(migrate('sessions', [legacySession]).data[0]).toMatchObject({ projectCode: '26Q1W21', tags: ['WEB', 'Project-21'] });
+  });
+});
+
+describe('tokenHistory migrations', () => {
+  it('v1 ensures entries and gives every entry metadata', () => {
+    const { entries, metadata } = step('tokenHistory', 1)({ entries: [{ id: 'e1' }] });
+    expect(entries).toEqual([{ id: 'e1', metadata: {} }]);
+    expect(metadata.version).toBe('1.0');
+    expect(step('tokenHistory', 1)(null).entries).toEqual([]);
+  });
+});
+
+describe('migrate', () => {
+  it.each(Object.keys(MIGRATIONS))('leaves already upgraded %s data unchanged', kind => {
+    const legacy = { projects: [legacyProject], sessions: [legacySession], tokenHistory: { entries: [{ id: 'e1' }] } }[kind];
+    const upgraded = migrate(kind, legacy).data;
+    // Unstamped data may already be upgraded, so running every step again must not change it
+    expect(migrate(kind, upgraded, 0).data).toEqual(upgraded);
+    expect(migrate(kind, upgraded, currentSchemaVersion(kind))).toEqual({ data: upgraded, version: currentSchemaVersion(kind), applied: [] });
+  });
+
+  it('runs only the steps after the stamped version', () => {
+    expect(migrate('projects', [{ id: 1 }], 1).applied).toEqual(['projects v2: Default missing name, status, description and history']);
+  });
+
+  it('refuses data from a newer version', () => {
+    expect(() => migrate('sessions', [], currentSchemaVersion('sessions') + 1)).toThrow(/newer than/);
+  });
+});
+
+describe('migrateLocalStorage', () => {
+  it('upgrades stored blobs and stamps them', () => {
+    const storage = memoryStorage({ [STORAGE_KEYS.sessions]: JSON.stringify([legacySession]) });
+    const applied = migrateLocalStorage(storage);
+    expect(applied.length).toBeGreaterThan(0);
+    expect(JSON.parse(storage.getItem(STORAGE_KEYS.sessions))[0].tokenEntries).toEqual([]);
+    expect(storage.getItem(schemaKeyFor(STORAGE_KEYS.sessions))).toBe(String(currentSchemaVersion('sessions')));
+    expect(migrateLocalStorage(storage)).toEqual([]);
+  });
+});
+
+describe('migrated files', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zhong-migrations-'));
+    file = path.join(dir, 'sessions.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads upgraded data without touching the file or its stamp', () => {
+    const raw = JSON.stringify([legacySession]);
+    fs.writeFileSync(file, raw, 'utf8');
+
+    const { data, applied } = loadMigratedFile('sessions', file, fs, []);
+
+    expect(applied.length).toBeGreaterThan(0);
+    expect(data[0].tokenEntries).toEqual([]);
+    expect(fs.readFileSync(file, 'utf8')).toBe(raw);
+    expect(fs.existsSync(schemaFilePath(file))).toBe(false);
+  });
+
+  it('saves the data with the latest stamp, so the next load applies nothing', () => {
+    fs.writeFileSync(file, JSON.stringify([legacySession]), 'utf8');
+    const { data } = loadMigratedFile('sessions', file, fs, []);
+
+    saveMigratedFile('sessions', file, fs, data);
+
+    expect(JSON.parse(fs.readFileSync(schemaFilePath(file), 'utf8'))).toEqual({ schemaVersion: currentSchemaVersion('sessions') });
+    expect(loadMigratedFile('sessions', file, fs, [])).toEqual({ data, version: currentSchemaVersion('sessions'), applied: [] });
+  });
+
+  it('returns the fallback for a missing file', () => {
+    expect(loadMigratedFile('sessions', file, fs, []).data).toEqual([]);
+  });
+});
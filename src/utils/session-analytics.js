@@ -0,0 +1,41 @@
+/**
+ * Session Analytics
+ *
+ * Helpers for the per-project session analytics saved to the cloud
+ * ({ projectCode, totalTokens, totalPrompts, sessionCount, sessions, lastUpdated }).
+ *
+ * When a project code is renamed or merged, the analytics under the old codes are
+ * added up under the new code and the old objects are left empty (`movedTo`).
+ */
+
+/**
+ * Add up session analytics for one project saved under several codes
+ *
+ * @param {Array<Object>} values - Analytics values ({ totalTokens, totalPrompts, sessionCount, sessions, lastUpdated })
+ * @returns {Object|null} Combined analytics, or null if there are none
+ */
+export function combineAnalytics(values) {
+  const list = values.filter(Boolean);
+  if (list.length === 0) return null;
+  if (list.length === 1) return list[0];
+  return {
+    projectCode: list[0].projectCode,
+    totalTokens: list.reduce((sum, v) => sum + (v.totalTokens || 0), 0),
+    totalPrompts: list.reduce((sum, v) => sum + (v.totalPrompts || 0), 0),
+    sessionCount: list.reduce((sum, v) => sum + (v.sessionCount || 0), 0),
+    sessions: list.flatMap(v => v.sessions || []),
+    lastUpdated: list.map(v => v.lastUpdated || '').sort().pop() || null
+  };
+}
+
+/**
+ * Analytics left under a code whose totals moved to another code (see rekeySessionAnalytics).
+ * It counts as zero, so reading it alongside the new code never counts the totals twice.
+ *
+ * @param {string} projectCode - Code the analytics moved away from
+ * @param {string} movedTo - Code that holds them now
+ * @param {string} lastUpdated - When they moved (ISO)
+ */
+export function movedAnalytics(projectCode, movedTo, lastUpdated) {
+  return { projectCode, movedTo, totalTokens: 0, totalPrompts: 0, sessionCount: 0, sessions: [], lastUpdated };
+}
@@ -18,6 +18,7 @@
  */
 
 import { getTokenHistory, logTokenUsage } from './cursor-token-tracker.js';
+import { loadMigratedFile, saveMigratedFile } from './schema-migrations.js';
 
 const SESSION_STORAGE_KEY = 'cursor_sessions';
 const ACTIVE_SESSION_KEY = 'cursor_active_session';
@@ -146,16 +147,12 @@ function loadSessions() {
       if (!modules) return [];
       const { fs, path, os } = modules;
       const filePath = path.join(os.homedir(), '.cursor', 'sessions.json');
-      if (fs.existsSync(filePath)) {
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data);
-      }
+      return loadMigratedFile('sessions', filePath, fs, []).data;
     }
   } catch (error) {
     console.error('[SessionManager] Error loading sessions:', error);
     return [];
   }
-  return [];
 }
 
 /**
@@ -174,7 +171,7 @@ function saveSessions(sessions) {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
-      fs.writeFileSync(filePath, JSON.stringify(sessions, null, 2), 'utf8');
+      saveMigratedFile('sessions', filePath, fs, sessions);
     }
     return true;
   } catch (error) {
@@ -472,7 +469,7 @@ export function getActiveSession() {
  * 
  * @param {Object} [options] - Filter options
  * @param {number} [options.projectId] - Filter by project ID
- * @param {string} [options.projectCode] - Filter by project code (e.g., "26Q1U12")
+ * @param {string|Array<string>} [options.projectCode] - Filter by project code (e.g., "26Q1U12"), or any of several (a project and its aliases)
  * @param {Date} [options.startDate] - Filter by start date
  * @param {Date} [options.endDate] - Filter by end date
  * @param {boolean} [options.activeOnly] - Only return active sessions
@@ -486,7 +483,8 @@ export function getSessions(options = {}) {
   }
   
   if (options.projectCode !== undefined) {
-    sessions = sessions.filter(s => s.projectCode === options.projectCode);
+    const codes = [].concat(options.projectCode);
+    sessions = sessions.filter(s => codes.includes(s.projectCode));
   }
   
   if (options.startDate) {
@@ -0,0 +1,133 @@
+/**
+ * Session Reassign
+ *
+ * Moves Cursor sessions to another project: the session's projectCode, projectId
+ * and projectName change, and the tags start-session derives from the code
+ * (`Q1`, the platform, `Project-12`) are replaced with the target's.
+ *
+ * Token history entries point at their session with `metadata.sessionId`, while
+ * sessions list their entries in `tokenEntries`. linkTokenEntries makes the two
+ * agree for the sessions that moved.
+ *
+ * Shared by the app (renaming or merging project codes) and the Node scripts,
+ * so it only uses plain data.
+ *
+ * Usage:
+ *   import { reassignSession, reassignSessions } from './utils/session-reassign.js';
+ *
+ *   const { sessions, moved } = reassignSessions(all, s => s.projectCode === '26Q1W21', {
+ *     projectCode: '26Q1Z00', projectId: 0, projectName: 'Zhong'
+ *   });
+ */
+
+import { parseProjectId, getPlatformName } from './project-id.js';
+
+const PLATFORM_TAGS = ['YANG', 'YIN', 'WEB', 'DATABASE', 'API', 'UNITY', 'ZHONG'];
+
+/**
+ * A session moved to a target project
+ *
+ * @param {Object} session
+ * @param {Object} target
+ * @param {string} target.projectCode
+ * @param {number} [target.projectId] - Slot of the target (kept as it is if omitted)
+ * @param {string} [target.projectName]
+ * @returns {Object} New session object
+ * @throws {Error} If the target code is not a valid project code
+ */
+export function reassignSession(session, { projectCode, projectId, projectName }) {
+  const parsed = parseProjectId(projectCode || '');
+  if (!parsed) throw new Error(`Not a valid project code: ${projectCode}`);
+
+  const tags = (session.tags || []).map(tag => {
+    if (tag.startsWith('Project-')) return `Project-${parsed.projectNumber}`;
+    if (/^Q[1-4]$/.test(tag)) return `Q${parsed.quarter}`;
+    if (PLATFORM_TAGS.includes(tag)) return getPlatformName(parsed.platformCode);
+    return tag;
+  });
+
+  return {
+    ...session,
+    projectCode,
+    projectId: projectId !== undefined ? projectId : session.projectId,
+    projectName: projectName !== undefined ? projectName : session.projectName,
+    tags: [...new Set(tags)]
+  };
+}
+
+/**
+ * Slot and name of the project a code belongs to. The number in a code is not its
+ * slot (a moved project keeps its code), so this looks at the board first: the
+ * project with the code as its code or an alias. Without a board, it takes the slot
+ * of the latest session already on the code.
+ *
+ * @param {string} projectCode
+ * @param {Object} sources
+ * @param {Array} [sources.projects] - Board projects
+ * @param {Array} [sources.sessions] - Sessions
+ * @returns {{ projectId: number, projectName: string, source: 'board'|'sessions' }|null} null if neither knows the code
+ */
+export function lookupTarget(projectCode, { projects = [], sessions = [] } = {}) {
+  const project = projects.find(p => p && (p.projectCode === projectCode || (p.codeAliases || []).includes(projectCode)));
+  if (project) return { projectId: project.id, projectName: project.name, source: 'board' };
+
+  const [latest] = sessions
+    .filter(s => s && s.projectCode === projectCode && Number.isInteger(s.projectId))
+    .sort((a, b) => String(b.startTime).localeCompare(String(a.startTime)));
+  return latest ? { projectId: latest.projectId, projectName: latest.projectName, source: 'sessions' } : null;
+}
+
+/**
+ * Move every session a predicate picks to a target project
+ *
+ * @param {Array} sessions
+ * @param {function(Object): boolean} pick
+ * @param {Object} target - See reassignSession
+ * @returns {{ sessions: Array, moved: Array<string> }} moved: IDs of the sessions that moved
+ */
+export function reassignSessions(sessions, pick, target) {
+  const moved = [];
+  const next = sessions.map(session => {
+    if (!pick(session)) return session;
+    moved.push(session.id);
+    return reassignSession(session, target);
+  });
+  return { sessions: next, moved };
+}
+
+/**
+ * ID a session lists a token history entry under (in `tokenEntries`)
+ *
+ * Entries logged while a session ran carry it as `metadata.entryId`; entries synced
+ * from the Cursor database get it from their timestamp and hash, as the sync scripts do.
+ *
+ * @param {Object} entry - Token history entry
+ * @returns {string|null}
+ */
+export function tokenEntryId(entry) {
+  if (entry.metadata?.entryId) return entry.metadata.entryId;
+  if (entry.metadata?.hash) return `entry_${new Date(entry.timestamp).getTime()}_${entry.metadata.hash.substring(0, 8)}`;
+  return null;
+}
+
+/**
+ * Point the token history entries of the given sessions at them (`metadata.sessionId`)
+ *
+ * @param {Object} history - Token history ({ entries, metadata })
+ * @param {Array} sessions - Sessions whose entries to link
+ * @returns {{ history: Object, relinked: Array<Object> }} relinked: { entryId, from, to } per changed entry
+ */
+export function linkTokenEntries(history, sessions) {
+  const sessionByEntry = new Map();
+  sessions.forEach(session => (session.tokenEntries || []).forEach(id => sessionByEntry.set(id, session.id)));
+
+  const relinked = [];
+  const entries = (history.entries || []).map(entry => {
+    const entryId = tokenEntryId(entry);
+    const sessionId = entryId && sessionByEntry.get(entryId);
+    if (!sessionId || entry.metadata?.sessionId === sessionId) return entry;
+    relinked.push({ entryId, from: entry.metadata?.sessionId || null, to: sessionId });
+    return { ...entry, metadata: { ...entry.metadata, sessionId } };
+  });
+  return { history: { ...history, entries }, relinked };
+}
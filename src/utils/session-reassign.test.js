@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { lookupTarget, reassignSession, linkTokenEntries } from './session-reassign.js';
+
+const session = (id, projectCode, projectId, startTime) => ({ id, projectCode, projectId, projectName: `Slot ${projectId}`, startTime, tags: [] });
+
+describe('lookupTarget', () => {
+  const projects = [
+    { id: 0, name: 'Zhong', projectCode: '26Q1Z00' },
+    { id: 30, name: 'Moved', projectCode: '26Q1W05', codeAliases: ['26Q1W04'] }
+  ];
+
+  it('takes the slot from the board, not from the number in the code', () => {
+    expect(lookupTarget('26Q1W05', { projects })).toEqual({ projectId: 30, projectName: 'Moved', source: 'board' });
+    expect(lookupTarget('26Q1W04', { projects }).projectId).toBe(30);
+  });
+
+  it('falls back to the latest session already on the code', () => {
+    const sessions = [
+      session('s1', '26Q1W07', 7, '2026-01-05T10:00:00.000Z'),
+      session('s2', '26Q1W07', 12, '2026-01-06T10:00:00.000Z'),
+      session('s3', '26Q1W08', 8, '2026-01-07T10:00:00.000Z')
+    ];
+    expect(lookupTarget('26Q1W07', { projects, sessions })).toEqual({ projectId: 12, projectName: 'Slot 12', source: 'sessions' });
+  });
+
+  it('returns null for a code nothing knows', () => {
+    expect(lookupTarget('26Q1W09', { projects, sessions: [] })).toBeNull();
+  });
+});
+
+describe('reassignSession', () => {
+  it('moves the session and its code tags to the target', () => {
+    const moved = reassignSession({ ...session('s1', '26Q1W21', 21), tags: ['Q1', 'WEB', 'Project-21', 'bugfix'] }, {
+      projectCode: '26Q2Z00',
+      projectId: 0,
+      projectName: 'Zhong'
+    });
+    expect(moved).toMatchObject({ projectCode: '26Q2Z00', projectId: 0, projectName: 'Zhong', tags: ['Q2', 'ZHONG', 'Project-0', 'bugfix'] });
+  });
+});
+
+describe('linkTokenEntries', () => {
+  const entry = (id, metadata) => ({ id, timestamp: '2026-01-05T10:00:00.000Z', tokens: 10, metadata });
+
+  it('points the entries a moved session lists at it', () => {
+    const history = {
+      entries: [
+        entry('e1', { entryId: 'entry_a', sessionId: 'old' }),
+        entry('e2', { hash: 'abcdef0123456789' }),
+        entry('e3', { entryId: 'entry_c', sessionId: 'other' })
+      ],
+      metadata: { version: '1.0' }
+    };
+    const synced = `entry_${Date.parse('2026-01-05T10:00:00.000Z')}_abcdef01`;
+
+    const { history: linked, relinked } = linkTokenEntries(history, [{ id: 's1', tokenEntries: ['entry_a', synced] }]);
+
+    expect(relinked).toEqual([{ entryId: 'entry_a', from: 'old', to: 's1' }, { entryId: synced, from: null, to: 's1' }]);
+    expect(linked.entries.map(e => e.metadata.sessionId)).toEqual(['s1', 's1', 'other']);
+    expect(linked.metadata).toEqual({ version: '1.0' });
+  });
+
+  it('leaves entries already on their session alone', () => {
+    const history = { entries: [entry('e1', { entryId: 'entry_a', sessionId: 's1' })] };
+    const { history: linked, relinked } = linkTokenEntries(history, [{ id: 's1', tokenEntries: ['entry_a'] }]);
+    expect(relinked).toEqual([]);
+    expect(linked.entries[0]).toBe(history.entries[0]);
+  });
+});
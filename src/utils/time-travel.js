@@ -0,0 +1,175 @@
+/**
+ * Time Travel
+ *
+ * Replays the board as of a past moment, from what the data remembers:
+ *
+ *   Worldline   knots made after the moment are left out (by commit timestamp, else createdAt,
+ *               else the display date of older knots, see parseKnotDate)
+ *   status      from the project's statusLog ({ from, status, at } per change, oldest first).
+ *               Projects changed before the log existed show their current status once
+ *               their first knot is made, and Pending before that.
+ *   sessions    sessions count once they have started; tokens and prompts are per session,
+ *               hours are cut off at the moment
+ *
+ * Project codes and knot versions carry the quarter (26Q1W22, c26Q1F121), so the
+ * slider is marked at quarter ends.
+ *
+ * Usage:
+ *   import { boardAt, sessionStatsAt, quarterEnds } from './utils/time-travel';
+ *
+ *   const past = boardAt(projects, Date.parse('2026-03-31T23:59:59'));
+ */
+
+const isFiniteTime = (t) => Number.isFinite(t);
+
+/** Order of day, month and year in this locale's short dates, e.g. ['month', 'day', 'year'] */
+function localeDateOrder() {
+  return new Intl.DateTimeFormat().formatToParts(new Date(2001, 10, 22))
+    .map(part => part.type)
+    .filter(type => type === 'day' || type === 'month' || type === 'year');
+}
+
+function localDate(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(fullYear, month - 1, day);
+  const valid = date.getFullYear() === fullYear && date.getMonth() === month - 1 && date.getDate() === day;
+  return valid ? date.getTime() : null;
+}
+
+/**
+ * Start of the day (local time) of a knot's display date, or null if it can't be read.
+ * Older knots only have this date, written with toLocaleDateString: ISO dates (2026-01-05) are read
+ * as such; otherwise the day, month and year numbers are taken in this locale's order, and day and
+ * month are swapped if that order gives no valid date (e.g. 25/01/2026 read in a month-first locale).
+ *
+ * @param {string} value
+ * @param {Array<string>} [order] - Field order (defaults to the locale's)
+ * @returns {number|null} ms
+ */
+export function parseKnotDate(value, order = localeDateOrder()) {
+  if (typeof value !== 'string') return null;
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) return localDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const t = Date.parse(value);
+    return isFiniteTime(t) ? t : null;
+  }
+
+  const numbers = value.match(/\d+/g);
+  if (!numbers || numbers.length !== 3 || order.length !== 3) return null;
+  const fields = {};
+  order.forEach((type, i) => { fields[type] = Number(numbers[i]); });
+  return localDate(fields.year, fields.month, fields.day) ?? localDate(fields.year, fields.day, fields.month);
+}
+
+/** Time of a Worldline knot in ms, or null if it can't be told */
+export function knotTime(knot) {
+  const exact = Date.parse(knot?.timestamp || knot?.createdAt || '');
+  return isFiniteTime(exact) ? exact : parseKnotDate(knot?.date);
+}
+
+/**
+ * Append a status change to a project's log (no-op when the status didn't change)
+ *
+ * @returns {Object} The project with its statusLog updated
+ */
+export function recordStatusChange(before, after, date = new Date()) {
+  if ((before.status ?? null) === (after.status ?? null)) return after;
+  const entry = { from: before.status ?? null, status: after.status ?? null, at: date.toISOString() };
+  return { ...after, statusLog: [...(before.statusLog || []), entry] };
+}
+
+/** Status a project had at a moment */
+export function statusAt(project, time) {
+  const log = Array.isArray(project.statusLog) ? project.statusLog : [];
+  if (log.length > 0) {
+    const past = log.filter(e => Date.parse(e.at) <= time);
+    return past.length > 0 ? past[past.length - 1].status : log[0].from;
+  }
+  const knots = (project.history || []).map(knotTime).filter(isFiniteTime);
+  return knots.length > 0 && Math.min(...knots) <= time ? project.status : 'Pending';
+}
+
+/**
+ * The project as it was at a moment: status and Worldline of the time
+ */
+export function projectAt(project, time) {
+  const history = (project.history || []).filter(knot => {
+    const t = knotTime(knot);
+    return t === null || t <= time;
+  });
+  return { ...project, status: statusAt(project, time), history };
+}
+
+/**
+ * The whole board at a moment
+ */
+export function boardAt(projects, time) {
+  return projects.map(p => (p.id === 0 ? p : projectAt(p, time)));
+}
+
+/**
+ * Session analytics per projectCode at a moment, in the shape the grid shows
+ *
+ * @param {Object<string, Array>} sessionsByCode - Sessions per projectCode ({ startTime, endTime, totalTokens, promptGroups? })
+ * @param {number} time
+ * @returns {Object<string, { totalTokens, totalPrompts, sessionCount, totalHours }>}
+ */
+export function sessionStatsAt(sessionsByCode, time) {
+  const result = {};
+  Object.entries(sessionsByCode).forEach(([code, sessions]) => {
+    const started = sessions.filter(s => Date.parse(s.startTime) <= time);
+    if (started.length === 0) return;
+    result[code] = started.reduce((stats, s) => {
+      const start = Date.parse(s.startTime);
+      const end = Math.min(Date.parse(s.endTime) || start, time);
+      stats.sessionCount += 1;
+      stats.totalTokens += Number(s.totalTokens) || 0;
+      stats.totalPrompts += Array.isArray(s.promptGroups) ? s.promptGroups.length : (s.totalPrompts ?? (s.tokenEntries?.length ? 1 : 0));
+      stats.totalHours += Math.max(0, end - start) / 3600000;
+      return stats;
+    }, { totalTokens: 0, totalPrompts: 0, sessionCount: 0, totalHours: 0 });
+  });
+  return result;
+}
+
+/** Earliest moment the board has a record of (knot, status change or session), or null */
+export function boardStartTime(projects, sessionsByCode = {}) {
+  const times = [];
+  projects.forEach(p => {
+    (p.history || []).forEach(k => times.push(knotTime(k)));
+    (p.statusLog || []).forEach(e => times.push(Date.parse(e.at)));
+  });
+  Object.values(sessionsByCode).forEach(list => list.forEach(s => times.push(Date.parse(s.startTime))));
+  const known = times.filter(isFiniteTime);
+  return known.length > 0 ? Math.min(...known) : null;
+}
+
+/** Label of the quarter a moment falls in, e.g. 26Q1 */
+export function quarterLabel(time) {
+  const date = new Date(time);
+  return `${String(date.getFullYear()).slice(-2)}Q${Math.floor(date.getMonth() / 3) + 1}`;
+}
+
+/**
+ * Quarter ends (last millisecond, local time) between two moments
+ *
+ * @returns {Array<{ label: string, time: number }>}
+ */
+export function quarterEnds(from, to) {
+  const ends = [];
+  const start = new Date(from);
+  let year = start.getFullYear();
+  let quarter = Math.floor(start.getMonth() / 3);
+  for (;;) {
+    const end = new Date(year, quarter * 3 + 3, 1).getTime() - 1;
+    if (end > to) break;
+    ends.push({ label: quarterLabel(end), time: end });
+    quarter++;
+    if (quarter === 4) {
+      quarter = 0;
+      year++;
+    }
+  }
+  return ends;
+}
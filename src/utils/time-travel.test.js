@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { knotTime, parseKnotDate, projectAt, recordStatusChange, statusAt } from './time-travel';
+
+const DAY_FIRST = ['day', 'month', 'year'];
+const MONTH_FIRST = ['month', 'day', 'year'];
+const local = (year, month, day) => new Date(year, month - 1, day).getTime();
+
+describe('parseKnotDate', () => {
+  it('reads the numbers in the given locale order', () => {
+    expect(parseKnotDate('05/01/2026', DAY_FIRST)).toBe(local(2026, 1, 5));
+    expect(parseKnotDate('05/01/2026', MONTH_FIRST)).toBe(local(2026, 5, 1));
+    expect(parseKnotDate('5.1.2026', DAY_FIRST)).toBe(local(2026, 1, 5));
+    expect(parseKnotDate('2026/1/5', ['year', 'month', 'day'])).toBe(local(2026, 1, 5));
+  });
+
+  it('swaps day and month when the locale order gives no valid date', () => {
+    expect(parseKnotDate('25/01/2026', MONTH_FIRST)).toBe(local(2026, 1, 25));
+    expect(parseKnotDate('1/25/2026', DAY_FIRST)).toBe(local(2026, 1, 25));
+  });
+
+  it('reads ISO dates in any locale', () => {
+    expect(parseKnotDate('2026-01-05', MONTH_FIRST)).toBe(local(2026, 1, 5));
+    expect(parseKnotDate('2026-01-05T10:00:00.000Z', DAY_FIRST)).toBe(Date.parse('2026-01-05T10:00:00.000Z'));
+  });
+
+  it('gives null for what is not a date', () => {
+    expect(parseKnotDate('yesterday', DAY_FIRST)).toBeNull();
+    expect(parseKnotDate('31/31/2026', DAY_FIRST)).toBeNull();
+    expect(parseKnotDate(undefined)).toBeNull();
+  });
+});
+
+describe('knotTime', () => {
+  it('prefers the commit timestamp, then createdAt, then the display date', () => {
+    const createdAt = '2026-02-01T08:00:00.000Z';
+    const timestamp = '2026-01-20T08:00:00.000Z';
+    expect(knotTime({ timestamp, createdAt, date: '2/1/2026' })).toBe(Date.parse(timestamp));
+    expect(knotTime({ timestamp: null, createdAt, date: '2/1/2026' })).toBe(Date.parse(createdAt));
+    expect(knotTime({ timestamp: null, date: '2026-02-01' })).toBe(local(2026, 2, 1));
+  });
+});
+
+describe('projectAt', () => {
+  it('hides knots made after the moment, including ones with only a display date', () => {
+    const project = {
+      id: 1,
+      status: 'Active',
+      history: [
+        { version: 'v2', date: '2026-03-01', timestamp: null },
+        { version: 'v1', date: 'x', createdAt: '2026-01-10T09:00:00.000Z', timestamp: null }
+      ]
+    };
+    expect(projectAt(project, local(2026, 2, 1)).history.map(k => k.version)).toEqual(['v1']);
+    expect(projectAt(project, local(2026, 1, 1)).history).toEqual([]);
+  });
+
+  it('replays the status from the log', () => {
+    const before = { id: 1, status: 'Pending' };
+    const after = recordStatusChange(before, { ...before, status: 'Active' }, new Date('2026-01-10T00:00:00.000Z'));
+    expect(statusAt(after, Date.parse('2026-01-09T00:00:00.000Z'))).toBe('Pending');
+    expect(statusAt(after, Date.parse('2026-01-11T00:00:00.000Z'))).toBe('Active');
+  });
+});
@@ -9,6 +9,7 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { spawn } from 'child_process';
+import { loadMigratedFile } from './src/utils/schema-migrations.js';
 
 export function sessionSyncPlugin() {
   return {
@@ -84,11 +85,8 @@ export function sessionSyncPlugin() {
           let sessions = [];
           let activeSessionId = null;
 
-          // Read sessions from file system
-          if (fs.existsSync(sessionsFile)) {
-            const data = fs.readFileSync(sessionsFile, 'utf8');
-            sessions = JSON.parse(data);
-          }
+          // Read sessions from file system (upgraded to the current schema first)
+          sessions = loadMigratedFile('sessions', sessionsFile, fs, []).data;
 
           // Read active session ID
           if (fs.existsSync(activeSessionFile)) {